@@ -12,6 +12,7 @@ import connectDB from "./src/config/db.js";
 import passport from "passport";
 import "./src/config/passport-setup.js";
 import createSuperAdmin from "./src/scripts/createSuperAdmin.js";
+import { startOrderExpirySweeper } from "./src/jobs/orderExpirySweeper.js";
 
 // --- ROUTES ---
 import authRoutes from "./src/routes/authRoutes.js";
@@ -29,6 +30,8 @@ import tableRoutes from "./src/routes/table.routes.js";
 import bookingRoutes from "./src/routes/booking.routes.js";
 import announcementsRoutes from "./src/routes/announcements.routes.js";
 import userRoutes from "./src/routes/user.routes.js";
+import supportRoutes from "./src/routes/support.routes.js";
+import groupOrderRoutes from "./src/routes/groupOrder.routes.js";
 import webhookController from "./src/controllers/webhookController.js";
 
 // --- MISSING IMPORT ADDED HERE ---
@@ -44,6 +47,11 @@ app.post(
   express.raw({ type: "application/json" }),
   webhookController.handleStripeWebhook
 );
+app.post(
+  "/api/payment/stripe-webhook/:restaurantId",
+  express.raw({ type: "application/json" }),
+  webhookController.handleRestaurantStripeWebhook
+);
 
 // 2. Security & Parsing Middleware
 app.use(helmet());
@@ -84,6 +92,8 @@ app.use("/api/tables", tableRoutes);
 app.use("/api/bookings", bookingRoutes);
 app.use("/api/announcements", announcementsRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/support", supportRoutes);
+app.use("/api/group-orders", groupOrderRoutes);
 
 // 4. Error Handling
 app.use((err, req, res, next) => {
@@ -102,6 +112,8 @@ const startServer = async () => {
     await connectDB();
     
     // await createSuperAdmin();
+
+    startOrderExpirySweeper();
     
     app.listen(PORT, () => {
       logger.info(`Server is running on port ${PORT}`);
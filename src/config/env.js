@@ -22,6 +22,8 @@ const requiredEnvVars = [
   'CLIENT_SUCCESS_REDIRECT_URL',
   'CLIENT_FAILURE_REDIRECT_URL',
   'STRIPE_WEBHOOK_SECRET',
+  'ENCRYPTION_MASTER_KEY',
+  'ORDER_SWEEP_SINCE',
 ];
 
 // Conditionally required vars for admin creation script
@@ -40,6 +42,57 @@ const checkEnvVars = () => {
 
 checkEnvVars();
 
+// Master keys are 32 bytes, given as base64 or hex. Keys retired by a rotation stay listed in
+// ENCRYPTION_PREVIOUS_KEYS ("1:<key>,2:<key>") until every record has been re-encrypted.
+const parseMasterKey = (value, name) => {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    console.error(`FATAL: ${name} must be a 32-byte key, base64 or hex encoded.`);
+    process.exit(1);
+  }
+  return key;
+};
+
+const loadEncryptionKeys = () => {
+  const currentKeyVersion = parseInt(process.env.ENCRYPTION_KEY_VERSION, 10) || 1;
+  const keys = {};
+  (process.env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(Boolean).forEach(entry => {
+    const [version, value] = entry.trim().split(':');
+    keys[parseInt(version, 10)] = parseMasterKey(value, `ENCRYPTION_PREVIOUS_KEYS version ${version}`);
+  });
+  keys[currentKeyVersion] = parseMasterKey(process.env.ENCRYPTION_MASTER_KEY, 'ENCRYPTION_MASTER_KEY');
+  return { currentKeyVersion, keys };
+};
+
+// 'stripe' in every deployed environment. 'mock' keeps checkouts and refunds in memory so the order and
+// booking flows can run offline; it is refused in production.
+const loadPaymentSettings = () => {
+  const provider = process.env.PAYMENT_PROVIDER || 'stripe';
+  if (!['stripe', 'mock'].includes(provider)) {
+    console.error(`FATAL: PAYMENT_PROVIDER must be 'stripe' or 'mock', got '${provider}'.`);
+    process.exit(1);
+  }
+  if (provider === 'mock' && process.env.NODE_ENV === 'production') {
+    console.error("FATAL: PAYMENT_PROVIDER=mock cannot be used in production.");
+    process.exit(1);
+  }
+  return {
+    provider,
+    mockCheckoutBaseUrl: process.env.MOCK_CHECKOUT_BASE_URL || `http://localhost:${process.env.PORT}/api/payment/mock-checkout`,
+  };
+};
+
+// Orders placed before this are never auto-expired, so the first sweep after upgrading does not reject and
+// refund a backlog of old unanswered orders in one go
+const loadOrderSweepStart = () => {
+  const since = new Date(process.env.ORDER_SWEEP_SINCE);
+  if (isNaN(since.getTime())) {
+    console.error("FATAL: ORDER_SWEEP_SINCE must be an ISO date, e.g. 2025-01-31T09:00:00Z.");
+    process.exit(1);
+  }
+  return since;
+};
+
 const config = {
   nodeEnv: process.env.NODE_ENV,
   port: process.env.PORT,
@@ -75,6 +128,29 @@ const config = {
     secretKey: process.env.STRIPE_SECRET_KEY,
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
   },
+  payments: loadPaymentSettings(),
+  // Field-level encryption for secrets stored in the database, e.g. restaurant Stripe keys
+  encryption: loadEncryptionKeys(),
+  scheduledOrders: {
+    // How long before a scheduled slot the order is released to the restaurant's new-orders queue
+    leadTimeMinutes: parseInt(process.env.SCHEDULED_ORDER_LEAD_TIME_MINUTES, 10) || 45,
+    maxDaysAhead: parseInt(process.env.SCHEDULED_ORDER_MAX_DAYS_AHEAD, 10) || 7,
+  },
+  eta: {
+    // Used when neither the owner nor the restaurant settings give a preparation time
+    defaultPrepTimeMinutes: parseInt(process.env.ETA_DEFAULT_PREP_TIME_MINUTES, 10) || 20,
+    averageSpeedMph: parseFloat(process.env.ETA_AVERAGE_SPEED_MPH) || 12,
+    minTravelMinutes: parseInt(process.env.ETA_MIN_TRAVEL_MINUTES, 10) || 5,
+  },
+  orderSweeper: {
+    intervalSeconds: parseInt(process.env.ORDER_SWEEP_INTERVAL_SECONDS, 10) || 60,
+    since: loadOrderSweepStart(),
+  },
+  orderEvents: {
+    // How long dashboard events are kept for replay after a dropped connection
+    retentionHours: parseInt(process.env.ORDER_EVENT_RETENTION_HOURS, 10) || 24,
+    heartbeatSeconds: parseInt(process.env.ORDER_EVENT_HEARTBEAT_SECONDS, 10) || 25,
+  },
   featureFlags: {
     enableOffers: process.env.ENABLE_OFFERS === 'true',
     enableBookingLocks: process.env.ENABLE_BOOKING_LOCKS === 'true',
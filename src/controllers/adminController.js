@@ -4,6 +4,7 @@ import RestaurantDocuments from "../models/RestaurantDocuments.js";
 import RestaurantMedia from "../models/RestaurantMedia.js";
 import RestaurantTimings from "../models/RestaurantTimings.js";
 import User from "../models/User.js"; 
+import WebhookEvent, { WEBHOOK_EVENT_STATUSES } from "../models/WebhookEvent.js";
 import logger from "../utils/logger.js";
 import { sendRejectionEmail } from "../utils/MailUtils.js";
 import { getPaginationParams } from "../utils/paginationUtils.js";
@@ -54,6 +55,8 @@ export const getRestaurantsForAdmin = async (req, res, next) => {
                 password: 0,
                 currentOTP: 0,
                 otpGeneratedAt: 0,
+                stripeSecretKey: 0,
+                stripeWebhookSecret: 0,
             }
         });
 
@@ -290,4 +293,65 @@ export const toggleUserActiveStatus = async (req, res, next) => {
         logger.error("Error toggling user active status", { error: error.message, userId: req.params.userId });
         next(error);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @description Get a paginated list of received Stripe webhook events, newest first, filterable by status,
+ * event type and the Stripe object they concern.
+ * @route GET /api/admin/webhook-events
+ * @access Private (Super Admin)
+ */
+export const getWebhookEvents = async (req, res, next) => {
+    try {
+        const { status, type, objectId } = req.query;
+        const { page, limit, skip } = getPaginationParams(req.query);
+
+        const query = {};
+        if (status) {
+            if (!WEBHOOK_EVENT_STATUSES.includes(status)) {
+                return res.status(400).json({ success: false, message: `status must be one of: ${WEBHOOK_EVENT_STATUSES.join(', ')}.` });
+            }
+            query.status = status;
+        }
+        if (type) query.type = String(type);
+        if (objectId) query.objectId = String(objectId);
+
+        const events = await WebhookEvent.find(query)
+            .select('-payload')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+
+        const count = await WebhookEvent.countDocuments(query);
+
+        return res.status(200).json({
+            success: true,
+            data: events,
+            totalPages: Math.ceil(count / limit),
+            currentPage: page,
+        });
+    } catch (error) {
+        logger.error("Error fetching webhook events for admin", { error: error.message });
+        next(error);
+    }
+};
+
+/**
+ * @description Get a single Stripe webhook event, including the payload Stripe sent.
+ * @route GET /api/admin/webhook-events/:eventId
+ * @access Private (Super Admin)
+ */
+export const getWebhookEventDetails = async (req, res, next) => {
+    try {
+        const event = await WebhookEvent.findOne({ eventId: req.params.eventId }).lean();
+        if (!event) {
+            return res.status(404).json({ success: false, message: "Webhook event not found." });
+        }
+
+        return res.status(200).json({ success: true, data: event });
+    } catch (error) {
+        logger.error("Error fetching webhook event details for admin", { error: error.message, eventId: req.params.eventId });
+        next(error);
+    }
+};
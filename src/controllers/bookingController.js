@@ -1,20 +1,17 @@
 import mongoose from "mongoose";
-import Stripe from "stripe";
 import Restaurant from "../models/Restaurant.js";
 import RestaurantTimings from "../models/RestaurantTimings.js";
 import Table from "../models/Table.js";
 import Booking from "../models/Booking.js";
 import SlotLock from "../models/SlotLock.js";
 import { generateUniqueOrderNumber } from "../utils/orderUtils.js";
+import { getDayOfWeek } from "../utils/timingUtils.js";
+import { getLocaleSettings } from "../utils/localeUtils.js";
+import { getPaymentProvider } from "../utils/paymentProvider.js";
 import logger from "../utils/logger.js";
 import config from "../config/env.js";
 
 // --- Helper Functions ---
-const getDayOfWeek = (date) => {
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    return days[date.getUTCDay()];
-};
-
 const generateTimeSlots = (start, end, intervalMinutes = 60) => {
     const slots = [];
     const [startHour, startMinute] = start.split(':').map(Number);
@@ -156,7 +153,7 @@ export const createBookingCheckoutSession = async (req, res, next) => {
 
             const table = await Table.findById(tableId).populate({
                 path: 'restaurantId',
-                select: 'restaurantName stripeSecretKey'
+                select: 'restaurantName stripeSecretKey localeSettings'
             }).session(dbSession);
 
             if (!table) throw { statusCode: 404, message: "Table not found." };
@@ -173,27 +170,22 @@ export const createBookingCheckoutSession = async (req, res, next) => {
                 await newLock.save({ session: dbSession });
             }
 
-            const stripe = new Stripe(table.restaurantId.stripeSecretKey);
-            const bookingFee = 1; // UPDATED: Set to 1 for £1.00
-
-            const stripeSession = await stripe.checkout.sessions.create({
-                payment_method_types: ["card"],
-                line_items: [{
-                    price_data: {
-                        currency: "gbp", // UPDATED: Changed from "inr" to "gbp"
-                        product_data: {
-                            name: `Booking for ${table.restaurantId.restaurantName}`,
-                            description: `Table ${table.tableNumber} for ${guests} guests on ${date} at ${time}`,
-                        },
-                        unit_amount: bookingFee * 100, // This correctly becomes 100 pence
-                    },
-                    quantity: 1,
+            const paymentProvider = getPaymentProvider(table.restaurantId.stripeSecretKey);
+            const bookingFee = 1; // One unit of the restaurant's currency, e.g. £1.00
+            const { currency } = getLocaleSettings(table.restaurantId);
+
+            const checkoutSession = await paymentProvider.createCheckout({
+                currency,
+                lineItems: [{
+                    name: `Booking for ${table.restaurantId.restaurantName}`,
+                    description: `Table ${table.tableNumber} for ${guests} guests on ${date} at ${time}`,
+                    amount: bookingFee,
                 }],
-                mode: "payment",
-                success_url: `${config.clientUrls.successRedirect}?booking_session_id={CHECKOUT_SESSION_ID}`,
-                cancel_url: `${config.clientUrls.failureRedirect}?booking_cancelled=true`,
-                customer_email: req.user.email,
+                successUrl: `${config.clientUrls.successRedirect}?booking_session_id={CHECKOUT_SESSION_ID}`,
+                cancelUrl: `${config.clientUrls.failureRedirect}?booking_cancelled=true`,
+                customerEmail: req.user.email,
                 metadata: {
+                    purpose: 'booking',
                     customerId: customerId.toString(),
                     restaurantId: table.restaurantId._id.toString(),
                     tableId,
@@ -213,15 +205,16 @@ export const createBookingCheckoutSession = async (req, res, next) => {
                 guests,
                 status: 'pending',
                 paymentDetails: {
-                    sessionId: stripeSession.id,
-                    paymentStatus: 'paid',
-                    bookingFee: bookingFee
+                    sessionId: checkoutSession.id,
+                    paymentStatus: 'unpaid',
+                    bookingFee: bookingFee,
+                    currency
                 }
             });
             await pendingBooking.save({ session: dbSession });
             
-            checkoutUrl = stripeSession.url;
-            sessionId = stripeSession.id;
+            checkoutUrl = checkoutSession.url;
+            sessionId = checkoutSession.id;
         });
 
         res.json({ success: true, url: checkoutUrl, sessionId });
@@ -240,7 +233,7 @@ export const createBookingCheckoutSession = async (req, res, next) => {
 export const confirmBooking = async (req, res, next) => {
     const { sessionId } = req.body;
     if (!sessionId) {
-        return res.status(400).json({ success: false, message: "Stripe session ID is required." });
+        return res.status(400).json({ success: false, message: "Checkout session ID is required." });
     }
 
     const dbSession = await mongoose.startSession();
@@ -261,10 +254,10 @@ export const confirmBooking = async (req, res, next) => {
             const restaurant = await Restaurant.findById(pendingBooking.restaurantId).select('+stripeSecretKey').session(dbSession);
             if (!restaurant || !restaurant.stripeSecretKey) throw new Error("Restaurant payment configuration not found.");
 
-            const stripe = new Stripe(restaurant.stripeSecretKey);
-            const checkoutSession = await stripe.checkout.sessions.retrieve(sessionId);
+            const paymentProvider = getPaymentProvider(restaurant.stripeSecretKey);
+            const checkoutSession = await paymentProvider.retrieveCheckout(sessionId);
 
-            if (checkoutSession.payment_status !== 'paid') {
+            if (checkoutSession.paymentStatus !== 'paid') {
                 throw { statusCode: 402, message: "Payment not completed for this session." };
             }
             
@@ -276,15 +269,15 @@ export const confirmBooking = async (req, res, next) => {
             }).session(dbSession);
 
             if (doubleBookingCheck) {
-                if (checkoutSession.payment_intent) {
-                    await stripe.refunds.create({ payment_intent: checkoutSession.payment_intent });
-                }
+                await paymentProvider.refund(sessionId);
                 pendingBooking.status = 'cancelled_by_owner';
                 await pendingBooking.save({ session: dbSession });
                 throw { statusCode: 409, message: "This time slot was booked by another user just moments ago. Your payment will be refunded." };
             }
             
             pendingBooking.status = 'confirmed';
+            pendingBooking.paymentDetails.paymentStatus = 'paid';
+            pendingBooking.paymentDetails.paymentIntentId = checkoutSession.paymentIntentId;
             confirmedBooking = await pendingBooking.save({ session: dbSession });
 
             if (config.featureFlags.enableBookingLocks) {
@@ -378,10 +371,8 @@ const cancelAndRefundBooking = async (booking, dbSession, statusToSet) => {
     if (!restaurant || !restaurant.stripeSecretKey) throw new Error("Restaurant payment configuration not found.");
     
     if (booking.paymentDetails.paymentStatus === 'paid') {
-        const stripe = new Stripe(restaurant.stripeSecretKey);
-        const checkoutSession = await stripe.checkout.sessions.retrieve(booking.paymentDetails.sessionId);
-        if (checkoutSession.payment_intent) {
-            await stripe.refunds.create({ payment_intent: checkoutSession.payment_intent });
+        const refund = await getPaymentProvider(restaurant.stripeSecretKey).refund(booking.paymentDetails.sessionId);
+        if (refund) {
             booking.paymentDetails.paymentStatus = 'refunded';
         }
     }
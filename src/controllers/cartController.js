@@ -4,89 +4,77 @@ import mongoose from "mongoose";
 import User from '../models/User.js';
 import MenuItem from '../models/MenuItem.js';
 import Restaurant from "../models/Restaurant.js";
-import Announcement from "../models/Announcements.js";
+import Order from "../models/Order.js";
 import logger from "../utils/logger.js";
-import { calculateOrderPricing, processOrderItems } from "../utils/orderCalculation.js";
+import { calculateOrderPricing, processOrderItems, findAppliedOffer } from "../utils/orderCalculation.js";
+import { generateCartItemKey, getAndValidateMenuItemDetails, clearAppliedPromo } from "../utils/cartUtils.js";
+import { getLocaleSettings } from "../utils/localeUtils.js";
 
 // --- Helper Functions ---
 
-const generateCartItemKey = ({ menuItemId, selectedVariant, selectedAddons }) => {
-    const variantPart = selectedVariant?.variantId || 'novariant';
-    const addonsPart = (selectedAddons || [])
-        .map(a => a.addonId)
-        .sort()
-        .join('-');
-    return `${menuItemId}_${variantPart}_${addonsPart || 'noaddons'}`;
-};
+const roundPrice = (value) => Math.round(value * 100) / 100;
 
-const getAndValidateMenuItemDetails = async (menuItemId, quantity, selectedVariant, selectedAddons) => {
-    if (!mongoose.Types.ObjectId.isValid(menuItemId)) {
-        throw { status: 400, message: "Invalid Menu Item ID format." };
-    }
-    const menuItem = await MenuItem.findById(menuItemId).lean();
-    if (!menuItem) {
-        throw { status: 404, message: "Menu item not found." };
-    }
-    if (!menuItem.isAvailable) {
-        throw { status: 400, message: `${menuItem.itemName} is currently unavailable.`};
+/**
+ * Re-validates a past order line against the current menu item.
+ * Returns the cart line to add, or the reason the line has to be dropped.
+ */
+const rebuildCartLineFromOrder = (orderedItem, menuItem) => {
+    if (!menuItem || !menuItem.isAvailable) {
+        return { dropReason: 'Item is no longer available.' };
     }
 
-    const minQty = menuItem.minimumQuantity || 1;
-    if (quantity < minQty) {
-        throw { status: 400, message: `The minimum required quantity for this item is ${minQty}.` };
-    }
-    if (menuItem.maximumQuantity && quantity > menuItem.maximumQuantity) {
-        throw { status: 400, message: `You can only add a maximum of ${menuItem.maximumQuantity} for this item.` };
-    }
-
-    const normalizedVariant = (selectedVariant && selectedVariant.groupId && selectedVariant.variantId) ? selectedVariant : null;
-    const normalizedAddons = selectedAddons || [];
+    let unitPrice = menuItem.basePrice;
 
-    if (normalizedVariant) {
-        const group = menuItem.variantGroups.find(g => g.groupId === normalizedVariant.groupId);
-        if (!group || !group.variants.some(v => v.variantId === normalizedVariant.variantId)) {
-            throw { status: 400, message: "Invalid variant selected." };
+    let selectedVariant = null;
+    const orderedVariant = orderedItem.selectedVariants?.[0];
+    if (orderedVariant?.variantId) {
+        const group = menuItem.variantGroups.find(g => g.groupId === orderedVariant.groupId);
+        const variant = group?.variants.find(v => v.variantId === orderedVariant.variantId);
+        if (!variant) {
+            return { dropReason: `The "${orderedVariant.variantName}" option is no longer offered.` };
         }
+        selectedVariant = { groupId: orderedVariant.groupId, variantId: orderedVariant.variantId };
+        unitPrice += variant.additionalPrice || 0;
     }
 
-    if (normalizedAddons.length > 0) {
-        const addonMap = new Map();
-        menuItem.addonGroups.forEach(g => g.addons.forEach(a => addonMap.set(a.addonId, g.groupId)));
-        for (const selection of normalizedAddons) {
-            if (!addonMap.has(selection.addonId) || addonMap.get(selection.addonId) !== selection.groupId) {
-                throw { status: 400, message: `Invalid addon selected: ${selection.addonId}.` };
-            }
+    const selectedAddons = [];
+    for (const orderedAddon of orderedItem.selectedAddons || []) {
+        const group = menuItem.addonGroups.find(g => g.groupId === orderedAddon.groupId);
+        const addon = group?.addons.find(a => a.addonId === orderedAddon.addonId);
+        if (!addon) {
+            return { dropReason: `The "${orderedAddon.optionTitle}" add-on is no longer offered.` };
         }
+        selectedAddons.push({ groupId: orderedAddon.groupId, addonId: orderedAddon.addonId });
+        unitPrice += addon.price || 0;
     }
 
+    let quantity = Math.max(orderedItem.quantity, menuItem.minimumQuantity || 1);
+    if (menuItem.maximumQuantity && quantity > menuItem.maximumQuantity) {
+        quantity = menuItem.maximumQuantity;
+    }
+
+    const itemData = { menuItemId: menuItem._id, quantity, selectedVariant, selectedAddons };
+    if (orderedItem.specialInstructions) {
+        itemData.specialInstructions = orderedItem.specialInstructions;
+    }
     return {
-        menuItem,
+        itemData,
+        cartItemKey: generateCartItemKey(itemData),
         cartField: menuItem.isFood ? 'foodCart' : 'groceriesCart',
-        restaurantId: menuItem.restaurantId.toString(),
-        itemData: { 
-            menuItemId, 
-            quantity, 
-            selectedVariant: normalizedVariant, 
-            selectedAddons: normalizedAddons
-        },
+        unitPrice: roundPrice(unitPrice),
+        previousUnitPrice: roundPrice(orderedItem.itemTotal / orderedItem.quantity),
+        previousQuantity: orderedItem.quantity,
     };
 };
 
-// --- NEW HELPER ---
-const clearAppliedPromo = (user) => {
-    if (user.customerProfile?.appliedPromo?.code) {
-        user.customerProfile.appliedPromo = undefined;
-    }
-};
-
 // --- Main Controller Functions ---
 
 export const addItemToCart = async (req, res, next) => {
     try {
         const userId = req.user?._id;
-        const { menuItemId, quantity = 1, selectedVariant, selectedAddons } = req.body;
+        const { menuItemId, quantity = 1, selectedVariant, selectedAddons, specialInstructions } = req.body;
 
-        const { menuItem, cartField, restaurantId, itemData } = await getAndValidateMenuItemDetails(menuItemId, quantity, selectedVariant, selectedAddons);
+        const { menuItem, cartField, restaurantId, itemData } = await getAndValidateMenuItemDetails(menuItemId, quantity, selectedVariant, selectedAddons, specialInstructions);
 
         const user = await User.findById(userId).populate({
             path: `${cartField}.menuItemId`,
@@ -199,31 +187,19 @@ export const getCartSummary = async (req, res, next) => {
         
         const processedItems = await processOrderItems(cart);
         
-        // --- NEW: Check for and validate applied promo ---
-        let offerDetails = null;
-        let appliedOfferData = null;
+        // The same offer lookup as checkout, so the summary shows what the customer will pay
         const appliedPromo = user.customerProfile?.appliedPromo;
-
-        if (appliedPromo?.code && appliedPromo.cartType === cartType) {
-            const offer = await Announcement.findOne({
-                'offerDetails.promoCode': appliedPromo.code,
-                isActive: true,
-                'offerDetails.validUntil': { $gte: new Date() }
-            }).lean();
-
-            if (offer && offer.restaurantId.toString() === restaurant._id.toString()) {
-                offerDetails = offer.offerDetails;
-            } else {
-                // Invalid promo found, clear it
-                clearAppliedPromo(user);
-                await user.save();
-            }
+        const offerDetails = await findAppliedOffer(appliedPromo, cartType, restaurant._id);
+        if (appliedPromo?.code && appliedPromo.cartType === cartType && !offerDetails) {
+            // Invalid promo found, clear it
+            clearAppliedPromo(user);
+            await user.save();
         }
-        // --- END NEW ---
         
         // Delivery fee is not included here as it requires an address
         const { pricing, appliedOffer } = calculateOrderPricing(processedItems, 0, restaurant, offerDetails);
         const totalItems = cart.reduce((sum, item) => sum + item.quantity, 0);
+        const { currency, locale } = getLocaleSettings(restaurant);
 
         return res.status(200).json({ 
             success: true, 
@@ -235,6 +211,9 @@ export const getCartSummary = async (req, res, next) => {
                 appliedOffer: appliedOffer,
                 deliveryFee: null, // Delivery fee requires address, cannot be calculated here
                 totalAmount: pricing.totalAmount,
+                vat: pricing.vat, // Included in the total, not added to it
+                currency,
+                locale,
             } 
         });
     } catch (error) {
@@ -347,4 +326,142 @@ export const clearCart = async (req, res, next) => {
         logger.error("Error clearing cart", { error: error.message });
         next(error);
     }
+};
+
+/**
+ * @description Rebuilds the customer's cart from one of their past orders, re-validating every line against the current menu.
+ * The response lists the lines that were dropped, repriced or had their quantity adjusted.
+ * @route POST /api/orders/:orderId/reorder
+ * @access Private (User)
+ */
+export const reorderFromOrder = async (req, res, next) => {
+    try {
+        const userId = req.user?._id;
+        const { orderId } = req.params;
+        const { replaceCart = false } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ success: false, message: "Invalid order ID format." });
+        }
+
+        const order = await Order.findOne({ _id: orderId, customerId: userId }).lean();
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found." });
+        }
+
+        const restaurant = await Restaurant.findById(order.restaurantId).select('isActive').lean();
+        if (!restaurant || !restaurant.isActive) {
+            return res.status(400).json({ success: false, message: "This restaurant is currently not accepting orders." });
+        }
+
+        const menuItems = await MenuItem.find({ _id: { $in: order.orderedItems.map(item => item.itemId) } }).lean();
+        const menuItemsMap = new Map(menuItems.map(item => [item._id.toString(), item]));
+
+        const linesToAdd = [];
+        const droppedItems = [];
+        const repricedItems = [];
+
+        for (const orderedItem of order.orderedItems) {
+            const line = rebuildCartLineFromOrder(orderedItem, menuItemsMap.get(orderedItem.itemId?.toString()));
+            if (line.dropReason) {
+                droppedItems.push({ itemId: orderedItem.itemId, itemName: orderedItem.itemName, reason: line.dropReason });
+                continue;
+            }
+            if (line.unitPrice !== line.previousUnitPrice) {
+                repricedItems.push({
+                    itemId: orderedItem.itemId,
+                    itemName: orderedItem.itemName,
+                    previousUnitPrice: line.previousUnitPrice,
+                    currentUnitPrice: line.unitPrice
+                });
+            }
+            linesToAdd.push(line);
+        }
+
+        if (linesToAdd.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "None of the items from this order are currently available.",
+                data: { droppedItems }
+            });
+        }
+
+        const user = await User.findById(userId).populate([
+            { path: 'foodCart.menuItemId', select: 'restaurantId maximumQuantity' },
+            { path: 'groceriesCart.menuItemId', select: 'restaurantId maximumQuantity' }
+        ]);
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+
+        const cartField = linesToAdd[0].cartField;
+        const existingCart = user[cartField];
+        const restaurantId = order.restaurantId.toString();
+
+        if (existingCart.length > 0 && existingCart[0].menuItemId) {
+            const cartRestaurantId = existingCart[0].menuItemId.restaurantId.toString();
+            if (cartRestaurantId !== restaurantId || replaceCart) {
+                if (!replaceCart) {
+                    return res.status(409).json({ message: "Your cart contains items from another restaurant. Clear your cart or reorder with replaceCart set to true." });
+                }
+                user[cartField] = [];
+                clearAppliedPromo(user);
+            }
+        }
+
+        // Lines whose quantity had to change to fit the item's current minimum and maximum, including when
+        // merging with the same line already in the cart
+        const adjustedItems = [];
+        const cart = user[cartField];
+        for (const line of linesToAdd) {
+            const menuItem = menuItemsMap.get(line.itemData.menuItemId.toString());
+            const existingItem = cart.find(item => item.cartItemKey === line.cartItemKey);
+            let requestedQuantity = line.previousQuantity;
+            let cartQuantity = line.itemData.quantity;
+            if (existingItem) {
+                requestedQuantity += existingItem.quantity;
+                const newQuantity = existingItem.quantity + line.itemData.quantity;
+                existingItem.quantity = menuItem.maximumQuantity ? Math.min(newQuantity, menuItem.maximumQuantity) : newQuantity;
+                cartQuantity = existingItem.quantity;
+            } else {
+                cart.push({ ...line.itemData, cartItemKey: line.cartItemKey });
+            }
+            if (cartQuantity !== requestedQuantity) {
+                adjustedItems.push({
+                    cartItemKey: line.cartItemKey,
+                    itemId: menuItem._id,
+                    itemName: menuItem.itemName,
+                    requestedQuantity,
+                    quantity: cartQuantity,
+                    reason: cartQuantity < requestedQuantity
+                        ? `At most ${menuItem.maximumQuantity} can be ordered at once.`
+                        : `At least ${menuItem.minimumQuantity} must be ordered.`
+                });
+            }
+        }
+
+        await user.save();
+
+        return res.status(200).json({
+            success: true,
+            message: droppedItems.length || repricedItems.length || adjustedItems.length
+                ? "Items added to your cart. Some items have changed since your last order."
+                : "All items from this order have been added to your cart.",
+            data: {
+                cartType: cartField,
+                addedItems: linesToAdd.map(line => ({
+                    cartItemKey: line.cartItemKey,
+                    itemName: menuItemsMap.get(line.itemData.menuItemId.toString()).itemName,
+                    quantity: line.itemData.quantity,
+                    unitPrice: line.unitPrice
+                })),
+                droppedItems,
+                repricedItems,
+                adjustedItems
+            }
+        });
+    } catch (error) {
+        logger.error("Error reordering from order", { error: error.message, orderId: req.params.orderId });
+        next(error);
+    }
 };
\ No newline at end of file
@@ -3,6 +3,14 @@ import User from "../models/User.js";
 import Order from "../models/Order.js";
 import logger from "../utils/logger.js";
 import { getPaginationParams } from "../utils/paginationUtils.js";
+import { parseReportDateRange } from "../utils/timingUtils.js";
+import { applyStatusTransition } from "../utils/orderStatus.js";
+import { refreshEta } from "../utils/etaUtils.js";
+import { assignBillNumber } from "../utils/orderUtils.js";
+import { publishOrderStatusChange } from "../utils/orderEvents.js";
+
+const PARTNER_STATUSES = ['picked_up', 'out_for_delivery', 'delivered', 'delivery_failed'];
+const ACTIVE_DELIVERY_STATUSES = ['accepted', 'preparing', 'ready', 'picked_up', 'out_for_delivery'];
 
 /**
  * @description Allows a delivery partner to update their availability status.
@@ -52,11 +60,11 @@ export const getAssignedOrders = async (req, res, next) => {
     try {
         const query = { assignedDeliveryPartnerId: partnerId };
 
-        if (status && ['out_for_delivery', 'delivered'].includes(status)) {
+        if (status && [...ACTIVE_DELIVERY_STATUSES, 'delivered', 'delivery_failed'].includes(status)) {
             query.status = status;
         } else {
             // Default to only ongoing orders if no status is specified
-            query.status = 'out_for_delivery'; 
+            query.status = { $in: ACTIVE_DELIVERY_STATUSES };
         }
 
         const orders = await Order.find(query)
@@ -83,22 +91,26 @@ export const getAssignedOrders = async (req, res, next) => {
 };
 
 /**
- * @description Allows a delivery partner to mark their assigned order as delivered.
+ * @description Allows a delivery partner to move their assigned order through pickup and delivery.
  * @route PATCH /api/delivery/orders/:orderId/update-status
  * @access Private (Delivery Partner)
  */
 export const updateOrderStatusByPartner = async (req, res, next) => {
     const { orderId } = req.params;
     const partnerId = req.user._id;
-    const { status } = req.body;
+    const { status, note } = req.body;
 
-    if (status !== 'delivered') {
-        return res.status(400).json({ success: false, message: "Invalid status. Delivery partners can only mark orders as 'delivered'." });
+    if (!PARTNER_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `Invalid status. Delivery partners can only set: ${PARTNER_STATUSES.join(', ')}.` });
+    }
+    if (status === 'delivery_failed' && !note) {
+        return res.status(400).json({ success: false, message: "A note explaining why the delivery failed is required." });
     }
 
     const session = await mongoose.startSession();
     try {
         let updatedOrderData;
+        let previous;
         await session.withTransaction(async () => {
             const order = await Order.findById(orderId).session(session);
 
@@ -108,33 +120,39 @@ export const updateOrderStatusByPartner = async (req, res, next) => {
             if (order.assignedDeliveryPartnerId?.toString() !== partnerId.toString()) {
                 throw { statusCode: 403, message: "You are not authorized to update this order." };
             }
-            if (order.status !== 'out_for_delivery') {
-                throw { statusCode: 400, message: `Cannot update order. Current status is '${order.status}', not 'out_for_delivery'.` };
-            }
 
-            // Update order status
-            order.status = 'delivered';
-            order.deliveryDate = new Date(); // Record delivery time
+            previous = { status: order.status, paymentStatus: order.paymentStatus };
+            applyStatusTransition(order, status, { actor: 'partner', actorId: partnerId, note });
+            refreshEta(order, status);
 
-            // If it's a cash order, mark payment as complete
-            if (order.paymentType === 'cash') {
-                order.paymentStatus = 'paid';
+            if (status === 'delivered') {
+                order.deliveryDate = new Date(); // Record delivery time
+
+                // If it's a cash order, mark payment as complete
+                if (order.paymentType === 'cash') {
+                    order.paymentStatus = 'paid';
+                }
+                await assignBillNumber(order, { session });
             }
 
-            // Make the delivery partner available again
-            await User.updateOne(
-                { _id: partnerId },
-                { $set: { "deliveryPartnerProfile.isAvailable": true } },
-                { session }
-            );
+            if (status === 'delivered' || status === 'delivery_failed') {
+                // Make the delivery partner available again
+                await User.updateOne(
+                    { _id: partnerId },
+                    { $set: { "deliveryPartnerProfile.isAvailable": true } },
+                    { session }
+                );
+            }
 
             const updatedOrder = await order.save({ session });
             updatedOrderData = updatedOrder;
         });
 
+        await publishOrderStatusChange(updatedOrderData, previous);
+
         return res.status(200).json({
             success: true,
-            message: "Order marked as delivered successfully.",
+            message: `Order marked as ${status} successfully.`,
             data: updatedOrderData
         });
 
@@ -147,4 +165,49 @@ export const updateOrderStatusByPartner = async (req, res, next) => {
     } finally {
         session.endSession();
     }
+};
+
+/**
+ * @description Summarises the logged-in delivery partner's completed deliveries and tips, per day and in total.
+ * @route GET /api/delivery/earnings?startDate=&endDate=
+ * @access Private (Delivery Partner)
+ */
+export const getMyEarnings = async (req, res, next) => {
+    const partnerId = req.user?._id;
+
+    try {
+        const { error: dateError, createdAt } = parseReportDateRange(req.query);
+        if (dateError) {
+            return res.status(400).json({ success: false, message: dateError });
+        }
+
+        const [earnings] = await Order.aggregate([
+            { $match: { assignedDeliveryPartnerId: new mongoose.Types.ObjectId(partnerId), status: 'delivered', createdAt } },
+            {
+                $facet: {
+                    "totals": [
+                        { $group: { _id: null, deliveries: { $sum: 1 }, tipTotal: { $sum: { $ifNull: ["$pricing.tipAmount", 0] } }, tippedDeliveries: { $sum: { $cond: [{ $gt: ["$pricing.tipAmount", 0] }, 1, 0] } } } }
+                    ],
+                    "daily": [
+                        { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, deliveries: { $sum: 1 }, tipTotal: { $sum: { $ifNull: ["$pricing.tipAmount", 0] } } } },
+                        { $sort: { _id: 1 } }
+                    ]
+                }
+            }
+        ]);
+
+        const totals = earnings.totals[0] || { deliveries: 0, tipTotal: 0, tippedDeliveries: 0 };
+        return res.status(200).json({
+            success: true,
+            data: {
+                deliveries: totals.deliveries,
+                tippedDeliveries: totals.tippedDeliveries,
+                tipTotal: Math.round(totals.tipTotal * 100) / 100,
+                daily: earnings.daily.map(({ _id, deliveries, tipTotal }) => ({ date: _id, deliveries, tipTotal: Math.round(tipTotal * 100) / 100 }))
+            }
+        });
+    } catch (error) {
+        logger.error("Error fetching delivery partner earnings", { error: error.message, partnerId });
+        next(error);
+    }
 };
\ No newline at end of file
@@ -0,0 +1,500 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import GroupOrder from "../models/GroupOrder.js";
+import Order from "../models/Order.js";
+import Restaurant from "../models/Restaurant.js";
+import { generateCartItemKey, getAndValidateMenuItemDetails } from "../utils/cartUtils.js";
+import { validateCart, processOrderItems, resolveOrderPreferences, priceCartCheckout } from "../utils/orderCalculation.js";
+import { getPaymentProvider, buildOrderCheckoutLines } from "../utils/paymentProvider.js";
+import { generateUniqueOrderNumber } from "../utils/orderUtils.js";
+import { generateJoinCode, loadGroupCart, buildGroupBreakdown } from "../utils/groupOrderUtils.js";
+import { initialStatusHistory } from "../utils/orderStatus.js";
+import { publishOrderEvent } from "../utils/orderEvents.js";
+import { getLocaleSettings } from "../utils/localeUtils.js";
+import { decryptSecret } from "../utils/encryptionUtils.js";
+import logger from "../utils/logger.js";
+import config from "../config/env.js";
+
+const GROUP_ORDER_TTL_HOURS = 4;
+const MAX_PARTICIPANTS = 25;
+
+// --- Helper Functions ---
+
+const isSameUser = (a, b) => a?.toString() === b?.toString();
+
+/**
+ * Loads a group order the caller takes part in. Hosts can additionally be required.
+ */
+const findGroupOrderForUser = async (groupOrderId, userId, { hostOnly = false } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(groupOrderId)) {
+        throw { status: 400, message: "Invalid group order ID format." };
+    }
+    const groupOrder = await GroupOrder.findById(groupOrderId);
+    if (!groupOrder || !groupOrder.participants.some(p => isSameUser(p.userId, userId))) {
+        throw { status: 404, message: "Group order not found." };
+    }
+    if (hostOnly && !isSameUser(groupOrder.hostId, userId)) {
+        throw { status: 403, message: "Only the host can do this." };
+    }
+    return groupOrder;
+};
+
+const assertOpen = (groupOrder) => {
+    if (groupOrder.status !== 'open') {
+        throw { status: 400, message: `This group order is ${groupOrder.status.replace('_', ' ')} and can no longer be changed.` };
+    }
+    if (groupOrder.expiresAt < new Date()) {
+        throw { status: 400, message: "This group order has expired." };
+    }
+};
+
+const getParticipant = (groupOrder, userId) => groupOrder.participants.find(p => isSameUser(p.userId, userId));
+
+/**
+ * Builds the shared cart view with each participant's lines and running subtotal.
+ */
+const buildGroupOrderView = async (groupOrderId) => {
+    const { groupOrder, cart, lineOwners } = await loadGroupCart(groupOrderId);
+    const subtotals = new Map();
+    if (cart.length > 0) {
+        const processedItems = await processOrderItems(cart).catch(() => null);
+        processedItems?.forEach((item, index) => {
+            const key = lineOwners[index].toString();
+            subtotals.set(key, (subtotals.get(key) || 0) + item.itemTotal);
+        });
+    }
+    return {
+        ...groupOrder,
+        participants: groupOrder.participants.map(participant => ({
+            ...participant,
+            itemsSubtotal: Math.round((subtotals.get(participant.userId.toString()) || 0) * 100) / 100
+        }))
+    };
+};
+
+// --- Controller Functions ---
+
+/**
+ * @description Starts a group order for a restaurant. The caller becomes the host and receives a join code to share.
+ * @route POST /api/group-orders
+ * @access Private (User)
+ */
+export const createGroupOrder = async (req, res, next) => {
+    const user = req.user;
+    const { restaurantId } = req.body;
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+            return res.status(400).json({ success: false, message: "A valid restaurantId is required." });
+        }
+        const restaurant = await Restaurant.findById(restaurantId).select('isActive').lean();
+        if (!restaurant || !restaurant.isActive) {
+            return res.status(404).json({ success: false, message: "Restaurant not found or not accepting orders." });
+        }
+
+        let groupOrder;
+        // Retry on the (unlikely) event of a join code collision
+        for (let attempt = 0; attempt < 3 && !groupOrder; attempt++) {
+            try {
+                groupOrder = await GroupOrder.create({
+                    hostId: user._id,
+                    restaurantId,
+                    joinCode: generateJoinCode(),
+                    participants: [{ userId: user._id, name: user.fullName }],
+                    expiresAt: new Date(Date.now() + GROUP_ORDER_TTL_HOURS * 60 * 60 * 1000)
+                });
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+            }
+        }
+        if (!groupOrder) {
+            throw new Error("Could not generate a unique join code.");
+        }
+
+        return res.status(201).json({ success: true, message: "Group order created. Share the join code with your group.", data: groupOrder });
+    } catch (error) {
+        logger.error("Error creating group order", { error: error.message, userId: user?._id });
+        next(error);
+    }
+};
+
+/**
+ * @description Joins an open group order using its join code.
+ * @route POST /api/group-orders/join
+ * @access Private (User)
+ */
+export const joinGroupOrder = async (req, res, next) => {
+    const user = req.user;
+    const { joinCode } = req.body;
+
+    try {
+        if (!joinCode) {
+            return res.status(400).json({ success: false, message: "A join code is required." });
+        }
+        const groupOrder = await GroupOrder.findOne({ joinCode: joinCode.toString().trim().toUpperCase() });
+        if (!groupOrder) {
+            return res.status(404).json({ success: false, message: "No group order found for this code." });
+        }
+        assertOpen(groupOrder);
+
+        if (!getParticipant(groupOrder, user._id)) {
+            if (groupOrder.participants.length >= MAX_PARTICIPANTS) {
+                return res.status(400).json({ success: false, message: `Group orders are limited to ${MAX_PARTICIPANTS} people.` });
+            }
+            groupOrder.participants.push({ userId: user._id, name: user.fullName });
+            await groupOrder.save();
+        }
+
+        return res.status(200).json({ success: true, message: "You have joined the group order.", data: await buildGroupOrderView(groupOrder._id) });
+    } catch (error) {
+        logger.error("Error joining group order", { error: error.message, userId: user?._id });
+        next(error);
+    }
+};
+
+/**
+ * @description Gets the shared cart with every participant's lines and subtotal.
+ * @route GET /api/group-orders/:groupOrderId
+ * @access Private (Participant)
+ */
+export const getGroupOrder = async (req, res, next) => {
+    try {
+        const groupOrder = await findGroupOrderForUser(req.params.groupOrderId, req.user._id);
+        return res.status(200).json({ success: true, data: await buildGroupOrderView(groupOrder._id) });
+    } catch (error) {
+        logger.error("Error fetching group order", { error: error.message, groupOrderId: req.params.groupOrderId });
+        next(error);
+    }
+};
+
+/**
+ * @description Adds an item to the caller's own lines in the group cart.
+ * @route POST /api/group-orders/:groupOrderId/items
+ * @access Private (Participant)
+ */
+export const addGroupOrderItem = async (req, res, next) => {
+    const userId = req.user._id;
+    const { menuItemId, quantity = 1, selectedVariant, selectedAddons, specialInstructions } = req.body;
+
+    try {
+        const groupOrder = await findGroupOrderForUser(req.params.groupOrderId, userId);
+        assertOpen(groupOrder);
+
+        const { menuItem, restaurantId, itemData } = await getAndValidateMenuItemDetails(menuItemId, quantity, selectedVariant, selectedAddons, specialInstructions);
+        if (restaurantId !== groupOrder.restaurantId.toString()) {
+            return res.status(400).json({ success: false, message: "This item is not from the group order's restaurant." });
+        }
+
+        const participant = getParticipant(groupOrder, userId);
+        const cartItemKey = generateCartItemKey(itemData);
+        const existingItem = participant.items.find(item => item.cartItemKey === cartItemKey);
+
+        if (existingItem) {
+            const newQuantity = existingItem.quantity + quantity;
+            if (menuItem.maximumQuantity && newQuantity > menuItem.maximumQuantity) {
+                return res.status(400).json({ success: false, message: `This would exceed the maximum allowed quantity (${menuItem.maximumQuantity}) for this item.` });
+            }
+            existingItem.quantity = newQuantity;
+        } else {
+            participant.items.push({ ...itemData, cartItemKey });
+        }
+
+        await groupOrder.save();
+        return res.status(200).json({ success: true, message: "Item added to the group order.", data: await buildGroupOrderView(groupOrder._id) });
+    } catch (error) {
+        logger.error("Error adding item to group order", { error: error.message, status: error.status });
+        next(error);
+    }
+};
+
+/**
+ * @description Changes the quantity of one of the caller's lines. A quantity of 0 removes the line.
+ * @route PATCH /api/group-orders/:groupOrderId/items/:cartItemKey
+ * @access Private (Participant)
+ */
+export const updateGroupOrderItem = async (req, res, next) => {
+    const userId = req.user._id;
+    const { cartItemKey } = req.params;
+    const { quantity } = req.body;
+
+    try {
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            return res.status(400).json({ success: false, message: "Quantity must be a whole number of 0 or more." });
+        }
+        const groupOrder = await findGroupOrderForUser(req.params.groupOrderId, userId);
+        assertOpen(groupOrder);
+
+        const participant = getParticipant(groupOrder, userId);
+        const line = participant.items.find(item => item.cartItemKey === cartItemKey);
+        if (!line) {
+            return res.status(404).json({ success: false, message: "Item not found in your part of the group order." });
+        }
+
+        if (quantity === 0) {
+            participant.items = participant.items.filter(item => item.cartItemKey !== cartItemKey);
+        } else {
+            await getAndValidateMenuItemDetails(line.menuItemId, quantity, line.selectedVariant, line.selectedAddons);
+            line.quantity = quantity;
+        }
+
+        await groupOrder.save();
+        return res.status(200).json({ success: true, message: "Group order updated.", data: await buildGroupOrderView(groupOrder._id) });
+    } catch (error) {
+        logger.error("Error updating group order item", { error: error.message, status: error.status });
+        next(error);
+    }
+};
+
+/**
+ * @description Lets a participant leave a group order, taking their items with them. The host cannot leave.
+ * @route POST /api/group-orders/:groupOrderId/leave
+ * @access Private (Participant)
+ */
+export const leaveGroupOrder = async (req, res, next) => {
+    const userId = req.user._id;
+
+    try {
+        const groupOrder = await findGroupOrderForUser(req.params.groupOrderId, userId);
+        assertOpen(groupOrder);
+        if (isSameUser(groupOrder.hostId, userId)) {
+            return res.status(400).json({ success: false, message: "The host cannot leave. Cancel the group order instead." });
+        }
+
+        groupOrder.participants = groupOrder.participants.filter(p => !isSameUser(p.userId, userId));
+        await groupOrder.save();
+        return res.status(200).json({ success: true, message: "You have left the group order." });
+    } catch (error) {
+        logger.error("Error leaving group order", { error: error.message, status: error.status });
+        next(error);
+    }
+};
+
+/**
+ * @description Removes a participant and their items from the group order.
+ * @route DELETE /api/group-orders/:groupOrderId/participants/:userId
+ * @access Private (Host)
+ */
+export const removeGroupOrderParticipant = async (req, res, next) => {
+    const hostId = req.user._id;
+    const { userId } = req.params;
+
+    try {
+        const groupOrder = await findGroupOrderForUser(req.params.groupOrderId, hostId, { hostOnly: true });
+        if (!['open', 'locked'].includes(groupOrder.status)) {
+            return res.status(400).json({ success: false, message: `This group order is already ${groupOrder.status.replace('_', ' ')}.` });
+        }
+        if (isSameUser(userId, hostId)) {
+            return res.status(400).json({ success: false, message: "The host cannot be removed." });
+        }
+        if (!getParticipant(groupOrder, userId)) {
+            return res.status(404).json({ success: false, message: "Participant not found." });
+        }
+
+        groupOrder.participants = groupOrder.participants.filter(p => !isSameUser(p.userId, userId));
+        await groupOrder.save();
+        return res.status(200).json({ success: true, message: "Participant removed.", data: await buildGroupOrderView(groupOrder._id) });
+    } catch (error) {
+        logger.error("Error removing group order participant", { error: error.message, status: error.status });
+        next(error);
+    }
+};
+
+/**
+ * @description Locks or unlocks the group cart. While locked, nobody can join or change items.
+ * @route PATCH /api/group-orders/:groupOrderId/lock
+ * @access Private (Host)
+ */
+export const setGroupOrderLock = async (req, res, next) => {
+    const { locked } = req.body;
+
+    try {
+        if (typeof locked !== 'boolean') {
+            return res.status(400).json({ success: false, message: "A boolean 'locked' field is required." });
+        }
+        const groupOrder = await findGroupOrderForUser(req.params.groupOrderId, req.user._id, { hostOnly: true });
+        if (!['open', 'locked'].includes(groupOrder.status)) {
+            return res.status(400).json({ success: false, message: `This group order is already ${groupOrder.status.replace('_', ' ')}.` });
+        }
+
+        // Conditional, so a checkout that claimed the cart meanwhile is not undone
+        const updated = await GroupOrder.findOneAndUpdate(
+            { _id: groupOrder._id, status: { $in: ['open', 'locked'] } },
+            { $set: { status: locked ? 'locked' : 'open' } },
+            { new: true }
+        );
+        if (!updated) {
+            return res.status(409).json({ success: false, message: "This group order is being checked out." });
+        }
+        return res.status(200).json({ success: true, message: locked ? "Group order locked." : "Group order reopened.", data: updated });
+    } catch (error) {
+        logger.error("Error locking group order", { error: error.message, status: error.status });
+        next(error);
+    }
+};
+
+/**
+ * @description Cancels a group order that has not been checked out.
+ * @route DELETE /api/group-orders/:groupOrderId
+ * @access Private (Host)
+ */
+export const cancelGroupOrder = async (req, res, next) => {
+    try {
+        const groupOrder = await findGroupOrderForUser(req.params.groupOrderId, req.user._id, { hostOnly: true });
+        if (!['open', 'locked'].includes(groupOrder.status)) {
+            return res.status(400).json({ success: false, message: `This group order is already ${groupOrder.status.replace('_', ' ')}.` });
+        }
+
+        const cancelResult = await GroupOrder.updateOne(
+            { _id: groupOrder._id, status: { $in: ['open', 'locked'] } },
+            { $set: { status: 'cancelled' } }
+        );
+        if (cancelResult.matchedCount === 0) {
+            return res.status(409).json({ success: false, message: "This group order is being checked out." });
+        }
+        return res.status(200).json({ success: true, message: "Group order cancelled." });
+    } catch (error) {
+        logger.error("Error cancelling group order", { error: error.message, status: error.status });
+        next(error);
+    }
+};
+
+/**
+ * @description Checks out the whole group cart as one Order with a per-person breakdown.
+ * Cash orders are placed immediately; card orders return a checkout URL and are created by the webhook.
+ * The group order is held in 'checking_out' for the duration, and handed back locked if checkout fails.
+ * @route POST /api/group-orders/:groupOrderId/checkout
+ * @access Private (Host)
+ */
+export const checkoutGroupOrder = async (req, res, next) => {
+    const host = req.user;
+    const { paymentType = 'cash', orderType = 'delivery', deliveryAddress, pickupTime, tableId, notes, preferences } = req.body;
+
+    try {
+        if (!['cash', 'card'].includes(paymentType)) {
+            return res.status(400).json({ success: false, message: "paymentType must be 'cash' or 'card'." });
+        }
+        const groupOrder = await findGroupOrderForUser(req.params.groupOrderId, host._id, { hostOnly: true });
+        if (!['open', 'locked'].includes(groupOrder.status)) {
+            return res.status(400).json({ success: false, message: `This group order is already ${groupOrder.status.replace('_', ' ')}.` });
+        }
+
+        const { groupOrder: groupCart, cart, lineOwners } = await loadGroupCart(groupOrder._id);
+        const { error: cartError, restaurantId } = validateCart(cart);
+        if (cartError) {
+            return res.status(400).json({ success: false, message: cartError });
+        }
+
+        const restaurant = await Restaurant.findById(restaurantId).select('+stripeSecretKey').lean();
+        if (!restaurant || !restaurant.isActive) {
+            return res.status(400).json({ success: false, message: "This restaurant is currently not accepting orders." });
+        }
+        if (paymentType === 'cash' && orderType === 'delivery' && !restaurant.acceptsCashOnDelivery) {
+            return res.status(400).json({ success: false, message: "This restaurant does not accept Cash on Delivery." });
+        }
+        if (paymentType === 'card' && !restaurant.stripeSecretKey) {
+            return res.status(400).json({ success: false, message: "This restaurant is currently not accepting online payments." });
+        }
+
+        const { error: pricingError, processedItems, pricing, fulfilment } = await priceCartCheckout(cart, restaurant, { orderType, deliveryAddress, pickupTime, tableId });
+        if (pricingError) {
+            return res.status(400).json({ success: false, message: pricingError });
+        }
+
+        const { error: preferencesError, preferences: orderPreferences } = resolveOrderPreferences(preferences, orderType);
+        if (preferencesError) {
+            return res.status(400).json({ success: false, message: preferencesError });
+        }
+
+        const { orderedItems, groupBreakdown } = buildGroupBreakdown(groupCart, processedItems, lineOwners, pricing);
+
+        // Claim the cart first, so nobody can change it and a second checkout cannot start while the host is paying
+        const claimResult = await GroupOrder.updateOne(
+            { _id: groupOrder._id, status: { $in: ['open', 'locked'] } },
+            { $set: { status: 'checking_out' } }
+        );
+        if (claimResult.matchedCount === 0) {
+            return res.status(409).json({ success: false, message: "This group order is already being checked out." });
+        }
+        // Hands the cart back, still locked, when this checkout does not go through
+        const releaseClaim = () => GroupOrder.updateOne(
+            { _id: groupOrder._id, status: 'checking_out' },
+            { $set: { status: 'locked' }, $unset: { checkoutSessionId: 1 } }
+        );
+
+        const { currency } = getLocaleSettings(restaurant);
+        if (paymentType === 'card') {
+            const paymentProvider = getPaymentProvider(decryptSecret(restaurant.stripeSecretKey));
+            let session;
+            try {
+                session = await paymentProvider.createCheckout({
+                    currency,
+                    ...buildOrderCheckoutLines({ processedItems, pricing, appliedOffer: null }),
+                    successUrl: `${config.clientUrls.successRedirect}?order_session_id={CHECKOUT_SESSION_ID}`,
+                    cancelUrl: config.clientUrls.failureRedirect,
+                    customerEmail: host.email,
+                    metadata: {
+                        userId: host._id.toString(),
+                        cartType: '',
+                        restaurantId: restaurantId.toString(),
+                        idempotencyKey: config.featureFlags.enableIdempotencyCheck ? uuidv4() : null,
+                        groupOrderId: groupOrder._id.toString(),
+                        orderType: fulfilment.orderType,
+                        deliveryAddress: fulfilment.deliveryAddress ? JSON.stringify(fulfilment.deliveryAddress) : '',
+                        pickupTime: fulfilment.pickupTime ? fulfilment.pickupTime.toISOString() : '',
+                        tableId: fulfilment.tableId ? fulfilment.tableId.toString() : '',
+                        scheduledFor: '',
+                        tipAmount: '0',
+                        preferences: JSON.stringify(orderPreferences),
+                    }
+                });
+            } catch (error) {
+                await releaseClaim();
+                throw error;
+            }
+            await GroupOrder.updateOne({ _id: groupOrder._id }, { $set: { checkoutSessionId: session.id } });
+            return res.status(200).json({ success: true, url: session.url, sessionId: session.id, data: { pricing, groupBreakdown } });
+        }
+
+        const dbSession = await mongoose.startSession();
+        let newOrder;
+        try {
+            await dbSession.withTransaction(async () => {
+                newOrder = await new Order({
+                    orderNumber: generateUniqueOrderNumber(),
+                    restaurantId,
+                    customerId: host._id,
+                    customerDetails: { name: host.fullName, phoneNumber: host.phoneNumber },
+                    ...fulfilment,
+                    orderedItems,
+                    pricing,
+                    currency,
+                    paymentType: 'cash',
+                    paymentStatus: 'pending',
+                    acceptanceStatus: 'pending',
+                    statusHistory: initialStatusHistory(host._id),
+                    groupOrderId: groupOrder._id,
+                    groupBreakdown,
+                    notes: notes || '',
+                    preferences: orderPreferences,
+                }).save({ session: dbSession });
+
+                await GroupOrder.updateOne(
+                    { _id: groupOrder._id, status: 'checking_out' },
+                    { $set: { status: 'checked_out', orderId: newOrder._id } },
+                    { session: dbSession }
+                );
+            });
+        } catch (error) {
+            await releaseClaim();
+            throw error;
+        } finally {
+            dbSession.endSession();
+        }
+
+        await publishOrderEvent('order.created', newOrder);
+        return res.status(201).json({ success: true, message: "Group order placed successfully!", data: newOrder });
+    } catch (error) {
+        logger.error("Error checking out group order", { error: error.message, status: error.status, hostId: host?._id });
+        next(error);
+    }
+};
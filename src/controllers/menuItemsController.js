@@ -6,6 +6,7 @@ import Category from "../models/Category.js";
 import uploadOnCloudinary from "../config/cloudinary.js";
 import logger from "../utils/logger.js";
 import { getPaginationParams } from "../utils/paginationUtils.js";
+import { VAT_RATE_CODES } from "../utils/vatUtils.js";
 
 // A custom error class for creating predictable, handled errors.
 class ApiError extends Error {
@@ -15,6 +16,16 @@ class ApiError extends Error {
   }
 }
 
+// An empty value clears the item's own rate so the restaurant default applies again
+const parseVatRate = (vatRate) => {
+  if (vatRate === undefined) return undefined;
+  if (vatRate === null || vatRate === '') return null;
+  if (!VAT_RATE_CODES.includes(vatRate)) {
+    throw new ApiError(400, `vatRate must be one of: ${VAT_RATE_CODES.join(', ')}.`);
+  }
+  return vatRate;
+};
+
 const findOrCreateCategories = async (categoryNames, session) => {
   if (!categoryNames?.length) return [];
   const categoryPromises = categoryNames.map(name => {
@@ -56,11 +67,12 @@ export const addMenuItem = async (req, res, next) => {
   const session = await mongoose.startSession();
 
   try {
-    const { itemName, isFood, itemType, basePrice, categoryNames, description, packageType, minimumQuantity, maximumQuantity, isBestseller, variantGroups: variantGroupsJSON, addonGroups: addonGroupsJSON } = req.body;
+    const { itemName, isFood, itemType, basePrice, categoryNames, description, packageType, minimumQuantity, maximumQuantity, isBestseller, vatRate, variantGroups: variantGroupsJSON, addonGroups: addonGroupsJSON } = req.body;
 
     if (!itemName || isFood === undefined || !itemType || !basePrice) {
       throw new ApiError(400, "Missing required fields: itemName, isFood, itemType, basePrice.");
     }
+    const parsedVatRate = parseVatRate(vatRate);
 
     const { displayImage, galleryImages } = await handleImageUploads(req.files);
     let newMenuItem;
@@ -93,7 +105,7 @@ export const addMenuItem = async (req, res, next) => {
 
       const menuItemData = new MenuItem({
         restaurantId, itemName, description, isFood: isFoodBool,
-        itemType, basePrice: parsedBasePrice, packageType,
+        itemType, basePrice: parsedBasePrice, packageType, vatRate: parsedVatRate,
         minimumQuantity, maximumQuantity, variantGroups, addonGroups, isBestseller: (isBestseller === 'true' || isBestseller === true),
         displayImageUrl: displayImage?.url, 
         displayImagePublicId: displayImage?.public_id,
@@ -166,6 +178,9 @@ export const updateMenuItem = async (req, res, next) => {
       if (body.basePrice !== undefined) {
           updates.basePrice = parseFloat(body.basePrice);
       }
+      if (body.vatRate !== undefined) {
+          updates.vatRate = parseVatRate(body.vatRate);
+      }
       
       const parseJsonField = (jsonString, fieldName) => {
           if (!jsonString) return undefined;
@@ -1,21 +1,203 @@
 import mongoose from "mongoose";
-import Stripe from "stripe";
 import Order from "../models/Order.js";
 import User from "../models/User.js";
 import Restaurant from "../models/Restaurant.js";
 import { getPaginationParams } from "../utils/paginationUtils.js";
-import { calculateOrderPricing, validateCart, processOrderItems, calculateDeliveryFee } from "../utils/orderCalculation.js";
-import { generateUniqueOrderNumber } from "../utils/orderUtils.js";
+import { calculateOrderPricing, validateCart, processOrderItems, resolveFulfilment, resolveTip, resolveOrderPreferences, findAppliedOffer, findOfferByPromoCode, priceCartCheckout, applyStoreCredit, getAmountDue } from "../utils/orderCalculation.js";
+import { generateUniqueOrderNumber, saveWithBillNumber, applyCustomerEdit, claimOrderClosure, releaseOrderClosure, closingRefundKey } from "../utils/orderUtils.js";
+import { getAndValidateMenuItemDetails, clearAppliedPromo } from "../utils/cartUtils.js";
+import { streamInvoicePdf } from "../utils/invoiceUtils.js";
+import { streamExport, EXPORT_FORMATS } from "../utils/exportUtils.js";
+import RestaurantDocuments from "../models/RestaurantDocuments.js";
+import { validateScheduledTime, parseReportDateRange, isValidTimeZone, parseDateInTimeZone, isDateOnly, getZonedParts } from "../utils/timingUtils.js";
+import { getPaymentProvider, refundOrderPayments } from "../utils/paymentProvider.js";
+import { getLocaleSettings } from "../utils/localeUtils.js";
+import { sendOrderItemsAdjustedEmail } from "../utils/MailUtils.js";
+import { getStoreCreditBalance, spendStoreCredit, addStoreCredit, getStoreCreditReference, returnOrderStoreCredit } from "../utils/storeCreditUtils.js";
+import { initialiseEta, refreshEta, getEtaSummary } from "../utils/etaUtils.js";
+import { publishOrderEvent, publishOrderStatusChange, subscribeToRestaurantEvents, subscribeToOrderEvents, getOrderEventsSince } from "../utils/orderEvents.js";
+import { applyStatusTransition, applyAcceptanceDecision, getCurrentStatus, initialStatusHistory, COMPLETED_STATUSES, TERMINAL_STATUSES } from "../utils/orderStatus.js";
+import config from "../config/env.js";
 import logger from "../utils/logger.js";
 
+// Items can still be changed while the order is in the kitchen
+const ADJUSTABLE_STATUSES = ['placed', 'accepted', 'preparing', 'ready', 'ready_for_collection'];
+const MAX_PREP_TIME_MINUTES = 240;
+const ORDER_CLOSING_MESSAGE = "This order is already being cancelled.";
+// Everything applyCustomerEdit changes apart from the edit history, to undo an edit whose refund failed
+const EDITED_ORDER_FIELDS = ['orderedItems', 'pricing', 'appliedOffer', 'deliveryAddress', 'notes', 'preferences', 'modifiedByCustomerAt', 'pendingCustomerEdit'];
+const STREAM_RETRY_MS = 3000;
+
+const LEDGER_COLUMNS = [
+    { header: 'Date', key: 'date', width: 22 },
+    { header: 'Order Number', key: 'orderNumber' },
+    { header: 'Bill Number', key: 'billNumber' },
+    { header: 'Order Type', key: 'orderType', width: 12 },
+    { header: 'Items', key: 'items', width: 60 },
+    { header: 'Subtotal', key: 'subtotal', width: 12 },
+    { header: 'Handling', key: 'handlingCharge', width: 12 },
+    { header: 'Delivery', key: 'deliveryFee', width: 12 },
+    { header: 'Discount', key: 'discountAmount', width: 12 },
+    { header: 'Tip', key: 'tipAmount', width: 10 },
+    { header: 'Total', key: 'totalAmount', width: 12 },
+    { header: 'Tip After Delivery', key: 'postDeliveryTip', width: 18 },
+    { header: 'VAT Included', key: 'vatAmount', width: 14 },
+    { header: 'Refunded', key: 'refundedAmount', width: 12 },
+    { header: 'Payment Type', key: 'paymentType', width: 14 },
+    { header: 'Payment Status', key: 'paymentStatus', width: 16 },
+    { header: 'Order Status', key: 'status', width: 18 },
+];
+
+// --- Live Stream Helper Functions ---
+
+const openEventStream = (res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop proxies such as nginx from buffering the stream
+    });
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+};
+
+const writeStreamEvent = (res, type, data, id) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
 /**
- * @description Places a new order for Cash on Delivery.
+ * The customer-facing view of an order's progress: status, ETA and who is bringing it.
+ */
+const buildTrackingSnapshot = (order) => {
+    const partner = order.assignedDeliveryPartnerId;
+    return {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderType: order.orderType,
+        status: order.status,
+        statusHistory: order.statusHistory.map(({ status, timestamp }) => ({ status, timestamp })),
+        eta: getEtaSummary(order),
+        deliveryPartner: partner?.fullName ? {
+            name: partner.fullName,
+            vehicleType: partner.deliveryPartnerProfile?.vehicleType || null,
+            vehicleNumber: partner.deliveryPartnerProfile?.vehicleNumber || null
+        } : null,
+        isFinal: TERMINAL_STATUSES.includes(order.status)
+    };
+};
+
+// --- Report Helper Functions ---
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const describeOrderedItem = (item) => {
+    const options = [
+        ...(item.selectedVariants || []).map(variant => variant.variantName),
+        ...(item.selectedAddons || []).map(addon => `+${addon.optionTitle}`),
+    ];
+    const instructions = item.specialInstructions ? ` [${item.specialInstructions}]` : '';
+    return `${item.quantity} x ${item.itemName}${options.length ? ` (${options.join(', ')})` : ''}${instructions}`;
+};
+
+const toLedgerRow = (order) => ({
+    date: order.createdAt,
+    orderNumber: order.orderNumber,
+    billNumber: order.billNumber || '',
+    orderType: order.orderType,
+    items: order.orderedItems.map(describeOrderedItem).join('; '),
+    subtotal: order.pricing?.subtotal ?? 0,
+    handlingCharge: order.pricing?.handlingCharge ?? 0,
+    deliveryFee: order.pricing?.deliveryFee ?? 0,
+    discountAmount: order.pricing?.discountAmount ?? 0,
+    tipAmount: order.tipAddedAt ? 0 : order.pricing?.tipAmount ?? 0,
+    postDeliveryTip: order.tipAddedAt ? order.pricing?.tipAmount ?? 0 : 0,
+    totalAmount: order.pricing?.totalAmount ?? 0,
+    vatAmount: order.pricing?.vat?.totalVat ?? 0,
+    refundedAmount: order.pricing?.refundedAmount ?? 0,
+    paymentType: order.paymentType,
+    paymentStatus: order.paymentStatus,
+    status: order.status,
+});
+
+const LEDGER_FIELDS = 'createdAt orderNumber billNumber orderType orderedItems pricing paymentType paymentStatus status tipAddedAt';
+
+const ORDER_LINE_COLUMNS = [
+    { header: 'Date', key: 'date', width: 22 },
+    { header: 'Order Number', key: 'orderNumber' },
+    { header: 'Bill Number', key: 'billNumber' },
+    { header: 'Order Type', key: 'orderType', width: 12 },
+    { header: 'Item', key: 'itemName', width: 40 },
+    { header: 'Options', key: 'options', width: 40 },
+    { header: 'Quantity', key: 'quantity', width: 10 },
+    { header: 'Unit Price', key: 'unitPrice', width: 12 },
+    { header: 'Line Total', key: 'itemTotal', width: 12 },
+    { header: 'VAT Rate', key: 'vatRate', width: 10 },
+    { header: 'VAT Included', key: 'vatAmount', width: 14 },
+];
+
+// One ordered item, unwound from its order by the menu item performance export
+const toOrderLineRow = ({ createdAt, orderNumber, billNumber, orderType, item }) => ({
+    date: createdAt,
+    orderNumber,
+    billNumber: billNumber || '',
+    orderType,
+    itemName: item.itemName,
+    options: [
+        ...(item.selectedVariants || []).map(variant => variant.variantName),
+        ...(item.selectedAddons || []).map(addon => `+${addon.optionTitle}`),
+    ].join(', '),
+    quantity: item.quantity,
+    unitPrice: item.quantity ? roundMoney(item.itemTotal / item.quantity) : 0,
+    itemTotal: item.itemTotal ?? 0,
+    vatRate: item.vatRate ?? '',
+    vatAmount: item.vatAmount ?? 0,
+});
+
+// An order's takings for the restaurant. Tips go to the rider in full: one given at checkout is in the order
+// total, one given after delivery (marked by `tipAddedAt`) never was.
+const RESTAURANT_REVENUE = {
+    $subtract: ["$pricing.totalAmount", { $cond: [{ $ifNull: ["$tipAddedAt", false] }, 0, { $ifNull: ["$pricing.tipAmount", 0] }] }]
+};
+
+const ANALYTICS_GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const DEFAULT_ANALYTICS_TIMEZONE = 'Europe/London';
+
+/**
+ * Turns raw bucket counters into the metrics reported to the owner.
+ */
+const summariseAnalytics = ({ orders = 0, completedOrders = 0, cancelledOrders = 0, revenue = 0, discountTotal = 0 } = {}) => ({
+    revenue: roundMoney(revenue),
+    orders,
+    completedOrders,
+    averageOrderValue: completedOrders ? roundMoney(revenue / completedOrders) : 0,
+    cancellationRate: orders ? Math.round((cancelledOrders / orders) * 10000) / 100 : 0, // percentage
+    discountTotal: roundMoney(discountTotal),
+});
+
+const addAnalyticsCounters = (target = {}, source) => {
+    ['orders', 'completedOrders', 'cancelledOrders', 'revenue', 'discountTotal'].forEach(key => {
+        target[key] = (target[key] || 0) + source[key];
+    });
+    return target;
+};
+
+/**
+ * Labels a bucket start in the requested timezone, e.g. '2024-03-04' for a day or week, '2024-03' for a month.
+ */
+const formatBucketLabel = (bucketStart, granularity, timeZone) => {
+    const { year, month, day, hour } = getZonedParts(bucketStart, timeZone);
+    if (granularity === 'month') return `${year}-${month}`;
+    if (granularity === 'hour') return `${year}-${month}-${day}T${hour}:00`;
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * @description Places a new cash order for delivery, pickup or dine-in. With `useStoreCredit`, the customer's
+ * store credit with the restaurant pays for as much of it as it can, and only the rest is due in cash.
  * @route POST /api/orders/place-cash-order
  * @access Private (User)
  */
 export const placeCashOrder = async (req, res, next) => {
-    const { cartType, deliveryAddress, notes } = req.body;
+    const { cartType, orderType = 'delivery', deliveryAddress, pickupTime, tableId, scheduledFor, tip, notes, preferences, useStoreCredit = false } = req.body;
     const userId = req.user?._id;
 
     const dbSession = await mongoose.startSession();
@@ -26,9 +208,6 @@ export const placeCashOrder = async (req, res, next) => {
             if (!cartType || !['foodCart', 'groceriesCart'].includes(cartType)) {
                 throw { statusCode: 400, message: "A valid cartType ('foodCart' or 'groceriesCart') is required." };
             }
-            if (!deliveryAddress || !deliveryAddress.coordinates || !deliveryAddress.coordinates.coordinates) {
-                throw { statusCode: 400, message: "A valid delivery address is required." };
-            }
 
             // 2. Fetch User and Cart
             const user = await User.findById(userId).populate(`${cartType}.menuItemId`).session(dbSession);
@@ -38,27 +217,36 @@ export const placeCashOrder = async (req, res, next) => {
             const { error: cartError, restaurantId } = validateCart(cart);
             if (cartError) throw { statusCode: 400, message: cartError };
 
-            // 3. Fetch Restaurant and Check COD Availability
+            // 3. Fetch Restaurant and Check COD Availability (pickup and dine-in are paid on site)
             const restaurant = await Restaurant.findById(restaurantId).session(dbSession).lean();
             if (!restaurant) throw { statusCode: 404, message: `Restaurant with ID ${restaurantId} not found.` };
-            if (!restaurant.acceptsCashOnDelivery) {
+            if (orderType === 'delivery' && !restaurant.acceptsCashOnDelivery) {
                 throw { statusCode: 400, message: "This restaurant does not accept Cash on Delivery." };
             }
             if (!restaurant.isActive) {
                  throw { statusCode: 400, message: "This restaurant is currently not accepting orders." };
             }
 
-            // 4. Process items and calculate pricing
-            const processedItems = await processOrderItems(cart);
-            
-            const [restLon, restLat] = restaurant.address.coordinates.coordinates;
-            const [userLon, userLat] = deliveryAddress.coordinates.coordinates;
-            const deliveryFee = calculateDeliveryFee(restLat, restLon, userLat, userLon, restaurant.deliverySettings);
-            if (deliveryFee === -1) {
-                throw { statusCode: 400, message: "Delivery address is out of the restaurant's range." };
+            let schedule = {};
+            if (scheduledFor) {
+                const { error: scheduleError, schedule: scheduleFields } = await validateScheduledTime(restaurant, scheduledFor);
+                if (scheduleError) throw { statusCode: 400, message: scheduleError };
+                schedule = scheduleFields;
             }
 
-            const { pricing } = calculateOrderPricing(processedItems, deliveryFee, restaurant);
+            // 4. Price the cart with the customer's promo code and store credit, the same way as card checkout
+            const offerDetails = await findAppliedOffer(user.customerProfile?.appliedPromo, cartType, restaurantId);
+            const storeCredit = useStoreCredit === true ? await getStoreCreditBalance(userId, restaurantId, { session: dbSession }) : 0;
+            const { error: pricingError, processedItems, pricing, appliedOffer, fulfilment } = await priceCartCheckout(
+                cart,
+                restaurant,
+                { orderType, deliveryAddress, pickupTime: pickupTime || schedule.deliveryTime, tableId, tip },
+                { offerDetails, storeCredit }
+            );
+            if (pricingError) throw { statusCode: 400, message: pricingError };
+
+            const { error: preferencesError, preferences: orderPreferences } = resolveOrderPreferences(preferences, orderType);
+            if (preferencesError) throw { statusCode: 400, message: preferencesError };
 
             // 5. Create and Save the Order
             const orderData = new Order({
@@ -66,25 +254,42 @@ export const placeCashOrder = async (req, res, next) => {
                 restaurantId,
                 customerId: userId,
                 customerDetails: { name: user.fullName, phoneNumber: user.phoneNumber },
-                orderType: 'delivery',
-                deliveryAddress,
+                ...fulfilment,
+                ...schedule,
                 orderedItems: processedItems,
                 pricing,
+                appliedOffer,
+                currency: getLocaleSettings(restaurant).currency,
                 paymentType: 'cash',
-                paymentStatus: 'pending', // Will be marked 'paid' by delivery partner
+                paymentStatus: 'pending', // Marked 'paid' once delivered, collected or served
                 acceptanceStatus: 'pending',
+                statusHistory: initialStatusHistory(userId),
                 notes: notes || '',
+                preferences: orderPreferences,
             });
 
             const savedOrder = await orderData.save({ session: dbSession });
+
+            if (pricing.storeCreditAmount > 0) {
+                const spent = await spendStoreCredit({
+                    customerId: userId,
+                    restaurantId,
+                    amount: pricing.storeCreditAmount,
+                    reference: getStoreCreditReference(savedOrder),
+                    orderId: savedOrder._id
+                }, { session: dbSession });
+                if (!spent) throw { statusCode: 409, message: "Your store credit changed while the order was being placed. Please try again." };
+            }
             
-            // 6. Clear the user's cart
+            // 6. Clear the user's cart and the promo code it used
             user[cartType] = [];
+            clearAppliedPromo(user, cartType);
             await user.save({ session: dbSession });
 
             newOrder = savedOrder;
         });
 
+        await publishOrderEvent('order.created', newOrder);
         return res.status(201).json({ success: true, message: "Order placed successfully!", data: newOrder });
         
     } catch (error) {
@@ -99,12 +304,15 @@ export const placeCashOrder = async (req, res, next) => {
 export const respondToOrder = async (req, res, next) => {
     try {
         const { orderId } = req.params;
-        const { acceptance } = req.body;
+        const { acceptance, prepTimeMinutes } = req.body;
         const restaurantId = req.restaurant?._id;
 
         if (!['accepted', 'rejected'].includes(acceptance)) {
             return res.status(400).json({ success: false, message: "Invalid acceptance value." });
         }
+        if (prepTimeMinutes !== undefined && (!Number.isInteger(prepTimeMinutes) || prepTimeMinutes < 1 || prepTimeMinutes > MAX_PREP_TIME_MINUTES)) {
+            return res.status(400).json({ success: false, message: `prepTimeMinutes must be a whole number between 1 and ${MAX_PREP_TIME_MINUTES}.` });
+        }
 
         const order = await Order.findById(orderId).populate({ path: 'restaurantId', select: '+stripeSecretKey' });
         if (!order) return res.status(404).json({ success: false, message: "Order not found." });
@@ -114,76 +322,501 @@ export const respondToOrder = async (req, res, next) => {
         if (order.acceptanceStatus !== 'pending') {
             return res.status(400).json({ success: false, message: `This order has already been ${order.acceptanceStatus}.` });
         }
-        
-        if (acceptance === 'rejected' && order.paymentType === 'card' && order.paymentStatus === 'paid') {
-            if (!order.restaurantId.stripeSecretKey) {
-                return res.status(500).json({ success: false, message: "Cannot process refund: Restaurant payment key is not configured." });
+        if (order.closingClaimedAt) {
+            return res.status(409).json({ success: false, message: ORDER_CLOSING_MESSAGE });
+        }
+
+        const previous = { status: order.status, paymentStatus: order.paymentStatus };
+        // Validated before any refund, so a refund is never issued for a decision that cannot be applied
+        applyAcceptanceDecision(order, acceptance, {
+            actorId: restaurantId,
+            note: acceptance === 'rejected' ? 'Rejected by restaurant' : undefined,
+        });
+
+        if (acceptance === 'rejected') {
+            // Claimed before the refund, so the expiry sweeper or the customer cancelling cannot refund it as well
+            if (!(await claimOrderClosure(order._id, 'owner'))) {
+                return res.status(409).json({ success: false, message: ORDER_CLOSING_MESSAGE });
             }
             try {
-                const stripe = new Stripe(order.restaurantId.stripeSecretKey);
-                const checkoutSession = await stripe.checkout.sessions.retrieve(order.sessionId);
-                if (checkoutSession.payment_intent) {
-                    await stripe.refunds.create({ payment_intent: checkoutSession.payment_intent });
-                    order.paymentStatus = 'refunded';
+                if (order.paymentType === 'card' && order.paymentStatus === 'paid') {
+                    if (!order.restaurantId.stripeSecretKey) {
+                        throw new Error("Restaurant payment key is not configured.");
+                    }
+                    const refund = await refundOrderPayments(order.restaurantId.stripeSecretKey, order, undefined, { idempotencyKey: closingRefundKey(order) });
+                    if (refund) {
+                        order.paymentStatus = 'refunded';
+                    }
                 }
+                await returnOrderStoreCredit(order);
             } catch (refundError) {
                 logger.error("Stripe refund failed", { orderId, error: refundError.message });
+                await releaseOrderClosure(order._id, 'owner');
                 return res.status(500).json({ success: false, message: "Refund could not be processed." });
             }
         }
 
-        order.acceptanceStatus = acceptance;
-        if (acceptance === 'rejected') order.status = 'cancelled';
+        if (acceptance === 'accepted') {
+            initialiseEta(order, order.restaurantId, prepTimeMinutes);
+        }
 
-        const updatedOrder = await order.save();
+        // An acceptance is refused if anyone has claimed the order for closing meanwhile, and a rejection if the
+        // sweeper has taken over the claim
+        order.$where = acceptance === 'rejected'
+            ? { acceptanceStatus: 'pending', closingClaimedBy: 'owner' }
+            : { acceptanceStatus: 'pending', closingClaimedAt: { $exists: false } };
+        let updatedOrder;
+        try {
+            // Accepted orders are the first to be billed, so rejected and expired ones never use up a bill number
+            updatedOrder = acceptance === 'accepted' ? await saveWithBillNumber(order) : await order.save();
+        } catch (saveError) {
+            if (saveError instanceof mongoose.Error.DocumentNotFoundError) {
+                return res.status(409).json({ success: false, message: ORDER_CLOSING_MESSAGE });
+            }
+            throw saveError;
+        }
+        await publishOrderStatusChange(updatedOrder, previous);
         return res.status(200).json({ success: true, message: `Order successfully ${acceptance}.`, data: updatedOrder });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         logger.error("Error responding to order", { error: error.message });
         next(error);
     }
 };
 
-export const cancelOrder = async (req, res, next) => {
-    const session = await mongoose.startSession();
+/**
+ * @description Lets the restaurant remove or reduce specific items on an order that has not left the kitchen.
+ * Pricing is recomputed and, for paid card orders, only the difference is refunded.
+ * @route PATCH /api/orders/:orderId/items
+ * @access Private (Restaurant Owner)
+ */
+export const adjustOrderItems = async (req, res, next) => {
+    const { orderId } = req.params;
+    const { items, reason } = req.body;
+    const restaurantId = req.restaurant?._id;
+
     try {
-        let cancelledOrder;
-        await session.withTransaction(async () => {
-            const { orderId } = req.params;
-            const userId = req.user?._id;
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ success: false, message: "Invalid order ID format." });
+        }
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ success: false, message: "An 'items' array of { lineIndex, quantity } adjustments is required." });
+        }
 
-            const order = await Order.findById(orderId).populate({ path: 'restaurantId', select: '+stripeSecretKey' }).session(session);
+        const order = await Order.findById(orderId)
+            .populate({ path: 'restaurantId', select: '+stripeSecretKey' })
+            .populate('customerId', 'email');
+        if (!order) return res.status(404).json({ success: false, message: "Order not found." });
+        if (order.restaurantId._id.toString() !== restaurantId.toString()) {
+            return res.status(403).json({ success: false, message: "You are not authorized to modify this order." });
+        }
+        if (order.acceptanceStatus === 'rejected' || !ADJUSTABLE_STATUSES.includes(getCurrentStatus(order))) {
+            return res.status(400).json({ success: false, message: `Items cannot be changed once an order is '${order.status}'.` });
+        }
 
-            if (!order) { const e = new Error("Order not found."); e.statusCode = 404; throw e; }
-            if (order.customerId.toString() !== userId.toString()) { const e = new Error("You are not authorized to cancel this order."); e.statusCode = 403; throw e; }
-            if (order.acceptanceStatus !== 'pending') { const e = new Error(`This order cannot be cancelled as it has already been ${order.acceptanceStatus}.`); e.statusCode = 400; throw e; }
+        // 1. Validate the requested adjustments (reductions only)
+        const seenLines = new Set();
+        for (const { lineIndex, quantity } of items) {
+            const line = order.orderedItems[lineIndex];
+            if (!Number.isInteger(lineIndex) || !line || seenLines.has(lineIndex)) {
+                return res.status(400).json({ success: false, message: `Invalid or duplicate lineIndex: ${lineIndex}.` });
+            }
+            if (!Number.isInteger(quantity) || quantity < 0 || quantity >= line.quantity) {
+                return res.status(400).json({ success: false, message: `Quantity for "${line.itemName}" must be a whole number below the current ${line.quantity}.` });
+            }
+            seenLines.add(lineIndex);
+        }
+
+        // Taken before any line is changed, to put the order back if the refund fails
+        const { orderedItems: previousItems, pricing: previousPricing, appliedOffer: previousOffer } = order.toObject();
+        const previousTotal = order.pricing.totalAmount;
+        const adjustments = [];
+        const remainingItems = [];
+
+        order.orderedItems.forEach((line, index) => {
+            const change = items.find(item => item.lineIndex === index);
+            if (!change) {
+                remainingItems.push(line);
+                return;
+            }
+            adjustments.push({ itemId: line.itemId, itemName: line.itemName, previousQuantity: line.quantity, newQuantity: change.quantity });
+            if (change.quantity > 0) {
+                const unitPrice = line.itemTotal / line.quantity;
+                line.itemTotal = Math.round(unitPrice * change.quantity * 100) / 100;
+                line.quantity = change.quantity;
+                remainingItems.push(line);
+            }
+        });
 
+        if (remainingItems.length === 0) {
+            return res.status(400).json({ success: false, message: "Removing every item would empty the order. Reject or cancel the order instead." });
+        }
+
+        // 2. Recompute pricing with the charges and offer that applied when the order was placed
+        const originalDeliveryFee = order.appliedOffer?.discountType === 'FREE_DELIVERY'
+            ? order.appliedOffer.discountAmount
+            : order.pricing.deliveryFee;
+        const pricingBasis = {
+            handlingChargesPercentage: order.pricing.subtotal > 0 ? (order.pricing.handlingCharge / order.pricing.subtotal) * 100 : 0,
+            vatSettings: order.restaurantId.vatSettings
+        };
+
+        let offerDetails = null;
+        if (order.appliedOffer?.promoCode) {
+            offerDetails = await findOfferByPromoCode(order.appliedOffer.promoCode);
+        }
+
+        let { pricing, appliedOffer } = calculateOrderPricing(remainingItems, originalDeliveryFee, pricingBasis, offerDetails, order.pricing.tipAmount || 0);
+        if (offerDetails && pricing.totalAmount > previousTotal) {
+            // Dropping below the offer's minimum must never make the customer pay more, so keep the offer.
+            ({ pricing, appliedOffer } = calculateOrderPricing(remainingItems, originalDeliveryFee, pricingBasis, { ...offerDetails, minOrderValue: 0 }, order.pricing.tipAmount || 0));
+        }
+
+        // Store credit only ever covers what is left, so the customer gets their card or cash back first and
+        // any credit the smaller order no longer needs is returned to their balance
+        const previousCredit = previousPricing.storeCreditAmount || 0;
+        const creditToReturn = applyStoreCredit(pricing, previousCredit);
+        const previousDue = getAmountDue({ totalAmount: previousTotal, storeCreditAmount: previousCredit });
+        const refundAmount = Math.max(0, Math.round((previousDue - getAmountDue(pricing)) * 100) / 100);
+        const needsRefund = refundAmount > 0 && order.paymentType === 'card' && order.paymentStatus === 'paid';
+        if (needsRefund && !order.restaurantId.stripeSecretKey) {
+            return res.status(500).json({ success: false, message: "Cannot process refund: Restaurant payment key is not configured." });
+        }
+
+        // 3. Save the adjustment before refunding. The save is version-checked, so of two concurrent
+        // adjustments only one gets to refund; the other is refused.
+        order.orderedItems = remainingItems;
+        const refundedNow = order.paymentType === 'card' ? refundAmount : 0;
+        order.pricing = { ...previousPricing, ...pricing, refundedAmount: (previousPricing.refundedAmount || 0) + refundedNow };
+        order.appliedOffer = appliedOffer;
+        order.itemAdjustments.push(...adjustments.map(adjustment => ({ ...adjustment, reason, refundAmount, adjustedAt: new Date() })));
+
+        let updatedOrder;
+        try {
+            updatedOrder = await order.increment().save();
+        } catch (saveError) {
+            if (saveError instanceof mongoose.Error.VersionError) {
+                return res.status(409).json({ success: false, message: "This order was changed at the same time. Please reload it and try again." });
+            }
+            throw saveError;
+        }
+
+        // 4. Refund the difference for paid card orders
+        if (needsRefund) {
+            try {
+                await refundOrderPayments(order.restaurantId.stripeSecretKey, order, refundAmount, {
+                    idempotencyKey: `order-${order._id}-adjustment-${updatedOrder.__v}`
+                });
+            } catch (refundError) {
+                logger.error("Stripe partial refund failed", { orderId, refundAmount, error: refundError.message });
+                // Put the order back as it was, so the adjustment can be tried again
+                order.orderedItems = previousItems;
+                order.pricing = previousPricing;
+                order.appliedOffer = previousOffer;
+                order.itemAdjustments.splice(-adjustments.length);
+                await order.increment().save();
+                return res.status(500).json({ success: false, message: "Refund could not be processed." });
+            }
+        }
+        if (creditToReturn > 0) {
+            await addStoreCredit({
+                customerId: order.customerId._id,
+                restaurantId: order.restaurantId._id,
+                amount: creditToReturn,
+                reason: 'order_return',
+                reference: `${getStoreCreditReference(order)}-adjustment-${updatedOrder.__v}`,
+                orderId: order._id
+            });
+        }
+
+        await publishOrderEvent('order.modified', updatedOrder, { changedFields: ['orderedItems', 'pricing', 'appliedOffer'], modifiedBy: 'owner' });
+
+        if (order.customerId?.email) {
+            await sendOrderItemsAdjustedEmail(order.customerId.email, {
+                orderNumber: order.orderNumber,
+                restaurantName: order.restaurantId.restaurantName,
+                adjustments,
+                reason,
+                refundAmount: refundedNow,
+                newTotal: pricing.totalAmount,
+                currency: order.currency,
+                locale: getLocaleSettings(order.restaurantId).locale
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Order items updated successfully.",
+            data: { order: updatedOrder, adjustments, refundAmount, storeCreditReturned: creditToReturn }
+        });
+    } catch (error) {
+        logger.error("Error adjusting order items", { error: error.message, orderId });
+        next(error);
+    }
+};
+
+export const cancelOrder = async (req, res, next) => {
+    const { orderId } = req.params;
+    const userId = req.user?._id;
+    try {
+        const order = await Order.findById(orderId).populate({ path: 'restaurantId', select: '+stripeSecretKey' });
+
+        if (!order) return res.status(404).json({ success: false, message: "Order not found." });
+        if (order.customerId.toString() !== userId.toString()) {
+            return res.status(403).json({ success: false, message: "You are not authorized to cancel this order." });
+        }
+        if (order.acceptanceStatus !== 'pending' || order.status !== 'placed') {
+            const outcome = order.acceptanceStatus !== 'pending' ? order.acceptanceStatus : order.status;
+            return res.status(400).json({ success: false, message: `This order cannot be cancelled as it has already been ${outcome}.` });
+        }
+        // Claimed before the refund, so the restaurant or the expiry sweeper cannot refund it as well
+        if (order.closingClaimedAt || !(await claimOrderClosure(order._id, 'customer'))) {
+            return res.status(409).json({ success: false, message: ORDER_CLOSING_MESSAGE });
+        }
+
+        try {
             if (order.paymentType === 'card' && order.paymentStatus === 'paid') {
-                if (!order.restaurantId.stripeSecretKey) { throw new Error("Cannot process refund: Restaurant payment key not configured."); }
-                try {
-                    const stripe = new Stripe(order.restaurantId.stripeSecretKey);
-                    const checkoutSession = await stripe.checkout.sessions.retrieve(order.sessionId);
-                    if (checkoutSession.payment_intent) {
-                        await stripe.refunds.create({ payment_intent: checkoutSession.payment_intent });
-                        order.paymentStatus = 'refunded';
-                    }
-                } catch (refundError) {
-                    logger.error("Stripe refund failed on order cancellation", { orderId, error: refundError.message });
-                    throw new Error("Order cancellation failed because the refund could not be processed.");
+                if (!order.restaurantId.stripeSecretKey) {
+                    throw new Error("Restaurant payment key is not configured.");
+                }
+                const refund = await refundOrderPayments(order.restaurantId.stripeSecretKey, order, undefined, { idempotencyKey: closingRefundKey(order) });
+                if (refund) {
+                    order.paymentStatus = 'refunded';
                 }
             }
+            await returnOrderStoreCredit(order);
+        } catch (refundError) {
+            logger.error("Stripe refund failed on order cancellation", { orderId, error: refundError.message });
+            await releaseOrderClosure(order._id, 'customer');
+            return res.status(500).json({ success: false, message: "Order cancellation failed because the refund could not be processed." });
+        }
 
-            order.status = 'cancelled';
-            cancelledOrder = await order.save({ session });
-        });
+        applyStatusTransition(order, 'cancelled', { actor: 'customer', actorId: userId, note: 'Cancelled by customer' });
+        order.$where = { acceptanceStatus: 'pending', closingClaimedBy: 'customer' };
+        let cancelledOrder;
+        try {
+            cancelledOrder = await order.save();
+        } catch (saveError) {
+            // The sweeper took the claim over; it finishes the refund under the same key
+            if (saveError instanceof mongoose.Error.DocumentNotFoundError) {
+                return res.status(409).json({ success: false, message: ORDER_CLOSING_MESSAGE });
+            }
+            throw saveError;
+        }
 
+        await publishOrderEvent('order.cancelled', cancelledOrder, { previousStatus: 'placed' });
         return res.status(200).json({ success: true, message: "Order has been cancelled successfully.", data: cancelledOrder });
     } catch (error) {
-        await session.abortTransaction();
-        logger.error("Error cancelling order", { error: error.message, statusCode: error.statusCode });
+        logger.error("Error cancelling order", { error: error.message, statusCode: error.statusCode, orderId });
         res.status(error.statusCode || 500).json({ success: false, message: error.message || "An unexpected error occurred." });
-    } finally {
-        session.endSession();
+    }
+};
+
+/**
+ * @description Lets a customer change a pending order before the restaurant accepts it: item quantities,
+ * added or removed items, line instructions, notes, preferences and (for deliveries) the address.
+ * Pricing is recomputed from current menu prices.
+ * For card orders a lower total is refunded straight away, while a higher total returns a Checkout URL
+ * for the difference and the edit is applied once that payment completes.
+ * @route PATCH /api/orders/:orderId/edit
+ * @access Private (User)
+ */
+export const editOrderByCustomer = async (req, res, next) => {
+    const { orderId } = req.params;
+    const { items, notes, deliveryAddress, preferences } = req.body;
+    const userId = req.user?._id;
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ success: false, message: "Invalid order ID format." });
+        }
+        if (items === undefined && notes === undefined && deliveryAddress === undefined && preferences === undefined) {
+            return res.status(400).json({ success: false, message: "Provide 'items', 'notes', 'deliveryAddress' or 'preferences' to change." });
+        }
+        if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+            return res.status(400).json({ success: false, message: "'items' must list every line the order should contain. Cancel the order to remove everything." });
+        }
+
+        const order = await Order.findOne({ _id: orderId, customerId: userId })
+            .populate({ path: 'restaurantId', select: '+stripeSecretKey' });
+        if (!order) return res.status(404).json({ success: false, message: "Order not found." });
+        if (order.acceptanceStatus !== 'pending' || order.status !== 'placed') {
+            return res.status(400).json({ success: false, message: `This order can no longer be changed as it has already been ${order.acceptanceStatus}.` });
+        }
+        if (order.groupOrderId) {
+            return res.status(400).json({ success: false, message: "Group orders cannot be changed after checkout." });
+        }
+        if (deliveryAddress !== undefined && order.orderType !== 'delivery') {
+            return res.status(400).json({ success: false, message: "Only delivery orders have a delivery address." });
+        }
+
+        const restaurant = order.restaurantId;
+        const changedFields = [];
+
+        // 1. Re-validate and re-price the requested lines
+        let orderedItems = order.toObject().orderedItems;
+        if (items !== undefined) {
+            const cart = [];
+            for (const { menuItemId, quantity, selectedVariant, selectedAddons, specialInstructions } of items) {
+                if (!Number.isInteger(quantity) || quantity < 1) {
+                    return res.status(400).json({ success: false, message: "Each item needs a whole-number quantity of at least 1." });
+                }
+                const { menuItem, restaurantId: itemRestaurantId, itemData } = await getAndValidateMenuItemDetails(menuItemId, quantity, selectedVariant, selectedAddons, specialInstructions);
+                if (itemRestaurantId !== restaurant._id.toString()) {
+                    return res.status(400).json({ success: false, message: `"${menuItem.itemName}" is not from this order's restaurant.` });
+                }
+                cart.push({ ...itemData, menuItemId: menuItem });
+            }
+            try {
+                orderedItems = await processOrderItems(cart);
+            } catch (itemError) {
+                return res.status(400).json({ success: false, message: itemError.message });
+            }
+            changedFields.push('items');
+        }
+
+        // 2. Work out the delivery fee for the (possibly new) address
+        let deliveryFee = order.appliedOffer?.discountType === 'FREE_DELIVERY'
+            ? order.appliedOffer.discountAmount
+            : order.pricing.deliveryFee;
+        if (deliveryAddress !== undefined) {
+            const { error: fulfilmentError, deliveryFee: newDeliveryFee } = await resolveFulfilment({ orderType: 'delivery', deliveryAddress }, restaurant);
+            if (fulfilmentError) {
+                return res.status(400).json({ success: false, message: fulfilmentError });
+            }
+            deliveryFee = newDeliveryFee;
+            changedFields.push('deliveryAddress');
+        }
+        if (notes !== undefined) {
+            changedFields.push('notes');
+        }
+        let orderPreferences;
+        if (preferences !== undefined) {
+            const { error: preferencesError, preferences: resolvedPreferences } = resolveOrderPreferences({ ...order.toObject().preferences, ...preferences }, order.orderType);
+            if (preferencesError) {
+                return res.status(400).json({ success: false, message: preferencesError });
+            }
+            orderPreferences = resolvedPreferences;
+            changedFields.push('preferences');
+        }
+
+        // 3. Recompute pricing with the charges and offer that applied when the order was placed
+        const pricingBasis = {
+            handlingChargesPercentage: order.pricing.subtotal > 0 ? (order.pricing.handlingCharge / order.pricing.subtotal) * 100 : restaurant.handlingChargesPercentage,
+            vatSettings: restaurant.vatSettings
+        };
+        let offerDetails = null;
+        if (order.appliedOffer?.promoCode) {
+            offerDetails = await findOfferByPromoCode(order.appliedOffer.promoCode);
+        }
+        const { pricing, appliedOffer } = calculateOrderPricing(orderedItems, deliveryFee, pricingBasis, offerDetails, order.pricing.tipAmount || 0);
+        // Store credit the order was paid with keeps covering what it can; only the rest is charged or refunded
+        const creditToReturn = applyStoreCredit(pricing, order.pricing.storeCreditAmount || 0);
+
+        const edit = { orderedItems, pricing, appliedOffer, deliveryAddress, notes: notes?.toString().trim(), preferences: orderPreferences, changedFields };
+        const difference = Math.round((getAmountDue(pricing) - getAmountDue(order.pricing)) * 100) / 100;
+        const isPaidByCard = order.paymentType === 'card' && order.paymentStatus === 'paid';
+
+        if (isPaidByCard && difference !== 0 && !restaurant.stripeSecretKey) {
+            return res.status(500).json({ success: false, message: "Cannot update payment: Restaurant payment key is not configured." });
+        }
+
+        // 4a. Card order that now costs more: collect the difference before applying the edit
+        if (isPaidByCard && difference > 0) {
+            const paymentProvider = getPaymentProvider(restaurant.stripeSecretKey);
+            if (order.pendingCustomerEdit?.sessionId) {
+                // Only the latest edit can be paid for
+                await paymentProvider.expireCheckout(order.pendingCustomerEdit.sessionId).catch(() => null);
+            }
+            const session = await paymentProvider.createCheckout({
+                currency: order.currency,
+                lineItems: [{
+                    name: `Changes to order ${order.orderNumber}`,
+                    description: `Difference for your updated order from ${restaurant.restaurantName}.`,
+                    amount: difference,
+                }],
+                successUrl: `${config.clientUrls.successRedirect}?order_session_id={CHECKOUT_SESSION_ID}`,
+                cancelUrl: config.clientUrls.failureRedirect,
+                customerEmail: req.user.email,
+                metadata: {
+                    purpose: 'order_edit',
+                    orderId: order._id.toString(),
+                    userId: userId.toString(),
+                }
+            });
+
+            order.pendingCustomerEdit = { ...edit, amountDue: difference, sessionId: session.id, requestedAt: new Date() };
+            await order.save();
+            return res.status(200).json({
+                success: true,
+                message: "Pay the difference to apply your changes.",
+                url: session.url,
+                sessionId: session.id,
+                data: { amountDue: difference, pricing }
+            });
+        }
+
+        // 4b. Apply the edit before any refund, and only while the order is still awaiting the restaurant and
+        // unchanged since it was read, so an accept or a second edit meanwhile cannot lead to a refund for an
+        // edit that was never applied
+        const previousState = order.toObject();
+        const amountRefunded = isPaidByCard && difference < 0 ? -difference : 0;
+        applyCustomerEdit(order, edit, { amountRefunded });
+        order.$where = { acceptanceStatus: 'pending', status: 'placed', closingClaimedAt: { $exists: false } };
+
+        let updatedOrder;
+        try {
+            updatedOrder = await order.increment().save();
+        } catch (saveError) {
+            if (saveError instanceof mongoose.Error.VersionError || saveError instanceof mongoose.Error.DocumentNotFoundError) {
+                return res.status(409).json({ success: false, message: "This order changed while you were editing it. Please reload it and try again." });
+            }
+            throw saveError;
+        }
+
+        // 4c. Card order that now costs less: refund the difference
+        if (amountRefunded > 0) {
+            try {
+                await refundOrderPayments(restaurant.stripeSecretKey, order, amountRefunded, {
+                    idempotencyKey: `order-${order._id}-edit-${updatedOrder.__v}`
+                });
+            } catch (refundError) {
+                logger.error("Stripe refund failed for customer order edit", { orderId, amount: amountRefunded, error: refundError.message });
+                // Undo the edit, so the customer can try again
+                EDITED_ORDER_FIELDS.forEach(field => order.set(field, previousState[field]));
+                order.customerEdits.pop();
+                order.$where = null;
+                await order.increment().save();
+                return res.status(500).json({ success: false, message: "Refund could not be processed." });
+            }
+        }
+        if (creditToReturn > 0) {
+            await addStoreCredit({
+                customerId: userId,
+                restaurantId: restaurant._id,
+                amount: creditToReturn,
+                reason: 'order_return',
+                reference: `${getStoreCreditReference(order)}-edit-${updatedOrder.__v}`,
+                orderId: order._id
+            });
+        }
+
+        await publishOrderEvent('order.modified', updatedOrder, { changedFields });
+
+        return res.status(200).json({
+            success: true,
+            message: "Your order has been updated.",
+            data: { order: updatedOrder, refundAmount: amountRefunded, storeCreditReturned: creditToReturn }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        logger.error("Error editing order", { error: error.message, orderId, userId });
+        next(error);
     }
 };
 
@@ -193,7 +826,8 @@ export const getUserOrders = async (req, res, next) => {
         const { page, limit, skip } = getPaginationParams(req.query);
         const orders = await Order.find({ customerId: userId }).populate('restaurantId', 'restaurantName address').sort({ createdAt: -1 }).skip(skip).limit(limit);
         const totalOrders = await Order.countDocuments({ customerId: userId });
-        return res.status(200).json({ success: true, data: orders, pagination: { total: totalOrders, pages: Math.ceil(totalOrders / limit), currentPage: page } });
+        const data = orders.map(order => ({ ...order.toObject(), eta: getEtaSummary(order) }));
+        return res.status(200).json({ success: true, data, pagination: { total: totalOrders, pages: Math.ceil(totalOrders / limit), currentPage: page } });
     } catch (error) {
         logger.error("Error fetching user orders", { error: error.message });
         next(error);
@@ -203,14 +837,16 @@ export const getUserOrders = async (req, res, next) => {
 export const getRestaurantOrders = async (req, res, next) => {
     try {
         const restaurantId = req.restaurant?._id;
-        const { status, acceptanceStatus } = req.query;
+        const { status, acceptanceStatus, scheduled } = req.query;
         const { page, limit, skip } = getPaginationParams(req.query);
 
         const query = { restaurantId };
         if (status) query.status = status;
         if (acceptanceStatus) query.acceptanceStatus = acceptanceStatus;
+        if (scheduled === 'true') query.isScheduled = true;
+        if (scheduled === 'false') query.isScheduled = { $ne: true };
 
-        const orders = await Order.find(query).populate('customerId', 'fullName email').sort({ createdAt: -1 }).skip(skip).limit(limit);
+        const orders = await Order.find(query).populate('customerId', 'fullName email').populate('tableId', 'tableNumber area').sort({ createdAt: -1 }).skip(skip).limit(limit);
         const totalOrders = await Order.countDocuments(query);
 
         return res.status(200).json({ success: true, data: orders, pagination: { total: totalOrders, pages: Math.ceil(totalOrders / limit), currentPage: page } });
@@ -224,16 +860,87 @@ export const getNewRestaurantOrders = async (req, res, next) => {
     try {
         const restaurantId = req.restaurant?._id;
         const { page, limit, skip } = getPaginationParams(req.query);
-        const query = { restaurantId, status: 'placed', acceptanceStatus: 'pending' };
-        const orders = await Order.find(query).populate('customerId', 'fullName email').sort({ createdAt: -1 }).skip(skip).limit(limit);
+        // Scheduled orders stay hidden until they are within the lead time of their slot
+        const releaseCutoff = new Date(Date.now() + config.scheduledOrders.leadTimeMinutes * 60 * 1000);
+        const query = {
+            restaurantId,
+            status: 'placed',
+            acceptanceStatus: 'pending',
+            $or: [{ isScheduled: { $ne: true } }, { deliveryTime: { $lte: releaseCutoff } }]
+        };
+        const orders = await Order.find(query).populate('customerId', 'fullName email').populate('tableId', 'tableNumber area').sort({ createdAt: -1 }).skip(skip).limit(limit);
         const totalOrders = await Order.countDocuments(query);
-        return res.status(200).json({ success: true, data: orders, pagination: { total: totalOrders, pages: Math.ceil(totalOrders / limit), currentPage: page } });
+        const data = orders.map(order => ({ ...order.toObject(), isModified: Boolean(order.modifiedByCustomerAt) }));
+        return res.status(200).json({ success: true, data, pagination: { total: totalOrders, pages: Math.ceil(totalOrders / limit), currentPage: page } });
     } catch (error) {
         logger.error("Error fetching new restaurant orders", { error: error.message });
         next(error);
     }
 };
 
+/**
+ * @description Streams live order events to the owner dashboard over Server-Sent Events:
+ * order.created, order.cancelled, order.payment_confirmed, order.status_changed, order.modified and order.partner_assigned.
+ * Scheduled orders only appear once they are released to the new-orders queue, with an order.released event.
+ * Each event carries an ID; on reconnect the browser sends it back as `Last-Event-ID` (or `?lastEventId=`)
+ * and everything missed since is replayed first. A `stream.reset` event means the gap could not be
+ * replayed and the dashboard should reload its order list.
+ * @route GET /api/orders/restaurant/stream
+ * @access Private (Restaurant Owner)
+ */
+export const streamRestaurantOrderEvents = async (req, res, next) => {
+    const restaurantId = req.restaurant?._id;
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    let unsubscribe = () => {};
+    let heartbeat;
+    try {
+        openEventStream(res);
+        // The dashboard can go away while missed events are still being replayed
+        let closed = false;
+        res.on('close', () => {
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+
+        let lastSentId = mongoose.Types.ObjectId.isValid(lastEventId) ? lastEventId.toString() : null;
+        const sendEvent = ({ id, type, data }) => {
+            // ObjectId hex strings sort in creation order, so anything at or before the cursor was already sent
+            if (closed || (lastSentId && id <= lastSentId)) return;
+            writeStreamEvent(res, type, data, id);
+            lastSentId = id;
+        };
+
+        // Listen before replaying so nothing published during the replay is lost
+        let pendingLiveEvents = [];
+        unsubscribe = subscribeToRestaurantEvents(restaurantId, (event) => {
+            if (pendingLiveEvents) pendingLiveEvents.push(event);
+            else sendEvent(event);
+        });
+
+        if (lastEventId) {
+            const { events, expired } = await getOrderEventsSince(restaurantId, lastEventId);
+            if (expired && !closed) {
+                writeStreamEvent(res, 'stream.reset', { reason: 'Missed events are no longer available.' });
+            }
+            events.forEach(sendEvent);
+        }
+        pendingLiveEvents.forEach(sendEvent);
+        pendingLiveEvents = null;
+
+        if (!closed) {
+            heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.orderEvents.heartbeatSeconds * 1000);
+        }
+    } catch (error) {
+        clearInterval(heartbeat);
+        unsubscribe();
+        logger.error("Error streaming restaurant order events", { error: error.message, restaurantId });
+        if (!res.headersSent) return next(error);
+        res.end();
+    }
+};
+
 export const assignDeliveryPartner = async (req, res, next) => {
     const session = await mongoose.startSession();
     try {
@@ -260,8 +967,8 @@ export const assignDeliveryPartner = async (req, res, next) => {
         if (order.acceptanceStatus !== 'accepted') {
             return res.status(400).json({ success: false, message: "Cannot assign delivery partner to an order that has not been accepted." });
         }
-        if (order.status === 'out_for_delivery' || order.status === 'delivered') {
-             return res.status(400).json({ success: false, message: "This order has already been assigned or delivered." });
+        if (order.assignedDeliveryPartnerId || !['accepted', 'preparing', 'ready'].includes(getCurrentStatus(order))) {
+             return res.status(400).json({ success: false, message: "This order has already been assigned, picked up or closed." });
         }
 
         // Verify the partner is associated with this restaurant
@@ -280,8 +987,8 @@ export const assignDeliveryPartner = async (req, res, next) => {
             return res.status(409).json({ success: false, message: "This delivery partner is currently unavailable for new orders." });
         }
 
+        // The status is left as-is; the partner moves it on once they pick the order up.
         order.assignedDeliveryPartnerId = deliveryPartnerId;
-        order.status = 'out_for_delivery';
         
         // Mark partner as busy
         deliveryPartner.deliveryPartnerProfile.isAvailable = false;
@@ -290,6 +997,7 @@ export const assignDeliveryPartner = async (req, res, next) => {
         await deliveryPartner.save({ session });
 
         await session.commitTransaction();
+        await publishOrderEvent('order.partner_assigned', order, { deliveryPartnerName: deliveryPartner.fullName });
         
         return res.status(200).json({ success: true, message: "Delivery partner assigned successfully.", data: order });
 
@@ -302,13 +1010,81 @@ export const assignDeliveryPartner = async (req, res, next) => {
     }
 };
 
+/**
+ * @description Streams a customer's order progress over Server-Sent Events. A `tracking` event with the full
+ * snapshot (status timeline, ETA and delivery partner) is sent on connect and after every change,
+ * so a reconnecting client never needs to replay. The stream closes once the order is delivered, collected,
+ * served, failed or cancelled.
+ * @route GET /api/orders/:orderId/track
+ * @access Private (User)
+ */
+export const trackOrder = async (req, res, next) => {
+    const { orderId } = req.params;
+    const userId = req.user?._id;
+
+    const loadOrder = () => Order.findOne({ _id: orderId, customerId: userId })
+        .populate('assignedDeliveryPartnerId', 'fullName deliveryPartnerProfile.vehicleType deliveryPartnerProfile.vehicleNumber');
+
+    let unsubscribe = () => {};
+    let heartbeat;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ success: false, message: "Invalid order ID format." });
+        }
+        const order = await loadOrder();
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found." });
+        }
+
+        openEventStream(res);
+        let closed = false;
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            res.end();
+        };
+        res.on('close', close);
+
+        const sendSnapshot = (currentOrder) => {
+            const snapshot = buildTrackingSnapshot(currentOrder);
+            writeStreamEvent(res, 'tracking', snapshot);
+            if (snapshot.isFinal) close();
+        };
+
+        // Reload on every event so the snapshot is always complete; updates are sent in order
+        let updateQueue = Promise.resolve();
+        unsubscribe = subscribeToOrderEvents(orderId, () => {
+            updateQueue = updateQueue
+                .then(async () => {
+                    if (closed) return;
+                    const currentOrder = await loadOrder();
+                    if (currentOrder && !closed) sendSnapshot(currentOrder);
+                })
+                .catch(error => logger.error("Error refreshing order tracking", { error: error.message, orderId }));
+        });
+
+        sendSnapshot(order);
+        if (!closed) {
+            heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.orderEvents.heartbeatSeconds * 1000);
+        }
+    } catch (error) {
+        clearInterval(heartbeat);
+        unsubscribe();
+        logger.error("Error streaming order tracking", { error: error.message, orderId, userId });
+        if (!res.headersSent) return next(error);
+        res.end();
+    }
+};
+
 export const getOrderDetails = async (req, res, next) => {
     try {
         const orderId = req.params?.orderId;
         if (!mongoose.Types.ObjectId.isValid(orderId)) {
             return res.status(400).json({ success: false, message: "Invalid order ID format." });
         }
-        const order = await Order.findById(orderId).populate('restaurantId', 'restaurantName address').populate('customerId', 'fullName email');
+        const order = await Order.findById(orderId).populate('restaurantId', 'restaurantName address').populate('customerId', 'fullName email').populate('tableId', 'tableNumber area');
         if (!order) {
             return res.status(404).json({ success: false, message: "Order not found." });
         }
@@ -320,17 +1096,113 @@ export const getOrderDetails = async (req, res, next) => {
             return res.status(403).json({ success: false, message: "You are not authorized to view this order." });
         }
         
-        return res.status(200).json({ success: true, data: order });
+        return res.status(200).json({ success: true, data: { ...order.toObject(), eta: getEtaSummary(order) } });
     } catch (error) {
         logger.error("Error fetching order details", { error: error.message });
         next(error);
     }
 };
 
+/**
+ * @description Lets a customer tip the rider after a cash delivery. The tip is recorded on the order, outside the total it was billed for, and handed over in cash.
+ * @route POST /api/orders/:orderId/tip
+ * @access Private (User)
+ */
+export const addTipToOrder = async (req, res, next) => {
+    const { orderId } = req.params;
+    const userId = req.user?._id;
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ success: false, message: "Invalid order ID format." });
+        }
+        const order = await Order.findOne({ _id: orderId, customerId: userId });
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found." });
+        }
+        if (order.status !== 'delivered' || !order.assignedDeliveryPartnerId) {
+            return res.status(400).json({ success: false, message: "Tips can only be added once a delivery has been completed." });
+        }
+        if (order.paymentType !== 'cash') {
+            return res.status(400).json({ success: false, message: "Card orders can only be tipped at checkout." });
+        }
+        const { error: tipError, tipAmount } = resolveTip(req.body.tip, order.orderType, order.currency);
+        if (tipError || tipAmount <= 0) {
+            return res.status(400).json({ success: false, message: tipError || "A tip amount greater than zero is required." });
+        }
+
+        // The order has already been billed, so the tip is recorded beside its total rather than added to it.
+        // Claimed in one update so two tips sent together cannot both be recorded.
+        const result = await Order.updateOne(
+            { _id: order._id, 'pricing.tipAmount': { $in: [0, null] } },
+            { $set: { 'pricing.tipAmount': tipAmount, tipAddedAt: new Date() } }
+        );
+        if (result.modifiedCount === 0) {
+            return res.status(409).json({ success: false, message: "This order has already been tipped." });
+        }
+
+        const updatedOrder = await Order.findById(order._id).select('pricing tipAddedAt').lean();
+        return res.status(200).json({ success: true, message: "Thank you! Your tip has been recorded.", data: { ...updatedOrder.pricing, tipAddedAt: updatedOrder.tipAddedAt } });
+    } catch (error) {
+        logger.error("Error adding tip to order", { error: error.message, orderId, userId });
+        next(error);
+    }
+};
+
+/**
+ * @description Downloads a PDF invoice for an accepted or completed order. Available to the customer and the
+ * restaurant, but not once the order has been cancelled or refunded in full.
+ * @route GET /api/orders/:orderId/invoice
+ * @route GET /api/orders/restaurant/:orderId/invoice
+ * @access Private (User or Restaurant Owner)
+ */
+export const getOrderInvoice = async (req, res, next) => {
+    const { orderId } = req.params;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ success: false, message: "Invalid order ID format." });
+        }
+        const order = await Order.findById(orderId).populate('restaurantId', 'restaurantName address phoneNumber email localeSettings');
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found." });
+        }
+
+        const isCustomer = req.user && order.customerId.toString() === req.user._id.toString();
+        const isOwner = req.restaurant && order.restaurantId._id.toString() === req.restaurant._id.toString();
+        if (!isCustomer && !isOwner) {
+            return res.status(403).json({ success: false, message: "You are not authorized to view this order." });
+        }
+
+        if (order.status === 'cancelled' || order.acceptanceStatus === 'rejected' || order.paymentStatus === 'refunded') {
+            return res.status(400).json({ success: false, message: "No invoice is available for a cancelled or refunded order." });
+        }
+        if (!order.billNumber) {
+            // Orders accepted or completed before bill numbers were issued get one on first request
+            if (order.acceptanceStatus !== 'accepted' && !COMPLETED_STATUSES.includes(order.status)) {
+                return res.status(400).json({ success: false, message: "An invoice is available once the order has been accepted." });
+            }
+            await saveWithBillNumber(order);
+        }
+
+        const documents = await RestaurantDocuments.findOne({ restaurantId: order.restaurantId._id }).select('vatCertificate.vatNumber').lean();
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="invoice-${order.billNumber}.pdf"`);
+        streamInvoicePdf(res, {
+            order,
+            restaurant: order.restaurantId,
+            vatNumber: documents?.vatCertificate?.vatNumber,
+        });
+    } catch (error) {
+        logger.error("Error generating order invoice", { error: error.message, orderId });
+        next(error);
+    }
+};
+
 export const updateOrderStatus = async (req, res, next) => {
     try {
         const { orderId } = req.params;
-        const { status } = req.body;
+        const { status, note } = req.body;
         const restaurantId = req.restaurant?._id;
 
         if (!status) {
@@ -342,26 +1214,29 @@ export const updateOrderStatus = async (req, res, next) => {
             return res.status(404).json({ success: false, message: "Order not found or you are not authorized to update it." });
         }
 
-        const allowedTransitions = {
-            'placed': ['out_for_delivery', 'cancelled'],
-            'out_for_delivery': ['delivered', 'cancelled'],
-            'delivered': [],
-            'cancelled': [],
-        };
-
         if (order.acceptanceStatus !== 'accepted' && status !== 'cancelled') {
              return res.status(400).json({ success: false, message: "Order must be accepted before its status can be updated."});
         }
 
-        if (!allowedTransitions[order.status]?.includes(status)) {
-            return res.status(400).json({ success: false, message: `Invalid status transition from '${order.status}' to '${status}'.` });
+        const previous = { status: order.status, paymentStatus: order.paymentStatus };
+        applyStatusTransition(order, status, { actor: 'owner', actorId: restaurantId, note });
+        refreshEta(order, status);
+
+        if (status === 'delivered') {
+            order.deliveryDate = new Date(); // The restaurant delivered it themselves
         }
-        
-        order.status = status;
-        const updatedOrder = await order.save();
+        // Cash is settled at the counter, the table or the door
+        if (COMPLETED_STATUSES.includes(status) && order.paymentType === 'cash') {
+            order.paymentStatus = 'paid';
+        }
+        const updatedOrder = COMPLETED_STATUSES.includes(status) ? await saveWithBillNumber(order) : await order.save();
+        await publishOrderStatusChange(updatedOrder, previous);
         return res.status(200).json({ success: true, message: "Order updated successfully.", data: updatedOrder });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         logger.error("Error updating order status", { error: error.message });
         next(error);
     }
@@ -381,20 +1256,20 @@ export const getRestaurantStats = async (req, res, next) => {
             {
                 $facet: {
                     "overallStats": [
-                        { $group: { _id: null, totalOrders: { $sum: 1 }, totalDelivered: { $sum: { $cond: [{ $eq: ["$status", "delivered"] }, 1, 0] } }, totalCancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } }, totalIncome: { $sum: { $cond: [{ $eq: ["$status", "delivered"] }, "$pricing.totalAmount", 0] } } } }
+                        { $group: { _id: null, totalOrders: { $sum: 1 }, totalDelivered: { $sum: { $cond: [{ $in: ["$status", COMPLETED_STATUSES] }, 1, 0] } }, totalCancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } }, totalIncome: { $sum: { $cond: [{ $in: ["$status", COMPLETED_STATUSES] }, RESTAURANT_REVENUE, 0] } } } }
                     ],
                     "monthlyIncome": [
-                        { $match: { status: "delivered" } },
-                        { $group: { _id: { year: { $year: "$createdAt" }, month: { $month: "$createdAt" } }, totalIncome: { $sum: "$pricing.totalAmount" } } },
+                        { $match: { status: { $in: COMPLETED_STATUSES } } },
+                        { $group: { _id: { year: { $year: "$createdAt" }, month: { $month: "$createdAt" } }, totalIncome: { $sum: RESTAURANT_REVENUE } } },
                         { $sort: { "_id.year": 1, "_id.month": 1 } }
                     ],
                     "currentMonthStats": [
                         { $match: { createdAt: { $gte: currentMonthStart } } },
-                        { $group: { _id: null, orders: { $sum: 1 }, delivered: { $sum: { $cond: [{ $eq: ["$status", "delivered"] }, 1, 0] } }, income: { $sum: { $cond: [{ $eq: ["$status", "delivered"] }, "$pricing.totalAmount", 0] } } } }
+                        { $group: { _id: null, orders: { $sum: 1 }, delivered: { $sum: { $cond: [{ $in: ["$status", COMPLETED_STATUSES] }, 1, 0] } }, income: { $sum: { $cond: [{ $in: ["$status", COMPLETED_STATUSES] }, RESTAURANT_REVENUE, 0] } } } }
                     ],
                     "lastMonthStats": [
                         { $match: { createdAt: { $gte: lastMonthStart, $lte: lastMonthEnd } } },
-                        { $group: { _id: null, orders: { $sum: 1 }, delivered: { $sum: { $cond: [{ $eq: ["$status", "delivered"] }, 1, 0] } }, income: { $sum: { $cond: [{ $eq: ["$status", "delivered"] }, "$pricing.totalAmount", 0] } } } }
+                        { $group: { _id: null, orders: { $sum: 1 }, delivered: { $sum: { $cond: [{ $in: ["$status", COMPLETED_STATUSES] }, 1, 0] } }, income: { $sum: { $cond: [{ $in: ["$status", COMPLETED_STATUSES] }, RESTAURANT_REVENUE, 0] } } } }
                     ]
                 }
             }
@@ -433,36 +1308,77 @@ export const getRestaurantStats = async (req, res, next) => {
 
 export const getRestaurantSalesReport = async (req, res, next) => {
     const restaurantId = req.restaurant?._id;
-    const { startDate, endDate } = req.query;
+    const { format } = req.query;
 
     try {
+        if (format && !EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+        }
+        const { error: dateError, createdAt } = parseReportDateRange(req.query);
+        if (dateError) {
+            return res.status(400).json({ success: false, message: dateError });
+        }
+
         const matchStage = {
             restaurantId: new mongoose.Types.ObjectId(restaurantId),
-            status: 'delivered',
-            createdAt: {}
+            status: { $in: COMPLETED_STATUSES },
+            createdAt
         };
 
-        if (startDate) matchStage.createdAt.$gte = new Date(startDate);
-        if (endDate) matchStage.createdAt.$lte = new Date(endDate);
-        if (!startDate && !endDate) {
-            matchStage.createdAt.$gte = new Date(new Date().setDate(new Date().getDate() - 30));
+        if (format) {
+            // One row per completed order, streamed straight from the database
+            return await streamExport(res, {
+                format,
+                filename: 'sales-report',
+                columns: LEDGER_COLUMNS,
+                rows: Order.find(matchStage).select(LEDGER_FIELDS).sort({ createdAt: 1 }).lean().cursor(),
+                mapRow: toLedgerRow
+            });
         }
 
-        const salesReport = await Order.aggregate([
-            { $match: matchStage },
-            {
-                $group: {
-                    _id: null,
-                    totalRevenue: { $sum: "$pricing.totalAmount" },
-                    totalOrders: { $sum: 1 },
-                    averageOrderValue: { $avg: "$pricing.totalAmount" }
+        const [salesReport, vatReport] = await Promise.all([
+            Order.aggregate([
+                { $match: matchStage },
+                {
+                    $group: {
+                        _id: null,
+                        totalRevenue: { $sum: RESTAURANT_REVENUE },
+                        totalOrders: { $sum: 1 },
+                        averageOrderValue: { $avg: RESTAURANT_REVENUE },
+                        totalVat: { $sum: { $ifNull: ["$pricing.vat.totalVat", 0] } }
+                    }
                 }
-            }
+            ]),
+            Order.aggregate([
+                { $match: matchStage },
+                { $unwind: "$pricing.vat.breakdown" },
+                {
+                    $group: {
+                        _id: "$pricing.vat.breakdown.rate",
+                        netAmount: { $sum: "$pricing.vat.breakdown.netAmount" },
+                        vatAmount: { $sum: "$pricing.vat.breakdown.vatAmount" },
+                        grossAmount: { $sum: "$pricing.vat.breakdown.grossAmount" }
+                    }
+                },
+                { $sort: { _id: -1 } }
+            ])
         ]);
 
+        const summary = salesReport[0] || { totalRevenue: 0, totalOrders: 0, averageOrderValue: 0, totalVat: 0 };
+        delete summary._id;
         return res.status(200).json({
             success: true,
-            data: salesReport[0] || { totalRevenue: 0, totalOrders: 0, averageOrderValue: 0 }
+            data: {
+                ...summary,
+                totalVat: roundMoney(summary.totalVat),
+                vatBreakdown: vatReport.map(({ _id, netAmount, vatAmount, grossAmount }) => ({
+                    rate: _id,
+                    netAmount: roundMoney(netAmount),
+                    vatAmount: roundMoney(vatAmount),
+                    grossAmount: roundMoney(grossAmount)
+                })),
+                currency: getLocaleSettings(req.restaurant).currency
+            }
         });
 
     } catch (error) {
@@ -471,10 +1387,35 @@ export const getRestaurantSalesReport = async (req, res, next) => {
     }
 };
 
+/**
+ * @description Order counts by status and by order type. With `format`, downloads one row per order in the date
+ * range instead (all statuses), streamed from a database cursor.
+ * @route GET /api/orders/restaurant/reports/orders?format=csv|xlsx&startDate=&endDate=
+ * @access Private (Restaurant Owner)
+ */
 export const getRestaurantOrdersReport = async (req, res, next) => {
     const restaurantId = req.restaurant?._id;
+    const { format } = req.query;
 
     try {
+        if (format && !EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+        }
+
+        if (format) {
+            const { error: dateError, createdAt } = parseReportDateRange(req.query);
+            if (dateError) {
+                return res.status(400).json({ success: false, message: dateError });
+            }
+            return await streamExport(res, {
+                format,
+                filename: 'orders-report',
+                columns: LEDGER_COLUMNS,
+                rows: Order.find({ restaurantId, createdAt }).select(LEDGER_FIELDS).sort({ createdAt: 1 }).lean().cursor(),
+                mapRow: toLedgerRow
+            });
+        }
+
         const ordersReport = await Order.aggregate([
             { $match: { restaurantId: new mongoose.Types.ObjectId(restaurantId) } },
             {
@@ -503,12 +1444,42 @@ export const getRestaurantOrdersReport = async (req, res, next) => {
     }
 };
 
+/**
+ * @description Quantity sold and revenue per menu item across completed orders. With `format`, downloads one row
+ * per ordered item of each completed order in the date range instead, streamed from a database cursor.
+ * @route GET /api/orders/restaurant/reports/menu-performance?format=csv|xlsx&startDate=&endDate=
+ * @access Private (Restaurant Owner)
+ */
 export const getMenuItemPerformance = async (req, res, next) => {
     const restaurantId = req.restaurant?._id;
+    const { format } = req.query;
 
     try {
+        if (format && !EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+        }
+
+        if (format) {
+            const { error: dateError, createdAt } = parseReportDateRange(req.query);
+            if (dateError) {
+                return res.status(400).json({ success: false, message: dateError });
+            }
+            return await streamExport(res, {
+                format,
+                filename: 'menu-item-performance',
+                columns: ORDER_LINE_COLUMNS,
+                rows: Order.aggregate([
+                    { $match: { restaurantId: new mongoose.Types.ObjectId(restaurantId), status: { $in: COMPLETED_STATUSES }, createdAt } },
+                    { $sort: { createdAt: 1 } },
+                    { $project: { createdAt: 1, orderNumber: 1, billNumber: 1, orderType: 1, item: "$orderedItems" } },
+                    { $unwind: "$item" }
+                ]).cursor(),
+                mapRow: toOrderLineRow
+            });
+        }
+
         const itemPerformance = await Order.aggregate([
-            { $match: { restaurantId: new mongoose.Types.ObjectId(restaurantId), status: 'delivered' } },
+            { $match: { restaurantId: new mongoose.Types.ObjectId(restaurantId), status: { $in: COMPLETED_STATUSES } } },
             { $unwind: "$orderedItems" },
             {
                 $group: {
@@ -530,4 +1501,140 @@ export const getMenuItemPerformance = async (req, res, next) => {
         logger.error("Error generating menu item performance report", { error: error.message });
         next(error);
     }
+};
+
+/**
+ * @description Downloads an order ledger with one row per order in the date range (all statuses).
+ * Rows are streamed from a database cursor so large ranges are never loaded into memory.
+ * @route GET /api/orders/restaurant/reports/ledger?startDate=&endDate=&format=csv|xlsx
+ * @access Private (Restaurant Owner)
+ */
+export const getOrderLedgerExport = async (req, res, next) => {
+    const restaurantId = req.restaurant?._id;
+    const { format = 'csv' } = req.query;
+
+    try {
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+        }
+        const { error: dateError, createdAt } = parseReportDateRange(req.query);
+        if (dateError) {
+            return res.status(400).json({ success: false, message: dateError });
+        }
+
+        await streamExport(res, {
+            format,
+            filename: 'order-ledger',
+            columns: LEDGER_COLUMNS,
+            rows: Order.find({ restaurantId, createdAt }).select(LEDGER_FIELDS).sort({ createdAt: 1 }).lean().cursor(),
+            mapRow: toLedgerRow
+        });
+    } catch (error) {
+        logger.error("Error exporting order ledger", { error: error.message, restaurantId });
+        next(error);
+    }
+};
+
+/**
+ * @description Time-bucketed sales analytics in the restaurant's timezone, broken down by orderType and paymentType.
+ * Plain dates ("YYYY-MM-DD") are read as whole days in the requested timezone; endDate is inclusive.
+ * @route GET /api/orders/restaurant/reports/analytics?granularity=hour|day|week|month&startDate=&endDate=&timezone=
+ * @access Private (Restaurant Owner)
+ */
+export const getRestaurantSalesAnalytics = async (req, res, next) => {
+    const restaurantId = req.restaurant?._id;
+    const { granularity = 'day', timezone = DEFAULT_ANALYTICS_TIMEZONE, startDate, endDate } = req.query;
+
+    try {
+        if (!ANALYTICS_GRANULARITIES.includes(granularity)) {
+            return res.status(400).json({ success: false, message: `granularity must be one of: ${ANALYTICS_GRANULARITIES.join(', ')}.` });
+        }
+        if (!isValidTimeZone(timezone)) {
+            return res.status(400).json({ success: false, message: "timezone must be a valid IANA timezone, e.g. 'Europe/London'." });
+        }
+
+        const createdAt = {};
+        if (startDate) createdAt.$gte = parseDateInTimeZone(startDate, timezone);
+        if (endDate) {
+            const nextDay = new Date(`${endDate}T00:00:00Z`);
+            if (isDateOnly(endDate) && !isNaN(nextDay.getTime())) {
+                // Include the whole of the final day
+                nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+                createdAt.$lt = parseDateInTimeZone(nextDay.toISOString().slice(0, 10), timezone);
+            } else {
+                createdAt.$lte = parseDateInTimeZone(endDate, timezone);
+            }
+        }
+        if (!startDate && !endDate) {
+            createdAt.$gte = new Date(new Date().setDate(new Date().getDate() - 30));
+        }
+        if (Object.values(createdAt).some(date => isNaN(date.getTime()))) {
+            return res.status(400).json({ success: false, message: "Invalid startDate or endDate." });
+        }
+
+        const isCompleted = { $in: ["$status", COMPLETED_STATUSES] };
+        const rows = await Order.aggregate([
+            { $match: { restaurantId: new mongoose.Types.ObjectId(restaurantId), createdAt } },
+            {
+                $group: {
+                    _id: {
+                        bucket: {
+                            $dateTrunc: {
+                                date: "$createdAt",
+                                unit: granularity,
+                                timezone,
+                                ...(granularity === 'week' ? { startOfWeek: 'monday' } : {})
+                            }
+                        },
+                        orderType: "$orderType",
+                        paymentType: "$paymentType"
+                    },
+                    orders: { $sum: 1 },
+                    completedOrders: { $sum: { $cond: [isCompleted, 1, 0] } },
+                    cancelledOrders: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+                    revenue: { $sum: { $cond: [isCompleted, RESTAURANT_REVENUE, 0] } },
+                    discountTotal: { $sum: { $cond: [isCompleted, { $ifNull: ["$pricing.discountAmount", 0] }, 0] } }
+                }
+            },
+            { $sort: { "_id.bucket": 1 } }
+        ]);
+
+        // Fold the (bucket, orderType, paymentType) rows into one entry per bucket
+        const buckets = new Map();
+        const overall = {};
+        rows.forEach(({ _id: { bucket, orderType, paymentType }, ...counters }) => {
+            const key = bucket.toISOString();
+            if (!buckets.has(key)) {
+                buckets.set(key, { bucketStart: bucket, totals: {}, byOrderType: {}, byPaymentType: {} });
+            }
+            const entry = buckets.get(key);
+            addAnalyticsCounters(entry.totals, counters);
+            entry.byOrderType[orderType] = addAnalyticsCounters(entry.byOrderType[orderType], counters);
+            entry.byPaymentType[paymentType] = addAnalyticsCounters(entry.byPaymentType[paymentType], counters);
+            addAnalyticsCounters(overall, counters);
+        });
+
+        const mapValues = (object, fn) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+        const data = [...buckets.values()].map(entry => ({
+            bucketStart: entry.bucketStart,
+            label: formatBucketLabel(entry.bucketStart, granularity, timezone),
+            ...summariseAnalytics(entry.totals),
+            byOrderType: mapValues(entry.byOrderType, summariseAnalytics),
+            byPaymentType: mapValues(entry.byPaymentType, summariseAnalytics)
+        }));
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                granularity,
+                timezone,
+                range: createdAt,
+                totals: summariseAnalytics(overall),
+                buckets: data
+            }
+        });
+    } catch (error) {
+        logger.error("Error generating sales analytics", { error: error.message, restaurantId });
+        next(error);
+    }
 };
\ No newline at end of file
@@ -2,6 +2,8 @@
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import Restaurant from "../models/Restaurant.js";
+import Order from "../models/Order.js";
+import { parseReportDateRange } from "../utils/timingUtils.js";
 import logger from "../utils/logger.js";
 
 /**
@@ -203,4 +205,58 @@ export const updateDeliveryPartner = async (req, res, next) => {
         logger.error("Error updating delivery partner", { error: error.message, partnerId });
         next(error);
     }
+};
+
+/**
+ * @description Reports each delivery partner's deliveries, failed deliveries and tips for the owner's restaurant.
+ * @route GET /api/owner/delivery-partners/report?startDate=&endDate=
+ * @access Private (Restaurant Owner)
+ */
+export const getDeliveryPartnerReport = async (req, res, next) => {
+    const restaurantId = req.restaurant?._id;
+
+    try {
+        const { error: dateError, createdAt } = parseReportDateRange(req.query);
+        if (dateError) {
+            return res.status(400).json({ success: false, message: dateError });
+        }
+
+        const report = await Order.aggregate([
+            {
+                $match: {
+                    restaurantId: new mongoose.Types.ObjectId(restaurantId),
+                    assignedDeliveryPartnerId: { $exists: true, $ne: null },
+                    status: { $in: ['delivered', 'delivery_failed'] },
+                    createdAt
+                }
+            },
+            {
+                $group: {
+                    _id: "$assignedDeliveryPartnerId",
+                    deliveries: { $sum: { $cond: [{ $eq: ["$status", "delivered"] }, 1, 0] } },
+                    failedDeliveries: { $sum: { $cond: [{ $eq: ["$status", "delivery_failed"] }, 1, 0] } },
+                    tipTotal: { $sum: { $ifNull: ["$pricing.tipAmount", 0] } }
+                }
+            },
+            { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "partner" } },
+            { $unwind: { path: "$partner", preserveNullAndEmptyArrays: true } },
+            {
+                $project: {
+                    _id: 0,
+                    partnerId: "$_id",
+                    fullName: "$partner.fullName",
+                    rating: "$partner.deliveryPartnerProfile.rating",
+                    deliveries: 1,
+                    failedDeliveries: 1,
+                    tipTotal: { $round: ["$tipTotal", 2] }
+                }
+            },
+            { $sort: { deliveries: -1 } }
+        ]);
+
+        return res.status(200).json({ success: true, data: report });
+    } catch (error) {
+        logger.error("Error generating delivery partner report", { error: error.message, restaurantId });
+        next(error);
+    }
 };
\ No newline at end of file
@@ -6,13 +6,14 @@ import RestaurantMedia from "../models/RestaurantMedia.js";
 import RestaurantTimings from "../models/RestaurantTimings.js";
 import uploadOnCloudinary from "../config/cloudinary.js";
 import logger from "../utils/logger.js";
+import { validateLocaleSettings, getLocaleSettings, isValidPhoneNumber } from "../utils/localeUtils.js";
 
 // --- Helper Functions for a Clean and Maintainable Controller ---
 
 const validateAndParseInput = (body) => {
   const { 
     restaurantName, ownerFullName, email, password, restaurantType, phoneNumber,
-    address, timings, handlingChargesPercentage, stripeSecretKey, deliverySettings 
+    address, timings, handlingChargesPercentage, stripeSecretKey, deliverySettings, localeSettings
   } = body;
 
   const requiredFields = {
@@ -27,12 +28,42 @@ const validateAndParseInput = (body) => {
     }
   }
 
+  if (body.stripeWebhookSecret && (typeof body.stripeWebhookSecret !== 'string' || !body.stripeWebhookSecret.startsWith('whsec_'))) {
+    const error = new Error("stripeWebhookSecret must be the webhook endpoint's signing secret, starting with 'whsec_'.");
+    error.statusCode = 400;
+    throw error;
+  }
+
   if (password.length < 8) {
     const error = new Error("Password must be at least 8 characters long.");
     error.statusCode = 400;
     throw error;
   }
 
+  let parsedLocaleSettings = {};
+  if (localeSettings) {
+    let localeInput;
+    try {
+      localeInput = typeof localeSettings === 'string' ? JSON.parse(localeSettings) : localeSettings;
+    } catch {
+      localeInput = null;
+    }
+    const { error: localeError, updates } = validateLocaleSettings(localeInput);
+    if (localeError) {
+      const error = new Error(localeError);
+      error.statusCode = 400;
+      throw error;
+    }
+    parsedLocaleSettings = Object.fromEntries(Object.entries(updates).map(([path, value]) => [path.replace('localeSettings.', ''), value]));
+  }
+
+  const { phoneRegion } = getLocaleSettings({ localeSettings: parsedLocaleSettings });
+  if (!isValidPhoneNumber(phoneNumber, phoneRegion)) {
+    const error = new Error(`Please provide a valid phone number for ${phoneRegion}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+
   try {
     const parsedAddress = typeof address === 'string' ? JSON.parse(address) : address;
     const parsedTimings = timings ? (typeof timings === 'string' ? JSON.parse(timings) : timings) : null;
@@ -46,7 +77,7 @@ const validateAndParseInput = (body) => {
         throw new Error("Delivery settings must include freeDeliveryRadius, chargePerMile, and maxDeliveryRadius.");
     }
     
-    return { ...body, parsedAddress, parsedTimings, parsedDeliverySettings };
+    return { ...body, parsedAddress, parsedTimings, parsedDeliverySettings, parsedLocaleSettings };
   } catch (e) {
     const error = new Error(`Invalid JSON format or missing data in address, timings, or deliverySettings. Details: ${e.message}`);
     error.statusCode = 400;
@@ -140,7 +171,7 @@ export const registerOwner = async (req, res, next) => {
 
   try {
     const validatedData = validateAndParseInput(req.body);
-    const { email, password, parsedAddress, parsedTimings, parsedDeliverySettings, handlingChargesPercentage, stripeSecretKey, phoneNumber } = validatedData;
+    const { email, password, parsedAddress, parsedTimings, parsedDeliverySettings, parsedLocaleSettings, handlingChargesPercentage, stripeSecretKey, phoneNumber } = validatedData;
 
     const existingRestaurant = await Restaurant.findOne({ $or: [{ email }, { phoneNumber }] }).session(session);
     if (existingRestaurant) {
@@ -155,8 +186,10 @@ export const registerOwner = async (req, res, next) => {
       password: password,
       address: parsedAddress,
       deliverySettings: parsedDeliverySettings,
+      localeSettings: parsedLocaleSettings,
       handlingChargesPercentage,
       stripeSecretKey,
+      stripeWebhookSecret: validatedData.stripeWebhookSecret || undefined,
       phoneNumber
     });
     const restaurantId = restaurant._id;
@@ -1,61 +1,28 @@
-import Stripe from "stripe";
 import { v4 as uuidv4 } from "uuid";
 import User from '../models/User.js';
 import Restaurant from '../models/Restaurant.js';
-import { getDistanceFromLatLonInMiles } from "../utils/locationUtils.js";
+import { validateCart, resolveOrderPreferences, findAppliedOffer, priceCartCheckout, getAmountDue } from "../utils/orderCalculation.js";
+import { getPaymentProvider, buildOrderCheckoutLines } from "../utils/paymentProvider.js";
+import { validateScheduledTime } from "../utils/timingUtils.js";
+import { getLocaleSettings } from "../utils/localeUtils.js";
+import { decryptSecret } from "../utils/encryptionUtils.js";
+import { getStoreCreditBalance, spendStoreCredit } from "../utils/storeCreditUtils.js";
 import logger from "../utils/logger.js";
 import config from "../config/env.js";
 
-const calculateDeliveryFee = (distance, settings) => {
-    if (distance > settings.maxDeliveryRadius) {
-        return -1; 
-    }
-    if (distance <= settings.freeDeliveryRadius) {
-        return 0;
-    }
-    const chargeableDistance = distance - settings.freeDeliveryRadius;
-    return Math.round(chargeableDistance * settings.chargePerMile * 100) / 100;
-};
-
-const processCartForCheckout = (cart, restaurant) => {
-    const processedItems = cart.map(cartItem => {
-        const { menuItemId: menuItem, quantity, selectedVariant, selectedAddons } = cartItem;
-        if (!menuItem) return null;
-
-        let lineItemSubtotal = menuItem.basePrice;
-        if (selectedVariant?.variantId) {
-            const group = menuItem.variantGroups.find(g => g.groupId === selectedVariant.groupId);
-            const variant = group?.variants.find(v => v.variantId === selectedVariant.variantId);
-            if (variant) lineItemSubtotal += (variant.additionalPrice || 0);
-        }
-        if (selectedAddons?.length) {
-            selectedAddons.forEach(addon => {
-                const group = menuItem.addonGroups.find(g => g.groupId === addon.groupId);
-                const option = group?.addons.find(a => a.addonId === addon.addonId);
-                if (option) lineItemSubtotal += (option.price || 0);
-            });
-        }
-        return lineItemSubtotal * quantity;
-    }).filter(item => item !== null);
-    
-    const subtotal = processedItems.reduce((acc, total) => acc + total, 0);
-    const handlingCharge = subtotal * (restaurant.handlingChargesPercentage / 100);
-
-    return { subtotal, handlingCharge };
-};
+// The parts of an offer that affect its price
+const offerTerms = ({ promoCode, discountType, discountValue, minOrderValue, maxDiscountAmount }) =>
+    ({ promoCode, discountType, discountValue, minOrderValue, maxDiscountAmount });
 
 // --- Main Controller ---
 export const createOrderCheckoutSession = async (req, res, next) => {
     try {
         const userId = req.user._id;
-        const { cartType, deliveryAddress } = req.body; 
+        const { cartType, orderType = 'delivery', deliveryAddress, pickupTime, tableId, scheduledFor, tip, preferences, useStoreCredit = false } = req.body;
 
         if (!cartType || !['foodCart', 'groceriesCart'].includes(cartType)) {
             return res.status(400).json({ success: false, message: "A valid cartType ('foodCart' or 'groceriesCart') is required." });
         }
-        if (!deliveryAddress || !deliveryAddress.coordinates || !deliveryAddress.coordinates.coordinates) {
-             return res.status(400).json({ success: false, message: "Delivery address with coordinates is required to create a checkout session." });
-        }
         
         const cartField = cartType;
 
@@ -69,65 +36,96 @@ export const createOrderCheckoutSession = async (req, res, next) => {
             return res.status(400).json({ success: false, message: "Cannot create a checkout session for an empty cart." });
         }
         
-        const restaurantId = cart[0].menuItemId.restaurantId;
+        const { error: cartError, restaurantId } = validateCart(cart);
+        if (cartError) {
+            return res.status(400).json({ success: false, message: cartError });
+        }
+
         const restaurant = await Restaurant.findById(restaurantId).select('+stripeSecretKey').lean();
         if (!restaurant || !restaurant.stripeSecretKey) {
             return res.status(500).json({ success: false, message: "This restaurant is currently not accepting online payments." });
         }
 
-        const { subtotal, handlingCharge } = processCartForCheckout(cart, restaurant);
-        
-        const [restaurantLon, restaurantLat] = restaurant.address.coordinates.coordinates;
-        const [userLon, userLat] = deliveryAddress.coordinates.coordinates;
-        const distance = getDistanceFromLatLonInMiles(restaurantLat, restaurantLon, userLat, userLon);
-        const deliveryFee = calculateDeliveryFee(distance, restaurant.deliverySettings);
+        let schedule = {};
+        if (scheduledFor) {
+            const { error: scheduleError, schedule: scheduleFields } = await validateScheduledTime(restaurant, scheduledFor);
+            if (scheduleError) {
+                return res.status(400).json({ success: false, message: scheduleError });
+            }
+            schedule = scheduleFields;
+        }
 
-        if (deliveryFee === -1) {
-            return res.status(400).json({ success: false, message: `Sorry, this address is outside the restaurant's delivery radius of ${restaurant.deliverySettings.maxDeliveryRadius} miles.` });
+        const { error: preferencesError, preferences: orderPreferences } = resolveOrderPreferences(preferences, orderType);
+        if (preferencesError) {
+            return res.status(400).json({ success: false, message: preferencesError });
         }
 
-        const totalAmount = subtotal + handlingCharge + deliveryFee;
+        const offerDetails = await findAppliedOffer(user.customerProfile?.appliedPromo, cartField, restaurantId);
+        const storeCredit = useStoreCredit === true ? await getStoreCreditBalance(userId, restaurantId) : 0;
+        const { error: pricingError, processedItems, pricing, appliedOffer, fulfilment } = await priceCartCheckout(
+            cart,
+            restaurant,
+            { orderType, deliveryAddress, pickupTime: pickupTime || schedule.deliveryTime, tableId, tip },
+            { offerDetails, storeCredit }
+        );
+        if (pricingError) {
+            return res.status(400).json({ success: false, message: pricingError });
+        }
 
-        if (totalAmount <= 0) {
+        if (pricing.totalAmount <= 0) {
             return res.status(400).json({ success: false, message: "Cart total must be greater than zero." });
         }
+        if (getAmountDue(pricing) <= 0) {
+            return res.status(400).json({ success: false, message: "Your store credit covers this order. Place it as a cash order with store credit instead." });
+        }
 
-        const stripe = new Stripe(restaurant.stripeSecretKey);
-
-        const line_items = [{
-            price_data: {
-                currency: "gbp", 
-                product_data: {
-                    name: `Order from ${restaurant.restaurantName}`,
-                    description: `Includes items, handling charges, and delivery.`
-                },
-                unit_amount: Math.round(totalAmount * 100),
-            },
-            quantity: 1,
-        }];
+        const paymentProvider = getPaymentProvider(decryptSecret(restaurant.stripeSecretKey));
+        const { currency } = getLocaleSettings(restaurant);
         
         const idempotencyKey = config.featureFlags.enableIdempotencyCheck ? uuidv4() : null;
 
-        const session = await stripe.checkout.sessions.create({
-            payment_method_types: ["card"],
-            line_items,
-            mode: "payment",
-            success_url: `${config.clientUrls.successRedirect}?order_session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: config.clientUrls.failureRedirect,
-            customer_email: user.email, 
+        const session = await paymentProvider.createCheckout({
+            currency,
+            ...buildOrderCheckoutLines({ processedItems, pricing, appliedOffer }),
+            successUrl: `${config.clientUrls.successRedirect}?order_session_id={CHECKOUT_SESSION_ID}`,
+            cancelUrl: config.clientUrls.failureRedirect,
+            customerEmail: user.email, 
             metadata: {
                 userId: userId.toString(),
                 cartType: cartField,
                 restaurantId: restaurantId.toString(),
                 idempotencyKey,
-                deliveryAddress: JSON.stringify(deliveryAddress), 
+                orderType: fulfilment.orderType,
+                deliveryAddress: fulfilment.deliveryAddress ? JSON.stringify(fulfilment.deliveryAddress) : '',
+                pickupTime: fulfilment.pickupTime ? fulfilment.pickupTime.toISOString() : '',
+                tableId: fulfilment.tableId ? fulfilment.tableId.toString() : '',
+                scheduledFor: schedule.deliveryTime ? schedule.deliveryTime.toISOString() : '',
+                tipAmount: pricing.tipAmount.toString(),
+                storeCreditAmount: pricing.storeCreditAmount.toString(),
+                preferences: JSON.stringify(orderPreferences),
+                // The offer as priced here, so the webhook charges the same even if it changes meanwhile
+                offer: appliedOffer ? JSON.stringify(offerTerms(offerDetails)) : '',
             }
         });
 
-        res.status(200).json({ success: true, url: session.url, sessionId: session.id });
+        // Reserve the credit for this checkout; the webhook returns it if the checkout expires unpaid
+        if (pricing.storeCreditAmount > 0) {
+            const spent = await spendStoreCredit({
+                customerId: userId,
+                restaurantId,
+                amount: pricing.storeCreditAmount,
+                reference: `checkout-${session.id}`
+            });
+            if (!spent) {
+                await paymentProvider.expireCheckout(session.id);
+                return res.status(409).json({ success: false, message: "Your store credit balance changed. Please try again." });
+            }
+        }
+
+        res.status(200).json({ success: true, url: session.url, sessionId: session.id, data: { pricing, appliedOffer } });
 
     } catch (error) {
-        logger.error("Error creating Stripe checkout session", { error: error.message, userId: req.user?._id });
+        logger.error("Error creating checkout session", { error: error.message, userId: req.user?._id });
         next(error);
     }
 };
\ No newline at end of file
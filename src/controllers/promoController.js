@@ -5,6 +5,7 @@ import User from "../models/User.js";
 import Restaurant from "../models/Restaurant.js";
 import logger from "../utils/logger.js";
 import { calculateOrderPricing, validateCart, processOrderItems, calculateDeliveryFee } from "../utils/orderCalculation.js";
+import { formatMoney, getLocaleSettings } from "../utils/localeUtils.js";
 
 
 /**
@@ -65,7 +66,7 @@ export const applyPromoCode = async (req, res, next) => {
         const { pricing } = calculateOrderPricing(processedItems, deliveryFee, restaurant, offer.offerDetails);
 
         if (pricing.discountAmount === 0) {
-             return res.status(400).json({ success: false, message: `Your order does not meet the minimum requirement of £${offer.offerDetails.minOrderValue} for this offer.` });
+             return res.status(400).json({ success: false, message: `Your order does not meet the minimum requirement of ${formatMoney(offer.offerDetails.minOrderValue, getLocaleSettings(restaurant))} for this offer.` });
         }
         
         //  Persist the applied promo code ---
@@ -1,10 +1,12 @@
 import mongoose from "mongoose";
-import Restaurant from "../models/Restaurant.js";
+import Restaurant, { ORDER_ACCEPTANCE_DEFAULTS } from "../models/Restaurant.js";
 import RestaurantDocuments from "../models/RestaurantDocuments.js";
 import MenuItem from "../models/MenuItem.js"; // <-- Imported
 import Category from "../models/Category.js"; // <-- Imported
 import { getPaginationParams } from "../utils/paginationUtils.js";
 import logger from "../utils/logger.js";
+import { validateVatSettings } from "../utils/vatUtils.js";
+import { validateLocaleSettings, getLocaleSettings, isValidPhoneNumber } from "../utils/localeUtils.js";
 
 /**
  * @description Get a paginated list of all active and APPROVED restaurants.
@@ -13,7 +15,7 @@ import logger from "../utils/logger.js";
  */
 export const getRestaurants = async (req, res, next) => {
     try {
-        const { type, search, dishSearch, acceptsDining } = req.query;
+        const { type, search, dishSearch, acceptsDining, sortBy } = req.query;
         const { page, limit, skip } = getPaginationParams(req.query); 
 
         const pipeline = [];
@@ -75,7 +77,10 @@ export const getRestaurants = async (req, res, next) => {
         const count = countResult[0]?.total || 0;
 
         // Stage 4: Add sorting, skipping, and limiting for pagination
-        pipeline.push({ $sort: { createdAt: -1 } });
+        const sortStage = sortBy === 'rating'
+            ? { averageRating: -1, reviewCount: -1, createdAt: -1 }
+            : { createdAt: -1 };
+        pipeline.push({ $sort: sortStage });
         pipeline.push({ $skip: skip });
         pipeline.push({ $limit: limit });
         
@@ -86,6 +91,7 @@ export const getRestaurants = async (req, res, next) => {
                 currentOTP: 0,
                 otpGeneratedAt: 0,
                 stripeSecretKey: 0,
+                stripeWebhookSecret: 0,
                 documents: 0
             }
         });
@@ -149,7 +155,13 @@ export const updateRestaurantProfile = async (req, res, next) => {
         const updateData = {};
         if (restaurantName) updateData.restaurantName = restaurantName;
         if (ownerFullName) updateData.ownerFullName = ownerFullName;
-        if (phoneNumber) updateData.phoneNumber = phoneNumber;
+        if (phoneNumber) {
+            const { phoneRegion } = getLocaleSettings(req.restaurant);
+            if (!isValidPhoneNumber(phoneNumber, phoneRegion)) {
+                return res.status(400).json({ success: false, message: `Please provide a valid phone number for your region (${phoneRegion}).` });
+            }
+            updateData.phoneNumber = phoneNumber;
+        }
         if (primaryContactName) updateData.primaryContactName = primaryContactName;
         if (address) updateData.address = address;
         if (typeof acceptsDining === 'boolean') updateData.acceptsDining = acceptsDining;
@@ -184,7 +196,7 @@ export const updateRestaurantProfile = async (req, res, next) => {
 export const updateRestaurantSettings = async (req, res, next) => {
     try {
         const restaurantId = req.restaurant?._id;
-        const { handlingChargesPercentage, deliverySettings, stripeSecretKey, acceptsCashOnDelivery } = req.body;
+        const { handlingChargesPercentage, deliverySettings, stripeSecretKey, stripeWebhookSecret, acceptsCashOnDelivery, orderAcceptance, defaultPrepTimeMinutes, vatSettings, localeSettings, phoneNumber } = req.body;
 
         const updateData = {};
         if (handlingChargesPercentage !== undefined) {
@@ -199,15 +211,82 @@ export const updateRestaurantSettings = async (req, res, next) => {
             updateData.deliverySettings = deliverySettings;
         }
         
+        if (defaultPrepTimeMinutes !== undefined) {
+            if (!Number.isInteger(defaultPrepTimeMinutes) || defaultPrepTimeMinutes < 1) {
+                return res.status(400).json({ success: false, message: "Default preparation time must be a whole number of minutes (at least 1)." });
+            }
+            updateData.defaultPrepTimeMinutes = defaultPrepTimeMinutes;
+        }
+
+        if (orderAcceptance) {
+            const { timeoutMinutes, escalateAfterMinutes } = orderAcceptance;
+            if (timeoutMinutes !== undefined) {
+                if (!Number.isInteger(timeoutMinutes) || timeoutMinutes < 1) {
+                    return res.status(400).json({ success: false, message: "Order acceptance timeout must be a whole number of minutes (at least 1)." });
+                }
+                updateData['orderAcceptance.timeoutMinutes'] = timeoutMinutes;
+            }
+            if (escalateAfterMinutes !== undefined && (!Number.isInteger(escalateAfterMinutes) || escalateAfterMinutes < 0)) {
+                return res.status(400).json({ success: false, message: "Escalation must be a whole number of minutes (0 or more)." });
+            }
+            if (escalateAfterMinutes !== undefined) {
+                updateData['orderAcceptance.escalateAfterMinutes'] = escalateAfterMinutes;
+            }
+
+            // Checked against the settings as they will be, so lowering the timeout alone cannot leave the
+            // existing escalation at or after it
+            const current = req.restaurant.orderAcceptance || {};
+            const effectiveTimeout = timeoutMinutes ?? current.timeoutMinutes ?? ORDER_ACCEPTANCE_DEFAULTS.timeoutMinutes;
+            const effectiveEscalation = escalateAfterMinutes ?? current.escalateAfterMinutes ?? ORDER_ACCEPTANCE_DEFAULTS.escalateAfterMinutes;
+            if (effectiveEscalation >= effectiveTimeout) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Escalation (${effectiveEscalation} minutes) must happen before the acceptance timeout (${effectiveTimeout} minutes). Send a lower escalateAfterMinutes with the new timeout.`
+                });
+            }
+        }
+        
+        if (vatSettings !== undefined) {
+            const { error: vatError, updates: vatUpdates } = validateVatSettings(vatSettings);
+            if (vatError) {
+                return res.status(400).json({ success: false, message: vatError });
+            }
+            Object.assign(updateData, vatUpdates);
+        }
+
+        if (localeSettings !== undefined) {
+            const { error: localeError, updates: localeUpdates } = validateLocaleSettings(localeSettings);
+            if (localeError) {
+                return res.status(400).json({ success: false, message: localeError });
+            }
+            // Moving to another phone region needs a number from that region, sent alongside the change.
+            const newRegion = localeUpdates['localeSettings.phoneRegion'];
+            if (newRegion && newRegion !== getLocaleSettings(req.restaurant).phoneRegion) {
+                const regionPhoneNumber = phoneNumber ?? req.restaurant.phoneNumber;
+                if (!isValidPhoneNumber(regionPhoneNumber, newRegion)) {
+                    return res.status(400).json({ success: false, message: `Your phone number is not valid for ${newRegion}. Send a new phoneNumber along with the region change.` });
+                }
+                updateData.phoneNumber = regionPhoneNumber;
+            }
+            Object.assign(updateData, localeUpdates);
+        }
+        
         if (typeof acceptsCashOnDelivery === 'boolean') { 
             updateData.acceptsCashOnDelivery = acceptsCashOnDelivery;
         }
 
         if (stripeSecretKey) {
-            // In a real app, you'd encrypt this key before saving
+            // Encrypted by the Restaurant schema before it is stored
             updateData.stripeSecretKey = stripeSecretKey;
         }
 
+        if (stripeWebhookSecret) {
+            if (typeof stripeWebhookSecret !== 'string' || !stripeWebhookSecret.startsWith('whsec_')) {
+                return res.status(400).json({ success: false, message: "stripeWebhookSecret must be the endpoint's signing secret, starting with 'whsec_'." });
+            }
+            updateData.stripeWebhookSecret = stripeWebhookSecret;
+        }
+
         if (Object.keys(updateData).length === 0) {
             return res.status(400).json({ success: false, message: "No settings fields to update were provided." });
         }
@@ -216,7 +295,7 @@ export const updateRestaurantSettings = async (req, res, next) => {
             restaurantId,
             { $set: updateData },
             { new: true, runValidators: true }
-        ).select('-password -currentOTP -otpGeneratedAt -stripeSecretKey');
+        ).select('-password -currentOTP -otpGeneratedAt -stripeSecretKey -stripeWebhookSecret');
 
         return res.status(200).json({ 
             success: true, 
@@ -0,0 +1,205 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import Restaurant from "../models/Restaurant.js";
+import { COMPLETED_STATUSES } from "../utils/orderStatus.js";
+import { getPaginationParams } from "../utils/paginationUtils.js";
+import logger from "../utils/logger.js";
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// --- Helper Functions ---
+
+const isValidRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+/**
+ * Recomputes a restaurant's average rating and review count from its reviewed orders.
+ */
+const refreshRestaurantRating = async (restaurantId) => {
+    const [summary] = await Order.aggregate([
+        { $match: { restaurantId: new mongoose.Types.ObjectId(restaurantId), 'review.rating': { $exists: true } } },
+        { $group: { _id: null, averageRating: { $avg: '$review.rating' }, reviewCount: { $sum: 1 } } }
+    ]);
+
+    await Restaurant.updateOne(
+        { _id: restaurantId },
+        {
+            $set: {
+                averageRating: summary ? Math.round(summary.averageRating * 10) / 10 : 0,
+                reviewCount: summary?.reviewCount || 0
+            }
+        }
+    );
+};
+
+/**
+ * Recomputes a delivery partner's rating from the delivery ratings customers have left.
+ */
+const refreshDeliveryPartnerRating = async (partnerId) => {
+    const [summary] = await Order.aggregate([
+        { $match: { assignedDeliveryPartnerId: new mongoose.Types.ObjectId(partnerId), 'review.deliveryRating': { $exists: true } } },
+        { $group: { _id: null, rating: { $avg: '$review.deliveryRating' } } }
+    ]);
+
+    if (summary) {
+        await User.updateOne(
+            { _id: partnerId },
+            { $set: { 'deliveryPartnerProfile.rating': Math.round(summary.rating * 10) / 10 } }
+        );
+    }
+};
+
+// --- Controller Functions ---
+
+/**
+ * @description Lets a customer review one of their completed orders. Each order can be reviewed once.
+ * @route POST /api/orders/:orderId/review
+ * @access Private (User)
+ */
+export const addOrderReview = async (req, res, next) => {
+    const { orderId } = req.params;
+    const userId = req.user?._id;
+    const { rating, foodRating, deliveryRating, comment } = req.body;
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ success: false, message: "Invalid order ID format." });
+        }
+        if (!isValidRating(rating)) {
+            return res.status(400).json({ success: false, message: "An overall rating between 1 and 5 is required." });
+        }
+        if (foodRating !== undefined && !isValidRating(foodRating)) {
+            return res.status(400).json({ success: false, message: "foodRating must be a whole number between 1 and 5." });
+        }
+        if (deliveryRating !== undefined && !isValidRating(deliveryRating)) {
+            return res.status(400).json({ success: false, message: "deliveryRating must be a whole number between 1 and 5." });
+        }
+        if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+            return res.status(400).json({ success: false, message: "comment must be text." });
+        }
+        if (comment && comment.length > MAX_COMMENT_LENGTH) {
+            return res.status(400).json({ success: false, message: `Comments are limited to ${MAX_COMMENT_LENGTH} characters.` });
+        }
+
+        const order = await Order.findOne({ _id: orderId, customerId: userId });
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found." });
+        }
+        if (!COMPLETED_STATUSES.includes(order.status)) {
+            return res.status(400).json({ success: false, message: "Only completed orders can be reviewed." });
+        }
+        if (order.review?.rating) {
+            return res.status(409).json({ success: false, message: "You have already reviewed this order." });
+        }
+        if (deliveryRating !== undefined && !order.assignedDeliveryPartnerId) {
+            return res.status(400).json({ success: false, message: "This order had no delivery partner to rate." });
+        }
+
+        const review = {
+            rating,
+            foodRating,
+            deliveryRating,
+            comment: comment?.trim() || undefined,
+            reviewDate: new Date()
+        };
+        // Only written if the order is still unreviewed, so two submissions at once cannot both count
+        const { modifiedCount } = await Order.updateOne(
+            { _id: order._id, 'review.rating': { $exists: false } },
+            { $set: { review } }
+        );
+        if (modifiedCount === 0) {
+            return res.status(409).json({ success: false, message: "You have already reviewed this order." });
+        }
+
+        await refreshRestaurantRating(order.restaurantId);
+        if (deliveryRating !== undefined) {
+            await refreshDeliveryPartnerRating(order.assignedDeliveryPartnerId);
+        }
+
+        return res.status(201).json({ success: true, message: "Thank you for your review.", data: review });
+    } catch (error) {
+        logger.error("Error adding order review", { error: error.message, orderId, userId });
+        next(error);
+    }
+};
+
+/**
+ * @description Lets a restaurant owner reply publicly to a review on one of their orders.
+ * @route PATCH /api/orders/:orderId/review/reply
+ * @access Private (Restaurant Owner)
+ */
+export const replyToOrderReview = async (req, res, next) => {
+    const { orderId } = req.params;
+    const restaurantId = req.restaurant?._id;
+    const { reply } = req.body;
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ success: false, message: "Invalid order ID format." });
+        }
+        if (!reply || !reply.trim()) {
+            return res.status(400).json({ success: false, message: "A reply is required." });
+        }
+        if (reply.length > MAX_COMMENT_LENGTH) {
+            return res.status(400).json({ success: false, message: `Replies are limited to ${MAX_COMMENT_LENGTH} characters.` });
+        }
+
+        const order = await Order.findOne({ _id: orderId, restaurantId });
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found or you are not authorized to view it." });
+        }
+        if (!order.review?.rating) {
+            return res.status(400).json({ success: false, message: "This order has not been reviewed yet." });
+        }
+
+        order.review.ownerReply = { comment: reply.trim(), repliedAt: new Date() };
+        const updatedOrder = await order.save();
+
+        return res.status(200).json({ success: true, message: "Reply saved successfully.", data: updatedOrder.review });
+    } catch (error) {
+        logger.error("Error replying to review", { error: error.message, orderId, restaurantId });
+        next(error);
+    }
+};
+
+/**
+ * @description Get a paginated list of a restaurant's reviews, newest first.
+ * @route GET /api/restaurants/:id/reviews
+ * @access Public
+ */
+export const getRestaurantReviews = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { page, limit, skip } = getPaginationParams(req.query);
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, message: "Invalid Restaurant ID." });
+        }
+
+        const query = { restaurantId: id, 'review.rating': { $exists: true } };
+        const [reviews, totalReviews] = await Promise.all([
+            Order.find(query)
+                .select('review orderType customerId')
+                .populate('customerId', 'fullName avatarUrl')
+                .sort({ 'review.reviewDate': -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Order.countDocuments(query)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: reviews.map(({ _id, review, orderType, customerId }) => ({
+                orderId: _id,
+                orderType,
+                customer: customerId ? { fullName: customerId.fullName, avatarUrl: customerId.avatarUrl } : null,
+                ...review
+            })),
+            pagination: { total: totalReviews, pages: Math.ceil(totalReviews / limit), currentPage: page }
+        });
+    } catch (error) {
+        logger.error("Error fetching restaurant reviews", { error: error.message, restaurantId: req.params.id });
+        next(error);
+    }
+};
@@ -0,0 +1,505 @@
+import mongoose from "mongoose";
+import SupportTicket, { TICKET_CATEGORIES, TICKET_STATUSES } from "../models/SupportTicket.js";
+import Order from "../models/Order.js";
+import uploadOnCloudinary from "../config/cloudinary.js";
+import { COMPLETED_STATUSES } from "../utils/orderStatus.js";
+import { refundOrderPayments, getRefundableOrderAmount } from "../utils/paymentProvider.js";
+import { getPaginationParams } from "../utils/paginationUtils.js";
+import { formatMoney, getLocaleSettings } from "../utils/localeUtils.js";
+import { addStoreCredit } from "../utils/storeCreditUtils.js";
+import logger from "../utils/logger.js";
+
+const COMPLAINT_WINDOW_DAYS = 7;
+const MAX_MESSAGE_LENGTH = 2000;
+const ACTIVE_TICKET_STATUSES = ['open', 'awaiting_customer', 'awaiting_restaurant', 'escalated'];
+// Orders that went wrong or reached the customer can be complained about
+const DISPUTABLE_ORDER_STATUSES = [...COMPLETED_STATUSES, 'delivery_failed'];
+
+// --- Helper Functions ---
+
+const ticketError = (statusCode, message) => ({ statusCode, message });
+
+/**
+ * Works out who is acting on a ticket from the authentication middleware that ran.
+ */
+const getTicketActor = (req) => {
+    if (req.restaurant) return { senderType: 'owner', senderId: req.restaurant._id };
+    if (req.user?.userType === 'super_admin') return { senderType: 'admin', senderId: req.user._id };
+    return { senderType: 'customer', senderId: req.user._id };
+};
+
+/**
+ * Scopes ticket queries so customers and owners only ever see their own tickets.
+ */
+const getTicketScope = ({ senderType, senderId }) => {
+    if (senderType === 'customer') return { customerId: senderId };
+    if (senderType === 'owner') return { restaurantId: senderId };
+    return {};
+};
+
+const findTicketForActor = async (ticketId, actor) => {
+    if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+        throw ticketError(400, "Invalid ticket ID format.");
+    }
+    const ticket = await SupportTicket.findOne({ _id: ticketId, ...getTicketScope(actor) });
+    if (!ticket) {
+        throw ticketError(404, "Ticket not found.");
+    }
+    return ticket;
+};
+
+const uploadAttachments = async (files = []) => {
+    const results = await Promise.all(files.map(file => uploadOnCloudinary(file)));
+    return results.map(result => result.secure_url);
+};
+
+const validateMessage = (message) => {
+    if (!message || !message.trim()) {
+        throw ticketError(400, "A message is required.");
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+        throw ticketError(400, `Messages are limited to ${MAX_MESSAGE_LENGTH} characters.`);
+    }
+};
+
+/**
+ * Formats an amount in the currency the order was paid in, for ticket messages.
+ */
+const formatOrderAmount = async (orderId, amount) => {
+    const order = await Order.findById(orderId).select('currency restaurantId').populate('restaurantId', 'localeSettings').lean();
+    return formatMoney(amount, { currency: order?.currency, locale: getLocaleSettings(order?.restaurantId).locale });
+};
+
+/**
+ * How much of an order can still be refunded through tickets: what the payment provider still holds for it,
+ * so refunds from item adjustments, customer edits, earlier tickets and the Stripe dashboard all count.
+ * @param {object} order - With `restaurantId` populated with its Stripe key.
+ */
+const getRemainingDisputeAmount = async (order) => {
+    if (!order.restaurantId.stripeSecretKey) {
+        throw ticketError(500, "Cannot process refund: Restaurant payment key is not configured.");
+    }
+    return getRefundableOrderAmount(order.restaurantId.stripeSecretKey, order);
+};
+
+/**
+ * How much store credit other tickets on an order have already granted, or are granting.
+ */
+const getTicketCreditIssued = async (order, ticket) => {
+    const [issued] = await SupportTicket.aggregate([
+        {
+            $match: {
+                orderId: order._id,
+                _id: { $ne: ticket._id },
+                'resolution.type': 'store_credit',
+                'resolution.status': { $in: SETTLING_RESOLUTION_STATUSES }
+            }
+        },
+        { $group: { _id: null, total: { $sum: '$resolution.amount' } } }
+    ]);
+    return issued?.total || 0;
+};
+
+/**
+ * How much of an order can still be given back through tickets. Refunds are limited to what the payment
+ * provider still holds; store credit may also cover what was paid in cash or with store credit, less the
+ * credit earlier tickets granted.
+ */
+const getRemainingResolutionAmount = async (order, ticket, type) => {
+    const paid = order.paymentType === 'card'
+        ? await getRemainingDisputeAmount(order)
+        : order.pricing.totalAmount - (order.pricing.storeCreditAmount || 0) - (order.pricing.refundedAmount || 0);
+    const creditable = paid + (order.pricing.storeCreditAmount || 0) - await getTicketCreditIssued(order, ticket);
+    const remaining = type === 'refund' ? Math.min(paid, creditable) : creditable;
+    return Math.max(0, Math.round(remaining * 100) / 100);
+};
+
+const validateResolution = async (ticket, { type, amount }) => {
+    if (!['refund', 'store_credit', 'none'].includes(type)) {
+        throw ticketError(400, "Resolution type must be 'refund', 'store_credit' or 'none'.");
+    }
+    if (type === 'none') return 0;
+
+    if (typeof amount !== 'number' || amount <= 0) {
+        throw ticketError(400, "A positive amount is required for a refund or store credit.");
+    }
+    const order = await Order.findById(ticket.orderId).populate({ path: 'restaurantId', select: '+stripeSecretKey' });
+    if (order.paymentStatus === 'refunded') {
+        throw ticketError(400, "This order has already been refunded in full.");
+    }
+    if (type === 'refund' && (order.paymentType !== 'card' || order.paymentStatus !== 'paid')) {
+        throw ticketError(400, "Only paid card orders can be refunded. Offer store credit instead.");
+    }
+    const remaining = await getRemainingResolutionAmount(order, ticket, type);
+    if (amount > remaining) {
+        throw ticketError(400, `The amount cannot exceed the ${await formatOrderAmount(order._id, remaining)} still refundable on this order.`);
+    }
+    return Math.round(amount * 100) / 100;
+};
+
+// Resolutions being paid out, or already paid out, which nothing may replace
+const SETTLING_RESOLUTION_STATUSES = ['issuing', 'issued'];
+
+/**
+ * Claims a ticket's resolution for issuing, so concurrent requests cannot pay it out twice.
+ * @param {object} filter - Which ticket, and the state its resolution must still be in.
+ * @param {object} [resolution] - A new resolution to claim in place of the current one.
+ * @returns {Promise<object>} The claimed ticket.
+ */
+const claimResolution = async (filter, resolution) => {
+    const update = resolution ? { resolution: { ...resolution, status: 'issuing' } } : { 'resolution.status': 'issuing' };
+    const ticket = await SupportTicket.findOneAndUpdate(filter, { $set: update }, { new: true });
+    if (!ticket) {
+        throw ticketError(409, "This ticket's resolution has already been settled or is being issued.");
+    }
+    return ticket;
+};
+
+/**
+ * Issues the refund or store credit for a resolution claimed with `claimResolution`. Does not save the ticket.
+ */
+const issueResolution = async (ticket) => {
+    const { type, amount } = ticket.resolution;
+
+    if (type === 'refund') {
+        const order = await Order.findById(ticket.orderId).populate({ path: 'restaurantId', select: '+stripeSecretKey' });
+        if (!order.restaurantId.stripeSecretKey) {
+            ticket.resolution.status = 'failed';
+            await ticket.save();
+            throw ticketError(500, "Cannot process refund: Restaurant payment key is not configured.");
+        }
+        try {
+            // Keyed to this resolution, so a retried request cannot refund it a second time
+            const refund = await refundOrderPayments(order.restaurantId.stripeSecretKey, order, amount, {
+                idempotencyKey: `ticket-${ticket._id}-${ticket.resolution.offeredAt.getTime()}`
+            });
+            ticket.resolution.stripeRefundId = refund?.id;
+        } catch (refundError) {
+            logger.error("Stripe refund failed for support ticket", { ticketId: ticket._id, error: refundError.message });
+            ticket.resolution.status = 'failed';
+            await ticket.save();
+            throw ticketError(502, "Refund could not be processed.");
+        }
+        await Order.updateOne({ _id: order._id }, { $inc: { 'pricing.refundedAmount': amount } });
+    }
+
+    if (type === 'store_credit') {
+        // Keyed to this resolution like refunds, so a retried request cannot grant it a second time
+        await addStoreCredit({
+            customerId: ticket.customerId,
+            restaurantId: ticket.restaurantId,
+            amount,
+            reason: 'ticket',
+            reference: `ticket-${ticket._id}-${ticket.resolution.offeredAt.getTime()}`,
+            ticketId: ticket._id,
+            orderId: ticket.orderId
+        });
+    }
+
+    ticket.resolution.status = type === 'none' ? 'accepted' : 'issued';
+    ticket.resolution.issuedAt = new Date();
+    ticket.status = 'resolved';
+    ticket.resolvedAt = new Date();
+};
+
+const handleTicketError = (res, next, error, logMessage, context) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error(logMessage, { error: error.message, ...context });
+    next(error);
+};
+
+// --- Controller Functions ---
+
+/**
+ * @description Lets a customer open a complaint about one of their orders, with optional photos.
+ * @route POST /api/support/tickets
+ * @access Private (User)
+ */
+export const openTicket = async (req, res, next) => {
+    const customerId = req.user?._id;
+    const { orderId, category, description } = req.body;
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            throw ticketError(400, "A valid orderId is required.");
+        }
+        if (!TICKET_CATEGORIES.includes(category)) {
+            throw ticketError(400, `category must be one of: ${TICKET_CATEGORIES.join(', ')}.`);
+        }
+        validateMessage(description);
+
+        const order = await Order.findOne({ _id: orderId, customerId });
+        if (!order) {
+            throw ticketError(404, "Order not found.");
+        }
+        if (!DISPUTABLE_ORDER_STATUSES.includes(order.status)) {
+            throw ticketError(400, "Complaints can only be raised once an order has been completed or has failed.");
+        }
+        const windowStart = new Date(Date.now() - COMPLAINT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const finishedAt = order.statusHistory.at(-1)?.timestamp || order.updatedAt;
+        if (finishedAt < windowStart) {
+            throw ticketError(400, `Complaints must be raised within ${COMPLAINT_WINDOW_DAYS} days of the order.`);
+        }
+        const existingTicket = await SupportTicket.exists({ orderId, status: { $in: ACTIVE_TICKET_STATUSES } });
+        if (existingTicket) {
+            throw ticketError(409, "There is already an open ticket for this order.");
+        }
+
+        const attachments = await uploadAttachments(req.files);
+        const ticket = await SupportTicket.create({
+            orderId,
+            customerId,
+            restaurantId: order.restaurantId,
+            category,
+            messages: [{ senderType: 'customer', senderId: customerId, message: description.trim(), attachments }]
+        });
+
+        return res.status(201).json({ success: true, message: "Your complaint has been sent to the restaurant.", data: ticket });
+    } catch (error) {
+        handleTicketError(res, next, error, "Error opening support ticket", { customerId, orderId });
+    }
+};
+
+/**
+ * @description Lists tickets visible to the caller: their own (customer), their restaurant's (owner) or all (admin).
+ * @route GET /api/support/tickets
+ * @route GET /api/support/restaurant/tickets
+ * @route GET /api/support/admin/tickets
+ * @access Private (User, Restaurant Owner or Super Admin)
+ */
+export const getTickets = async (req, res, next) => {
+    const actor = getTicketActor(req);
+    const { status } = req.query;
+
+    try {
+        if (status && !TICKET_STATUSES.includes(status)) {
+            throw ticketError(400, `status must be one of: ${TICKET_STATUSES.join(', ')}.`);
+        }
+        const { page, limit, skip } = getPaginationParams(req.query);
+        const query = { ...getTicketScope(actor), ...(status ? { status } : {}) };
+
+        const [tickets, totalTickets] = await Promise.all([
+            SupportTicket.find(query)
+                .select('-messages')
+                .populate('orderId', 'orderNumber orderType pricing.totalAmount')
+                .populate('restaurantId', 'restaurantName')
+                .sort({ updatedAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            SupportTicket.countDocuments(query)
+        ]);
+
+        return res.status(200).json({ success: true, data: tickets, pagination: { total: totalTickets, pages: Math.ceil(totalTickets / limit), currentPage: page } });
+    } catch (error) {
+        handleTicketError(res, next, error, "Error fetching support tickets", { actor: actor.senderType });
+    }
+};
+
+/**
+ * @description Gets a single ticket with its full message thread.
+ * @route GET /api/support/tickets/:ticketId (and /restaurant, /admin variants)
+ * @access Private (User, Restaurant Owner or Super Admin)
+ */
+export const getTicketDetails = async (req, res, next) => {
+    const actor = getTicketActor(req);
+    const { ticketId } = req.params;
+
+    try {
+        const ticket = await findTicketForActor(ticketId, actor);
+        await ticket.populate([
+            { path: 'orderId', select: 'orderNumber orderType orderedItems pricing paymentType paymentStatus status createdAt' },
+            { path: 'restaurantId', select: 'restaurantName' },
+            { path: 'customerId', select: 'fullName email' }
+        ]);
+        return res.status(200).json({ success: true, data: ticket });
+    } catch (error) {
+        handleTicketError(res, next, error, "Error fetching support ticket", { ticketId });
+    }
+};
+
+/**
+ * @description Adds a message (with optional photos) to a ticket's thread.
+ * @route POST /api/support/tickets/:ticketId/messages (and /restaurant, /admin variants)
+ * @access Private (User, Restaurant Owner or Super Admin)
+ */
+export const addTicketMessage = async (req, res, next) => {
+    const actor = getTicketActor(req);
+    const { ticketId } = req.params;
+    const { message } = req.body;
+
+    try {
+        validateMessage(message);
+        const ticket = await findTicketForActor(ticketId, actor);
+        if (!ACTIVE_TICKET_STATUSES.includes(ticket.status)) {
+            throw ticketError(400, `This ticket is ${ticket.status} and no longer accepts messages.`);
+        }
+
+        const attachments = await uploadAttachments(req.files);
+        ticket.messages.push({ ...actor, message: message.trim(), attachments });
+
+        // Escalated tickets stay with the admin until they are resolved
+        if (ticket.status !== 'escalated') {
+            if (actor.senderType === 'owner') ticket.status = 'awaiting_customer';
+            if (actor.senderType === 'customer') ticket.status = 'awaiting_restaurant';
+        }
+
+        const updatedTicket = await ticket.save();
+        return res.status(201).json({ success: true, message: "Message added.", data: updatedTicket });
+    } catch (error) {
+        handleTicketError(res, next, error, "Error adding support ticket message", { ticketId });
+    }
+};
+
+/**
+ * @description Lets the restaurant offer a partial refund or store credit to settle a ticket.
+ * @route POST /api/support/restaurant/tickets/:ticketId/offer
+ * @access Private (Restaurant Owner)
+ */
+export const offerResolution = async (req, res, next) => {
+    const actor = getTicketActor(req);
+    const { ticketId } = req.params;
+    const { type, amount, message } = req.body;
+
+    try {
+        const ticket = await findTicketForActor(ticketId, actor);
+        if (!['open', 'awaiting_customer', 'awaiting_restaurant'].includes(ticket.status)) {
+            throw ticketError(400, `Offers cannot be made on a ticket that is ${ticket.status}.`);
+        }
+        if (type === 'none') {
+            throw ticketError(400, "Offer a refund or store credit, or reply with a message instead.");
+        }
+
+        const validatedAmount = await validateResolution(ticket, { type, amount });
+        // Conditional, so an offer the customer is accepting right now is not swapped out from under them
+        const updatedTicket = await SupportTicket.findOneAndUpdate(
+            { _id: ticket._id, status: ticket.status, 'resolution.status': { $nin: SETTLING_RESOLUTION_STATUSES } },
+            {
+                $set: { resolution: { type, amount: validatedAmount, offeredBy: 'owner', offeredAt: new Date() }, status: 'awaiting_customer' },
+                $push: {
+                    messages: {
+                        ...actor,
+                        message: message?.trim() || `We'd like to offer ${type === 'refund' ? 'a refund' : 'store credit'} of ${await formatOrderAmount(ticket.orderId, validatedAmount)}.`
+                    }
+                }
+            },
+            { new: true }
+        );
+        if (!updatedTicket) {
+            throw ticketError(409, "This ticket changed while the offer was being made. Please try again.");
+        }
+        return res.status(200).json({ success: true, message: "Offer sent to the customer.", data: updatedTicket });
+    } catch (error) {
+        handleTicketError(res, next, error, "Error offering ticket resolution", { ticketId });
+    }
+};
+
+/**
+ * @description Lets the customer accept or decline the restaurant's offer. Declining escalates the ticket to an admin.
+ * @route PATCH /api/support/tickets/:ticketId/offer
+ * @access Private (User)
+ */
+export const respondToOffer = async (req, res, next) => {
+    const actor = getTicketActor(req);
+    const { ticketId } = req.params;
+    const { decision } = req.body;
+
+    try {
+        if (!['accept', 'decline'].includes(decision)) {
+            throw ticketError(400, "decision must be 'accept' or 'decline'.");
+        }
+        const ticket = await findTicketForActor(ticketId, actor);
+        if (ticket.resolution?.status !== 'offered' || ticket.status === 'escalated') {
+            throw ticketError(400, "There is no pending offer on this ticket.");
+        }
+        const pendingOffer = { _id: ticket._id, 'resolution.status': 'offered', status: { $ne: 'escalated' } };
+
+        let updatedTicket;
+        if (decision === 'accept') {
+            const claimedTicket = await claimResolution(pendingOffer);
+            await issueResolution(claimedTicket);
+            updatedTicket = await claimedTicket.save();
+        } else {
+            updatedTicket = await SupportTicket.findOneAndUpdate(
+                pendingOffer,
+                { $set: { 'resolution.status': 'declined', status: 'escalated', escalatedAt: new Date() } },
+                { new: true }
+            );
+            if (!updatedTicket) {
+                throw ticketError(409, "This ticket's resolution has already been settled or is being issued.");
+            }
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: decision === 'accept' ? "Offer accepted. Your ticket has been resolved." : "Offer declined. Our support team will review your ticket.",
+            data: updatedTicket
+        });
+    } catch (error) {
+        handleTicketError(res, next, error, "Error responding to ticket offer", { ticketId });
+    }
+};
+
+/**
+ * @description Lets the customer escalate a ticket to the support team, or close it.
+ * @route PATCH /api/support/tickets/:ticketId/status
+ * @access Private (User)
+ */
+export const updateTicketStatusByCustomer = async (req, res, next) => {
+    const actor = getTicketActor(req);
+    const { ticketId } = req.params;
+    const { status } = req.body;
+
+    try {
+        if (!['escalated', 'closed'].includes(status)) {
+            throw ticketError(400, "Customers can only set a ticket to 'escalated' or 'closed'.");
+        }
+        const ticket = await findTicketForActor(ticketId, actor);
+        if (!ACTIVE_TICKET_STATUSES.includes(ticket.status) || ticket.status === status) {
+            throw ticketError(400, `This ticket is already ${ticket.status}.`);
+        }
+
+        ticket.status = status;
+        if (status === 'escalated') ticket.escalatedAt = new Date();
+        if (status === 'closed') ticket.closedAt = new Date();
+
+        const updatedTicket = await ticket.save();
+        return res.status(200).json({ success: true, message: `Ticket ${status}.`, data: updatedTicket });
+    } catch (error) {
+        handleTicketError(res, next, error, "Error updating ticket status", { ticketId });
+    }
+};
+
+/**
+ * @description Lets a super admin arbitrate a ticket, imposing a refund, store credit or no compensation.
+ * @route PATCH /api/support/admin/tickets/:ticketId/resolve
+ * @access Private (Super Admin)
+ */
+export const resolveTicketByAdmin = async (req, res, next) => {
+    const actor = getTicketActor(req);
+    const { ticketId } = req.params;
+    const { type, amount, message } = req.body;
+
+    try {
+        validateMessage(message);
+        const ticket = await findTicketForActor(ticketId, actor);
+        if (!ACTIVE_TICKET_STATUSES.includes(ticket.status)) {
+            throw ticketError(400, `This ticket is already ${ticket.status}.`);
+        }
+
+        const validatedAmount = await validateResolution(ticket, { type, amount });
+        // Replaces any pending offer, unless the customer is accepting it right now
+        const claimedTicket = await claimResolution(
+            { _id: ticket._id, status: { $in: ACTIVE_TICKET_STATUSES }, 'resolution.status': { $nin: SETTLING_RESOLUTION_STATUSES } },
+            { type, amount: validatedAmount, offeredBy: 'admin', offeredAt: new Date() }
+        );
+        claimedTicket.messages.push({ ...actor, message: message.trim() });
+        await issueResolution(claimedTicket);
+
+        const updatedTicket = await claimedTicket.save();
+        return res.status(200).json({ success: true, message: "Ticket resolved.", data: updatedTicket });
+    } catch (error) {
+        handleTicketError(res, next, error, "Error resolving ticket", { ticketId });
+    }
+};
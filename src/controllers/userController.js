@@ -1,4 +1,5 @@
 import User from '../models/User.js';
+import StoreCredit from '../models/StoreCredit.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -82,4 +83,31 @@ export const updateUserProfile = async (req, res, next) => {
         }
         next(error);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @description List the store credit the current user holds with each restaurant, with its history.
+ * @route GET /api/users/store-credit
+ * @access Private (Customer)
+ */
+export const getStoreCredits = async (req, res, next) => {
+    try {
+        const credits = await StoreCredit.find({ customerId: req.user._id })
+            .populate('restaurantId', 'restaurantName')
+            .sort({ updatedAt: -1 })
+            .lean();
+
+        return res.status(200).json({
+            success: true,
+            data: credits.map(({ restaurantId, balance, entries }) => ({
+                restaurant: restaurantId,
+                balance,
+                entries: [...entries].reverse()
+            }))
+        });
+
+    } catch (error) {
+        logger.error("Error fetching store credit", { error: error.message, userId: req.user?._id });
+        next(error);
+    }
+};
@@ -1,14 +1,84 @@
 // src/controllers/webhookController.js
 import mongoose from "mongoose";
-import Stripe from "stripe";
 import Order from "../models/Order.js";
 import User from "../models/User.js";
 import Restaurant from "../models/Restaurant.js";
-import { calculateOrderPricing, validateCart, processOrderItems, calculateDeliveryFee } from "../utils/orderCalculation.js";
+import Booking from "../models/Booking.js";
+import SlotLock from "../models/SlotLock.js";
+import WebhookEvent from "../models/WebhookEvent.js";
+import { validateCart, priceCartCheckout, getAmountDue } from "../utils/orderCalculation.js";
+import { clearAppliedPromo } from "../utils/cartUtils.js";
+import { generateUniqueOrderNumber, applyCustomerEdit } from "../utils/orderUtils.js";
+import { getPaymentProvider, refundCheckoutSession } from "../utils/paymentProvider.js";
+import { getMockCheckout, completeMockCheckout, expireMockCheckout } from "../utils/mockPaymentProvider.js";
+import { loadGroupCart, buildGroupBreakdown } from "../utils/groupOrderUtils.js";
+import GroupOrder from "../models/GroupOrder.js";
+import { buildScheduleFields } from "../utils/timingUtils.js";
+import { initialStatusHistory } from "../utils/orderStatus.js";
+import { publishOrderEvent } from "../utils/orderEvents.js";
+import { returnOrderStoreCredit } from "../utils/storeCreditUtils.js";
+import { getLocaleSettings, toMinorUnits, fromMinorUnits } from "../utils/localeUtils.js";
 import logger from "../utils/logger.js";
 import config from "../config/env.js";
 
-const handleCheckoutSessionCompleted = async (session) => {
+// Events from a restaurant's own Stripe account may only touch that restaurant's orders and bookings
+const scopedTo = (restaurantId) => (restaurantId ? { restaurantId } : {});
+
+/**
+ * Applies a customer's order edit once its top-up payment has gone through. If the order was accepted,
+ * cancelled or edited again in the meantime, the top-up is refunded instead.
+ */
+const handleOrderEditSessionCompleted = async (session, { restaurantId }) => {
+    const { id: sessionId, metadata, amount_total: stripeAmount } = session;
+
+    const order = await Order.findOne({ _id: metadata.orderId, ...scopedTo(restaurantId) }).populate({ path: 'restaurantId', select: '+stripeSecretKey' });
+    if (!order) throw new Error(`Order not found for edit session ${sessionId}`);
+    if (order.supplementaryPayments.some(payment => payment.sessionId === sessionId)) {
+        logger.warn('Duplicate webhook event received for an already applied order edit', { orderId: order._id, sessionId });
+        return;
+    }
+
+    const pendingEdit = order.pendingCustomerEdit;
+    const isCurrentEdit = pendingEdit?.sessionId === sessionId && Math.abs(stripeAmount - toMinorUnits(pendingEdit.amountDue, order.currency)) <= 1;
+    if (!isCurrentEdit || order.acceptanceStatus !== 'pending' || order.status !== 'placed') {
+        // Keyed to the session, so a redelivered event cannot refund the top-up twice
+        await refundCheckoutSession(order.restaurantId.stripeSecretKey, sessionId, undefined, {
+            idempotencyKey: `order-${order._id}-edit-${sessionId}`
+        });
+        if (pendingEdit?.sessionId === sessionId) {
+            order.pendingCustomerEdit = null;
+            await order.save();
+        }
+        logger.warn('Order edit paid after it could no longer be applied; top-up refunded', { orderId: order._id, sessionId });
+        return;
+    }
+
+    const changedFields = [...pendingEdit.changedFields];
+    applyCustomerEdit(order, pendingEdit.toObject(), { amountCharged: pendingEdit.amountDue });
+    order.supplementaryPayments.push({ sessionId, paymentIntentId: session.payment_intent, amount: fromMinorUnits(stripeAmount, order.currency) });
+    await order.save();
+    await publishOrderEvent('order.modified', order, { changedFields });
+    logger.info('Customer order edit applied from webhook', { orderId: order._id, sessionId });
+};
+
+// Booking sessions created before bookings were tagged with a purpose carry a booking fee and no userId
+const isBookingSession = (metadata) => metadata.purpose === 'booking' || (!metadata.userId && Boolean(metadata.bookingFee));
+
+/**
+ * Records the payment behind a booking fee. The booking itself is confirmed by `confirmBooking` when the
+ * customer returns from Checkout, which also guards against double-booking the table.
+ */
+const handleBookingSessionCompleted = async (session, { restaurantId }) => {
+    const result = await Booking.updateOne(
+        { 'paymentDetails.sessionId': session.id, status: { $in: ['pending', 'confirmed'] }, ...scopedTo(restaurantId) },
+        { $set: { 'paymentDetails.paymentIntentId': session.payment_intent, 'paymentDetails.paymentStatus': 'paid' } }
+    );
+    if (result.matchedCount === 0) {
+        logger.warn('Booking fee paid for a booking that is no longer pending', { sessionId: session.id });
+    }
+};
+
+const handleCheckoutSessionCompleted = async (session, context) => {
     const {
         id: sessionId,
         metadata,
@@ -16,13 +86,32 @@ const handleCheckoutSessionCompleted = async (session) => {
         amount_total: stripeAmount,
     } = session;
     
-    const { userId, restaurantId, idempotencyKey, cartType, deliveryAddress: deliveryAddressJSON } = metadata;
+    const {
+        userId, restaurantId, idempotencyKey, cartType,
+        orderType = 'delivery', deliveryAddress: deliveryAddressJSON, pickupTime, tableId, scheduledFor, tipAmount, storeCreditAmount, groupOrderId, preferences, offer
+    } = metadata;
     
     if (paymentStatus !== 'paid') {
         logger.warn('Webhook received for non-paid session', { sessionId });
         return;
     }
 
+    if (metadata.purpose === 'order_edit') {
+        return handleOrderEditSessionCompleted(session, context);
+    }
+    if (isBookingSession(metadata)) {
+        return handleBookingSessionCompleted(session, context);
+    }
+    if (context.restaurantId && String(context.restaurantId) !== restaurantId) {
+        logger.warn('Checkout session received on another restaurant\'s webhook endpoint; ignored', { sessionId, restaurantId, endpointRestaurantId: context.restaurantId });
+        return;
+    }
+
+    // A session can only ever become one order, whatever the idempotency setting
+    if (await Order.exists({ sessionId })) {
+        logger.warn('Duplicate webhook event received for an already processed order', { sessionId });
+        return;
+    }
     if (config.featureFlags.enableIdempotencyCheck) {
         const existingOrder = await Order.findOne({ idempotencyKey });
         if (existingOrder) {
@@ -32,58 +121,88 @@ const handleCheckoutSessionCompleted = async (session) => {
     }
 
     const dbMongoSession = await mongoose.startSession();
+    let newOrder;
     try {
         await dbMongoSession.withTransaction(async () => {
-            const user = await User.findById(userId).populate({
-                path: `${cartType}.menuItemId`,
-            }).session(dbMongoSession);
+            const userQuery = User.findById(userId).session(dbMongoSession);
+            const user = groupOrderId ? await userQuery : await userQuery.populate({ path: `${cartType}.menuItemId` });
 
             if (!user) throw new Error(`User not found for ID: ${userId}`);
 
-            const cart = user[cartType];
+            // Group orders are paid by the host but built from the shared group cart
+            let cart = user[cartType];
+            let groupCart = null;
+            if (groupOrderId) {
+                groupCart = await loadGroupCart(groupOrderId, { session: dbMongoSession });
+                if (groupCart.groupOrder?.status !== 'checking_out') throw new Error(`Group order ${groupOrderId} is not awaiting payment.`);
+                cart = groupCart.cart;
+            }
             const { error: cartError } = validateCart(cart);
             if (cartError) throw new Error(cartError);
 
             const restaurant = await Restaurant.findById(restaurantId).session(dbMongoSession).lean();
             if (!restaurant) throw new Error(`Restaurant not found for ID: ${restaurantId}`);
             
-            const processedItems = await processOrderItems(cart);
-            const deliveryAddress = JSON.parse(deliveryAddressJSON);
-            
-            let deliveryFee = 0;
-            const [restLon, restLat] = restaurant.address.coordinates.coordinates;
-            const [userLon, userLat] = deliveryAddress.coordinates.coordinates;
-            deliveryFee = calculateDeliveryFee(restLat, restLon, userLat, userLon, restaurant.deliverySettings);
-            if (deliveryFee === -1) throw new Error("Delivery address is out of range.");
+            // Priced exactly as at checkout, with the offer the customer saw even if it has since expired and
+            // the store credit reserved for the checkout. The customer has already paid, so a pickup time that
+            // has since passed is not rejected here.
+            const { error: pricingError, processedItems, pricing, appliedOffer, fulfilment } = await priceCartCheckout(cart, restaurant, {
+                orderType,
+                deliveryAddress: deliveryAddressJSON ? JSON.parse(deliveryAddressJSON) : undefined,
+                pickupTime: pickupTime || undefined,
+                tableId: tableId || undefined,
+                tip: Number(tipAmount) || 0,
+            }, { offerDetails: offer ? JSON.parse(offer) : null, enforceFutureTimes: false, storeCredit: Number(storeCreditAmount) || 0 });
+            if (pricingError) throw new Error(pricingError);
 
-            // We don't need to re-validate promo code as it was part of the initial price calculation
-            const { pricing, appliedOffer } = calculateOrderPricing(processedItems, deliveryFee, restaurant);
-
-            const backendAmount = Math.round(pricing.totalAmount * 100);
+            const currency = session.currency || getLocaleSettings(restaurant).currency;
+            const backendAmount = toMinorUnits(getAmountDue(pricing), currency);
             if (Math.abs(stripeAmount - backendAmount) > 1) {
                 throw new Error(`Price mismatch for session ${sessionId}. Stripe: ${stripeAmount}, Backend: ${backendAmount}`);
             }
 
-            const newOrder = new Order({
+            const groupFields = {};
+            if (groupCart) {
+                const { orderedItems, groupBreakdown } = buildGroupBreakdown(groupCart.groupOrder, processedItems, groupCart.lineOwners, pricing);
+                Object.assign(groupFields, { orderedItems, groupOrderId, groupBreakdown });
+            }
+
+            newOrder = new Order({
+                orderNumber: generateUniqueOrderNumber(),
                 restaurantId,
                 customerId: userId,
                 customerDetails: { name: user.fullName, phoneNumber: user.phoneNumber },
-                orderType: 'delivery',
-                deliveryAddress,
+                ...fulfilment,
+                ...(scheduledFor ? buildScheduleFields(scheduledFor) : {}),
                 orderedItems: processedItems,
                 pricing,
                 appliedOffer,
+                currency,
                 paymentType: 'card',
                 paymentStatus: 'paid',
                 acceptanceStatus: 'pending',
+                statusHistory: initialStatusHistory(userId),
                 sessionId,
+                paymentIntentId: session.payment_intent,
                 idempotencyKey,
+                preferences: preferences ? JSON.parse(preferences) : undefined,
+                ...groupFields,
             });
 
+            // Billed once the restaurant accepts it, like cash orders
             await newOrder.save({ session: dbMongoSession });
 
-            user[cartType] = [];
-            await user.save({ session: dbMongoSession });
+            if (groupCart) {
+                await GroupOrder.updateOne(
+                    { _id: groupOrderId, status: 'checking_out' },
+                    { $set: { status: 'checked_out', orderId: newOrder._id } },
+                    { session: dbMongoSession }
+                );
+            } else {
+                user[cartType] = [];
+                clearAppliedPromo(user, cartType);
+                await user.save({ session: dbMongoSession });
+            }
             
             logger.info('Order successfully created from webhook', { orderId: newOrder._id, sessionId });
         });
@@ -93,38 +212,417 @@ const handleCheckoutSessionCompleted = async (session) => {
     } finally {
         dbMongoSession.endSession();
     }
+
+    // Card orders arrive already paid
+    await publishOrderEvent('order.created', newOrder);
+    await publishOrderEvent('order.payment_confirmed', newOrder);
+};
+
+/**
+ * Releases whatever an abandoned Checkout session was holding: the pending booking and its slot lock,
+ * the host's group cart held for checkout, the store credit reserved for it, or a customer's pending order edit.
+ */
+const handleCheckoutSessionExpired = async (session, { restaurantId }) => {
+    const { id: sessionId, metadata = {} } = session;
+
+    if (metadata.purpose === 'order_edit') {
+        await Order.updateOne(
+            { _id: metadata.orderId, 'pendingCustomerEdit.sessionId': sessionId, ...scopedTo(restaurantId) },
+            { $set: { pendingCustomerEdit: null } }
+        );
+        logger.info('Unpaid order edit discarded after its checkout session expired', { orderId: metadata.orderId, sessionId });
+        return;
+    }
+
+    if (isBookingSession(metadata)) {
+        const booking = await Booking.findOneAndUpdate(
+            { 'paymentDetails.sessionId': sessionId, status: 'pending', ...scopedTo(restaurantId) },
+            { $set: { status: 'expired', 'paymentDetails.paymentStatus': 'unpaid' } },
+            { new: true }
+        );
+        if (booking) {
+            await SlotLock.deleteOne({ tableId: booking.tableId, bookingTime: booking.bookingDate });
+            logger.info('Pending booking expired with its checkout session', { bookingId: booking._id, sessionId });
+        }
+        return;
+    }
+
+    if (metadata.groupOrderId) {
+        // Only reopen the cart if it is still held by this checkout
+        await GroupOrder.updateOne(
+            { _id: metadata.groupOrderId, status: 'checking_out', checkoutSessionId: sessionId, ...scopedTo(restaurantId) },
+            { $set: { status: 'open' }, $unset: { checkoutSessionId: 1 } }
+        );
+    }
+    await returnOrderStoreCredit({
+        sessionId,
+        customerId: metadata.userId,
+        restaurantId: metadata.restaurantId,
+        storeCreditAmount: Number(metadata.storeCreditAmount) || 0
+    });
+    // Personal carts are left untouched during checkout, so there is nothing else to release
+    logger.info('Checkout session expired', { sessionId, userId: metadata.userId, groupOrderId: metadata.groupOrderId });
+};
+
+// The order or booking a Stripe payment belongs to
+const findPaymentOwner = async (paymentIntentId, restaurantId) => {
+    if (!paymentIntentId) return {};
+    const order = await Order.findOne({
+        $or: [{ paymentIntentId }, { 'supplementaryPayments.paymentIntentId': paymentIntentId }],
+        ...scopedTo(restaurantId)
+    });
+    if (order) return { order };
+    const booking = await Booking.findOne({ 'paymentDetails.paymentIntentId': paymentIntentId, ...scopedTo(restaurantId) });
+    return { booking };
+};
+
+/**
+ * Syncs refunds, including ones made from the Stripe dashboard. Refunds the app issues are recorded when
+ * they are made, so the refunded amount is only ever raised to Stripe's figure, never added to.
+ */
+const handleChargeRefunded = async (charge, { restaurantId }) => {
+    const { order, booking } = await findPaymentOwner(charge.payment_intent, restaurantId);
+
+    if (booking) {
+        if (charge.refunded && booking.paymentDetails.paymentStatus !== 'refunded') {
+            booking.paymentDetails.paymentStatus = 'refunded';
+            await booking.save();
+        }
+        return;
+    }
+    if (!order) {
+        logger.warn('Refund received for a payment with no matching order or booking', { chargeId: charge.id, paymentIntentId: charge.payment_intent });
+        return;
+    }
+
+    // With top-ups the order total spans several charges, so only a single-charge order maps onto this one
+    const isOnlyPayment = order.paymentIntentId === charge.payment_intent && order.supplementaryPayments.length === 0;
+    if (isOnlyPayment) {
+        const refundedByStripe = fromMinorUnits(charge.amount_refunded, charge.currency);
+        order.pricing.refundedAmount = Math.max(order.pricing.refundedAmount || 0, refundedByStripe);
+    }
+    const fullyRefunded = charge.refunded && (isOnlyPayment || order.pricing.refundedAmount >= order.pricing.totalAmount);
+    if (fullyRefunded) {
+        order.paymentStatus = 'refunded';
+    }
+    await order.save();
+    logger.info('Stripe refund synced to order', { orderId: order._id, chargeId: charge.id, fullyRefunded });
+};
+
+/**
+ * A declined payment. Checkout lets the customer try another card within the same session, so nothing is
+ * released here; an abandoned session is cleaned up when it expires.
+ */
+const handlePaymentIntentFailed = async (paymentIntent, { restaurantId }) => {
+    const reason = paymentIntent.last_payment_error?.message;
+    const { order, booking } = await findPaymentOwner(paymentIntent.id, restaurantId);
+
+    if (order?.paymentStatus === 'pending') {
+        order.paymentStatus = 'failed';
+        await order.save();
+    } else if (booking?.paymentDetails.paymentStatus === 'unpaid') {
+        booking.paymentDetails.paymentStatus = 'failed';
+        await booking.save();
+    }
+    logger.warn('Stripe payment failed', { paymentIntentId: paymentIntent.id, orderId: order?._id, bookingId: booking?._id, reason });
+};
+
+const CLOSED_DISPUTE_STATUSES = ['won', 'lost', 'warning_closed'];
+
+/**
+ * Keeps a chargeback's progress on the order it was raised against. A lost dispute takes the money back,
+ * so the payment is then treated as refunded.
+ */
+const handleChargeDispute = async (dispute, { restaurantId }) => {
+    const { order, booking } = await findPaymentOwner(dispute.payment_intent, restaurantId);
+
+    if (booking) {
+        if (dispute.status === 'lost') {
+            booking.paymentDetails.paymentStatus = 'refunded';
+            await booking.save();
+        }
+        logger.warn('Stripe dispute on a booking fee', { bookingId: booking._id, disputeId: dispute.id, status: dispute.status });
+        return;
+    }
+    if (!order) {
+        logger.warn('Dispute received for a payment with no matching order or booking', { disputeId: dispute.id, paymentIntentId: dispute.payment_intent });
+        return;
+    }
+
+    const isClosed = CLOSED_DISPUTE_STATUSES.includes(dispute.status);
+    order.dispute = {
+        disputeId: dispute.id,
+        paymentIntentId: dispute.payment_intent,
+        status: dispute.status,
+        reason: dispute.reason,
+        amount: fromMinorUnits(dispute.amount, dispute.currency),
+        openedAt: new Date(dispute.created * 1000),
+        closedAt: isClosed ? (order.dispute?.closedAt || new Date()) : null
+    };
+    if (dispute.status === 'lost') {
+        order.paymentStatus = 'refunded';
+    }
+    await order.save();
+    logger.warn('Stripe dispute updated', { orderId: order._id, disputeId: dispute.id, status: dispute.status, reason: dispute.reason });
+};
+
+// Handlers receive the event's `data.object` and `{ restaurantId }` of the account that sent it (null for
+// the platform account). Event types not listed here are logged and marked 'ignored'.
+const eventHandlers = {
+    'checkout.session.completed': handleCheckoutSessionCompleted,
+    'checkout.session.expired': handleCheckoutSessionExpired,
+    'charge.refunded': handleChargeRefunded,
+    'payment_intent.payment_failed': handlePaymentIntentFailed,
+    'charge.dispute.created': handleChargeDispute,
+    'charge.dispute.updated': handleChargeDispute,
+    'charge.dispute.closed': handleChargeDispute,
+};
+
+// How long an event can stay 'processing' before another delivery assumes that attempt died part-way
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// Events that may be picked up again: failed ones, and ones abandoned mid-way
+const retryableEventFilter = (eventId) => ({
+    eventId,
+    $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - PROCESSING_LEASE_MS) } }
+    ]
+});
+
+/**
+ * Records an event the first time it is delivered and claims it for processing. A redelivery only gets the
+ * event back if the earlier attempt failed or was abandoned.
+ * @returns {Promise<{record: object|null, existingStatus?: string}>} The claimed event record, or the status
+ * of the record that is already handling it.
+ */
+const claimWebhookEvent = async (event, restaurantId) => {
+    try {
+        const record = await WebhookEvent.create({
+            eventId: event.id,
+            type: event.type,
+            restaurantId,
+            objectId: event.data.object?.id,
+            payload: event.data.object,
+        });
+        return { record };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const record = await WebhookEvent.findOneAndUpdate(
+        retryableEventFilter(event.id),
+        { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (record) return { record };
+    const existing = await WebhookEvent.findOne({ eventId: event.id }).select('status').lean();
+    return { record: null, existingStatus: existing?.status };
+};
+
+// Runs a claimed event through its handler and records the outcome. Handler errors are rethrown.
+const processWebhookEvent = async (record) => {
+    const handler = eventHandlers[record.type];
+    try {
+        if (handler) {
+            await handler(record.payload, { restaurantId: record.restaurantId ? String(record.restaurantId) : null });
+        } else {
+            logger.info(`Unhandled Stripe event type ${record.type}`, { eventId: record.eventId });
+        }
+        record.status = handler ? 'processed' : 'ignored';
+        record.lastError = undefined;
+        record.processedAt = new Date();
+        await record.save();
+    } catch (error) {
+        record.status = 'failed';
+        record.lastError = error.message;
+        await record.save();
+        throw error;
+    }
+};
+
+// Records, deduplicates and dispatches a verified event, then answers Stripe
+const receiveStripeEvent = async (event, restaurantId, res) => {
+    let claim;
+    try {
+        claim = await claimWebhookEvent(event, restaurantId);
+    } catch (error) {
+        logger.error('Failed to record Stripe webhook event', { error: error.message, eventId: event.id });
+        return res.status(500).json({ received: false, error: "Failed to process webhook." });
+    }
+
+    if (!claim.record) {
+        if (claim.existingStatus === 'processing') {
+            // An earlier delivery is still being handled. Stripe will retry, in case that attempt fails.
+            return res.status(409).json({ received: false, error: "Event is already being processed." });
+        }
+        logger.info('Duplicate Stripe webhook event ignored', { eventId: event.id, type: event.type, status: claim.existingStatus });
+        return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    try {
+        await processWebhookEvent(claim.record);
+    } catch (error) {
+        logger.error(`Failed to process Stripe ${event.type} event`, { error: error.message, eventId: event.id });
+        // Return a 500 to let Stripe know it should retry the webhook
+        return res.status(500).json({ received: false, error: "Failed to process webhook." });
+    }
+
+    res.status(200).json({ received: true });
 };
 
 // Renamed to 'handleStripeWebhook' to match index.js usage
 const handleStripeWebhook = async (req, res) => {
     const sig = req.headers['stripe-signature'];
-    const stripe = new Stripe(config.stripe.secretKey);
     let event;
 
     try {
-        event = stripe.webhooks.constructEvent(req.body, sig, config.stripe.webhookSecret);
+        event = getPaymentProvider(config.stripe.secretKey).verifyWebhook(req.body, sig, config.stripe.webhookSecret);
     } catch (err) {
         logger.error('Stripe webhook signature verification failed.', { error: err.message });
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Handle the event
-    switch (event.type) {
-        case 'checkout.session.completed':
-            const session = event.data.object;
-            try {
-                await handleCheckoutSessionCompleted(session);
-            } catch (error) {
-                // Return a 500 to let Stripe know it should retry the webhook
-                return res.status(500).json({ received: false, error: "Failed to process webhook." });
+    return receiveStripeEvent(event, null, res);
+};
+
+/**
+ * Receives events from a restaurant's own Stripe account, where its card orders and bookings are paid.
+ * Each restaurant's endpoint is verified with the signing secret the owner saved in their settings.
+ */
+const handleRestaurantStripeWebhook = async (req, res) => {
+    const { restaurantId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+        return res.status(404).send('Webhook Error: Unknown restaurant.');
+    }
+
+    let restaurant;
+    try {
+        restaurant = await Restaurant.findById(restaurantId).select('+stripeSecretKey +stripeWebhookSecret');
+    } catch (error) {
+        logger.error('Failed to load restaurant for Stripe webhook', { error: error.message, restaurantId });
+        return res.status(500).json({ received: false, error: "Failed to process webhook." });
+    }
+    if (!restaurant) {
+        return res.status(404).send('Webhook Error: Unknown restaurant.');
+    }
+    if (!restaurant.stripeWebhookSecret) {
+        logger.warn('Stripe webhook received for a restaurant without a signing secret', { restaurantId });
+        return res.status(400).send('Webhook Error: No webhook signing secret is configured for this restaurant.');
+    }
+
+    let event;
+    try {
+        event = getPaymentProvider(restaurant.stripeSecretKey)
+            .verifyWebhook(req.body, req.headers['stripe-signature'], restaurant.stripeWebhookSecret);
+    } catch (err) {
+        logger.error('Stripe webhook signature verification failed.', { error: err.message, restaurantId });
+        return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    return receiveStripeEvent(event, restaurant._id, res);
+};
+
+/**
+ * @description Re-runs a failed (or abandoned) Stripe webhook event from its stored payload.
+ * @route POST /api/admin/webhook-events/:eventId/retry
+ * @access Private (Super Admin)
+ */
+export const retryWebhookEvent = async (req, res, next) => {
+    const { eventId } = req.params;
+    try {
+        const record = await WebhookEvent.findOneAndUpdate(
+            retryableEventFilter(eventId),
+            { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+            { new: true }
+        );
+        if (!record) {
+            const existing = await WebhookEvent.findOne({ eventId }).select('status').lean();
+            if (!existing) {
+                return res.status(404).json({ success: false, message: "Webhook event not found." });
             }
-            break;
-        default:
-            logger.info(`Unhandled Stripe event type ${event.type}`, { eventId: event.id });
+            return res.status(409).json({ success: false, message: `This event is ${existing.status} and cannot be retried.` });
+        }
+
+        try {
+            await processWebhookEvent(record);
+        } catch (error) {
+            logger.error('Retried Stripe webhook event failed again', { error: error.message, eventId });
+            return res.status(500).json({ success: false, message: `Retry failed: ${error.message}`, data: record });
+        }
+
+        logger.info('Stripe webhook event retried by admin', { eventId, adminId: req.user?._id });
+        return res.status(200).json({ success: true, message: "Webhook event processed successfully.", data: record });
+    } catch (error) {
+        logger.error('Error retrying Stripe webhook event', { error: error.message, eventId });
+        next(error);
     }
+};
 
-    res.status(200).json({ received: true });
+// --- Mock payment provider (PAYMENT_PROVIDER=mock) ---
+
+/**
+ * @description Shows a mock checkout: what is being paid for, and where to complete or abandon it.
+ * @route GET /api/payment/mock-checkout/:sessionId
+ * @access Public (mock payment provider only)
+ */
+export const getMockCheckoutSession = async (req, res, next) => {
+    try {
+        const checkout = getMockCheckout(req.params.sessionId);
+        const checkoutUrl = `${config.payments.mockCheckoutBaseUrl}/${checkout.id}`;
+        return res.status(200).json({
+            success: true,
+            data: { ...checkout, completeUrl: `${checkoutUrl}/complete`, expireUrl: `${checkoutUrl}/expire` }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        next(error);
+    }
+};
+
+// Completing or expiring a mock checkout delivers the event Stripe would send straight into the webhook handlers
+const simulateMockCheckout = (simulate, outcome) => async (req, res, next) => {
+    const { sessionId } = req.params;
+    let simulated;
+    try {
+        simulated = simulate(sessionId);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        return next(error);
+    }
+
+    try {
+        const { record } = await claimWebhookEvent(simulated.event, null);
+        await processWebhookEvent(record);
+    } catch (error) {
+        logger.error(`Failed to process mock checkout ${outcome}`, { error: error.message, sessionId, eventId: simulated.event.id });
+        return res.status(500).json({ success: false, message: `The checkout was ${outcome} but its webhook event failed: ${error.message}`, data: { eventId: simulated.event.id } });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: `Mock checkout ${outcome}.`,
+        data: { sessionId, eventId: simulated.event.id, redirectUrl: simulated.redirectUrl }
+    });
 };
 
+/**
+ * @description Simulates the customer paying for a mock checkout.
+ * @route POST /api/payment/mock-checkout/:sessionId/complete
+ * @access Public (mock payment provider only)
+ */
+export const completeMockCheckoutSession = simulateMockCheckout(completeMockCheckout, 'completed');
+
+/**
+ * @description Simulates a mock checkout being abandoned until it expires.
+ * @route POST /api/payment/mock-checkout/:sessionId/expire
+ * @access Public (mock payment provider only)
+ */
+export const expireMockCheckoutSession = simulateMockCheckout(expireMockCheckout, 'expired');
+
 // Added default export
-export default { handleStripeWebhook };
\ No newline at end of file
+export default { handleStripeWebhook, handleRestaurantStripeWebhook };
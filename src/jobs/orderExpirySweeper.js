@@ -0,0 +1,186 @@
+import Order from "../models/Order.js";
+import { ORDER_ACCEPTANCE_DEFAULTS } from "../models/Restaurant.js";
+import { applyAcceptanceDecision } from "../utils/orderStatus.js";
+import { refundOrderPayments } from "../utils/paymentProvider.js";
+import { claimOrderClosure, closingRefundKey } from "../utils/orderUtils.js";
+import { returnOrderStoreCredit } from "../utils/storeCreditUtils.js";
+import { publishOrderEvent } from "../utils/orderEvents.js";
+import { sendOrderEscalationEmail, sendOrderExpiredEmail } from "../utils/MailUtils.js";
+import logger from "../utils/logger.js";
+import config from "../config/env.js";
+
+// A closing claim older than this is assumed to have failed part-way, and the sweeper takes it over to finish
+// the refund. Refunds are keyed to the order, so taking over never refunds twice.
+const STALE_CLAIM_MINUTES = 5;
+
+let sweepTimer = null;
+let sweepInProgress = false;
+
+/**
+ * The moment an order started waiting on the restaurant.
+ * Scheduled orders only start waiting once they are released to the new-orders queue.
+ */
+const getPendingSince = (order) => {
+    if (order.isScheduled && order.deliveryTime) {
+        const releasedAt = new Date(order.deliveryTime.getTime() - config.scheduledOrders.leadTimeMinutes * 60 * 1000);
+        return releasedAt > order.createdAt ? releasedAt : order.createdAt;
+    }
+    return order.createdAt;
+};
+
+/**
+ * Announces scheduled orders that have just reached the restaurant's new-orders queue, so live dashboards
+ * pick them up. Their earlier events were only sent to the customer.
+ */
+const releaseScheduledOrders = async (now) => {
+    const leadTimeMs = config.scheduledOrders.leadTimeMinutes * 60 * 1000;
+    const dueOrders = await Order.find({
+        isScheduled: true,
+        releasedAt: { $exists: false },
+        acceptanceStatus: 'pending',
+        status: 'placed',
+        createdAt: { $gte: config.orderSweeper.since },
+        deliveryTime: { $lte: new Date(now.getTime() + leadTimeMs) },
+        // Orders placed inside the lead time were never held back, so there is nothing to announce
+        $expr: { $lt: ["$createdAt", { $subtract: ["$deliveryTime", leadTimeMs] }] }
+    });
+
+    for (const order of dueOrders) {
+        const claimed = await Order.updateOne({ _id: order._id, releasedAt: { $exists: false } }, { $set: { releasedAt: now } });
+        if (claimed.modifiedCount === 0) continue;
+        order.releasedAt = now;
+        await publishOrderEvent('order.released', order);
+    }
+};
+
+const escalateOrder = async (order, minutesLeft) => {
+    // Claim the escalation first so a slow email never results in duplicates
+    const claimed = await Order.updateOne(
+        { _id: order._id, acceptanceStatus: 'pending', acceptanceEscalatedAt: { $exists: false }, closingClaimedAt: { $exists: false } },
+        { $set: { acceptanceEscalatedAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) return;
+
+    logger.warn('Order awaiting acceptance escalated to restaurant', { orderId: order._id, restaurantId: order.restaurantId._id });
+    if (order.restaurantId.email) {
+        await sendOrderEscalationEmail(order.restaurantId.email, {
+            restaurantName: order.restaurantId.restaurantName,
+            orderNumber: order.orderNumber,
+            minutesLeft: Math.max(1, Math.ceil(minutesLeft))
+        });
+    }
+};
+
+const expireOrder = async (order, now) => {
+    // Claimed so the restaurant cannot accept it (or anyone else refund it) while it is being expired
+    const claimed = await claimOrderClosure(order._id, 'system', {
+        takeOverBefore: new Date(now.getTime() - STALE_CLAIM_MINUTES * 60 * 1000)
+    });
+    if (!claimed) return;
+
+    try {
+        await rejectExpiredOrder(order._id);
+    } catch (error) {
+        // The claim is kept, so the order stays closed to the restaurant until a later sweep takes the stale
+        // claim over and retries. The error is kept on the order meanwhile.
+        await Order.updateOne({ _id: order._id, closingClaimedBy: 'system' }, { $set: { closingError: error.message } });
+        throw error;
+    }
+};
+
+const rejectExpiredOrder = async (orderId) => {
+    const expiredOrder = await Order.findById(orderId)
+        .populate({ path: 'restaurantId', select: 'restaurantName stripeSecretKey' })
+        .populate('customerId', 'email');
+
+    // Not closed until the customer has their money back: a failed refund is retried by a later sweep
+    if (expiredOrder.paymentType === 'card' && expiredOrder.paymentStatus === 'paid') {
+        if (!expiredOrder.restaurantId.stripeSecretKey) {
+            throw new Error("Restaurant payment key is not configured.");
+        }
+        const refund = await refundOrderPayments(expiredOrder.restaurantId.stripeSecretKey, expiredOrder, undefined, {
+            idempotencyKey: closingRefundKey(expiredOrder)
+        });
+        if (refund) {
+            expiredOrder.paymentStatus = 'refunded';
+        }
+    }
+    await returnOrderStoreCredit(expiredOrder);
+
+    applyAcceptanceDecision(expiredOrder, 'rejected', { actor: 'system', note: 'Automatically rejected: not accepted in time' });
+    expiredOrder.closingError = undefined;
+    expiredOrder.$where = { acceptanceStatus: 'pending', closingClaimedBy: 'system' };
+    await expiredOrder.save();
+    await publishOrderEvent('order.cancelled', expiredOrder, { previousStatus: 'placed' });
+    logger.info('Unanswered order expired', { orderId: expiredOrder._id, paymentStatus: expiredOrder.paymentStatus });
+
+    if (expiredOrder.customerId?.email) {
+        await sendOrderExpiredEmail(expiredOrder.customerId.email, {
+            orderNumber: expiredOrder.orderNumber,
+            restaurantName: expiredOrder.restaurantId.restaurantName,
+            refunded: expiredOrder.paymentStatus === 'refunded'
+        });
+    }
+};
+
+/**
+ * Runs one pass over every order still waiting for the restaurant to respond, announcing scheduled orders
+ * as they are released, escalating those close to their deadline and auto-rejecting those past it.
+ */
+export const sweepUnansweredOrders = async () => {
+    if (sweepInProgress) return;
+    sweepInProgress = true;
+
+    try {
+        const now = new Date();
+        try {
+            await releaseScheduledOrders(now);
+        } catch (error) {
+            logger.error('Error releasing scheduled orders; it will be retried', { error: error.message });
+        }
+
+        const releaseCutoff = new Date(now.getTime() + config.scheduledOrders.leadTimeMinutes * 60 * 1000);
+        const pendingOrders = await Order.find({
+            acceptanceStatus: 'pending',
+            status: 'placed',
+            createdAt: { $gte: config.orderSweeper.since },
+            $or: [{ isScheduled: { $ne: true } }, { deliveryTime: { $lte: releaseCutoff } }]
+        }).populate('restaurantId', 'restaurantName email orderAcceptance');
+
+        for (const order of pendingOrders) {
+            try {
+                const settings = order.restaurantId?.orderAcceptance || {};
+                const timeoutMinutes = settings.timeoutMinutes || ORDER_ACCEPTANCE_DEFAULTS.timeoutMinutes;
+                const escalateAfterMinutes = settings.escalateAfterMinutes ?? ORDER_ACCEPTANCE_DEFAULTS.escalateAfterMinutes;
+                const waitingMinutes = (now - getPendingSince(order)) / (60 * 1000);
+
+                if (waitingMinutes >= timeoutMinutes) {
+                    await expireOrder(order, now);
+                } else if (waitingMinutes >= escalateAfterMinutes && !order.acceptanceEscalatedAt) {
+                    await escalateOrder(order, timeoutMinutes - waitingMinutes);
+                }
+            } catch (error) {
+                logger.error('Error sweeping unanswered order; it will be retried', { orderId: order._id, error: error.message });
+            }
+        }
+    } catch (error) {
+        logger.error('Unanswered order sweep failed', { error: error.message });
+    } finally {
+        sweepInProgress = false;
+    }
+};
+
+/**
+ * Starts the background sweeper. Safe to call once the database is connected.
+ */
+export const startOrderExpirySweeper = () => {
+    if (sweepTimer) return;
+    const intervalMs = config.orderSweeper.intervalSeconds * 1000;
+    sweepTimer = setInterval(sweepUnansweredOrders, intervalMs);
+    logger.info(`Unanswered order sweeper running every ${config.orderSweeper.intervalSeconds}s`);
+};
+
+export const stopOrderExpirySweeper = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+};
@@ -35,14 +35,16 @@ const bookingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled_by_user', 'cancelled_by_owner', 'completed'],
+    enum: ['pending', 'confirmed', 'cancelled_by_user', 'cancelled_by_owner', 'completed', 'expired'], // 'expired': checkout abandoned
     default: 'pending', // Default to pending now
     required: true
   },
   paymentDetails: {
     sessionId: { type: String, index: true, required: true },
-    paymentStatus: { type: String, enum: ['paid', 'refunded'], default: 'paid' },
-    bookingFee: { type: Number, required: true }
+    paymentIntentId: { type: String, index: true, sparse: true }, // Set once the booking fee is paid
+    paymentStatus: { type: String, enum: ['unpaid', 'paid', 'failed', 'refunded'], default: 'unpaid' },
+    bookingFee: { type: Number, required: true },
+    currency: { type: String, lowercase: true, default: 'gbp' }
   },
   notes: { 
     type: String, 
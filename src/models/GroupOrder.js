@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import { MAX_SPECIAL_INSTRUCTIONS_LENGTH } from "../utils/cartUtils.js";
+
+// 'checking_out' is held by one checkout at a time: until its order is placed, or its card checkout expires
+export const GROUP_ORDER_STATUSES = ['open', 'locked', 'checking_out', 'checked_out', 'cancelled'];
+
+// Same shape as a line in User.foodCart / User.groceriesCart
+const groupCartItemSchema = new mongoose.Schema({
+  cartItemKey: { type: String, required: true },
+  menuItemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem', required: true },
+  quantity: { type: Number, required: true, min: 1, default: 1 },
+  selectedVariant: {
+    _id: false,
+    groupId: String,
+    variantId: String
+  },
+  selectedAddons: [{
+    _id: false,
+    groupId: String,
+    addonId: String
+  }],
+  specialInstructions: { type: String, trim: true, maxlength: MAX_SPECIAL_INSTRUCTIONS_LENGTH } // e.g. "no onions"
+}, { _id: false });
+
+const participantSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  name: String,
+  items: [groupCartItemSchema],
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * @description A shared cart for one restaurant. The host invites others with the join code
+ * and checks out a single combined Order once everyone has added their items.
+ */
+const groupOrderSchema = new mongoose.Schema({
+  hostId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+  joinCode: { type: String, required: true, unique: true, uppercase: true },
+  status: { type: String, enum: GROUP_ORDER_STATUSES, default: 'open' },
+  participants: [participantSchema],
+  checkoutSessionId: String, // The host's card checkout in progress, so the cart can be unlocked if it expires
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" }, // Set once checked out
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+groupOrderSchema.index({ 'participants.userId': 1, status: 1 });
+
+export default mongoose.model("GroupOrder", groupOrderSchema);
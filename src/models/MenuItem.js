@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import { v4 as uuidv4 } from "uuid";
+import { VAT_RATE_CODES } from "../utils/vatUtils.js";
 
 /**
  * @description Represents a single menu item belonging to a specific restaurant.
@@ -16,6 +17,7 @@ const menuItemSchema = new mongoose.Schema({
   isFood: { type: Boolean, required: true },
   itemType: { type: String, enum: ['veg', 'non-veg', 'egg'], required: true },
   basePrice: { type: Number, required: true, min: 0 },
+  vatRate: { type: String, enum: [...VAT_RATE_CODES, null], default: null }, // null: use the restaurant's food or grocery rate
   packageType: String,
   minimumQuantity: { type: Number, default: 1, min: 1 },
   maximumQuantity: { type: Number, min: 1 },
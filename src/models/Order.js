@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { ORDER_STATUSES, STATUS_ACTORS } from "../utils/orderStatus.js";
+import { MAX_SPECIAL_INSTRUCTIONS_LENGTH } from "../utils/cartUtils.js";
 
 // --- NEW: Sub-schema for Applied Offer Details ---
 const appliedOfferSchema = new mongoose.Schema({
@@ -7,11 +9,46 @@ const appliedOfferSchema = new mongoose.Schema({
   discountAmount: { type: Number, required: true, min: 0 }
 }, { _id: false });
 
+// --- Sub-schema for the order status timeline ---
+const statusHistorySchema = new mongoose.Schema({
+  status: { type: String, enum: ORDER_STATUSES, required: true },
+  actor: { type: String, enum: STATUS_ACTORS, required: true },
+  actorId: { type: mongoose.Schema.Types.ObjectId },
+  note: { type: String, trim: true },
+  timestamp: { type: Date, default: Date.now }
+}, { _id: false });
+
+// --- Sub-schema for a priced order line ---
+const orderedItemSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: "MenuItem" },
+  itemName: String,
+  basePrice: Number,
+  quantity: Number,
+  selectedVariants: [{ _id: false, groupId: String, variantId: String, variantName: String, additionalPrice: Number }],
+  selectedAddons: [{ _id: false, groupId: String, addonId: String, optionTitle: String, price: Number }],
+  itemTotal: Number,
+  vatRate: Number, // Percent, fixed when the order is placed
+  vatAmount: Number, // VAT included in itemTotal, after any item discount
+  specialInstructions: { type: String, trim: true, maxlength: MAX_SPECIAL_INSTRUCTIONS_LENGTH },
+  participantId: { type: mongoose.Schema.Types.ObjectId, ref: "User" } // Group orders: who added the line
+}, { _id: false });
+
+// --- Sub-schema for a customer's change to an order before it was accepted ---
+const customerEditSchema = new mongoose.Schema({
+  changedFields: [{ type: String, enum: ['items', 'notes', 'deliveryAddress', 'preferences'] }],
+  previousTotal: Number,
+  newTotal: Number,
+  amountCharged: { type: Number, default: 0 }, // Card orders: extra paid through a top-up session
+  amountRefunded: { type: Number, default: 0 },
+  editedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 
 const orderSchema = new mongoose.Schema({
   orderNumber: { type: String, unique: true, required: true },
-  billNumber: String,
+  billNumber: String, // Sequential per restaurant, assigned once the order is accepted or completed
   sessionId: { type: String, index: true },
+  paymentIntentId: { type: String, index: true, sparse: true }, // Stripe payment behind the original Checkout session
   idempotencyKey: { type: String, unique: true, sparse: true }, 
   restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true, index: true },
   customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
@@ -28,27 +65,85 @@ const orderSchema = new mongoose.Schema({
       coordinates: { type: [Number] } // [longitude, latitude]
     }
   },
-  orderedItems: [{
+  pickupTime: Date, // Only for 'pickup' orders
+  tableId: { type: mongoose.Schema.Types.ObjectId, ref: "Table" }, // Only for 'dine-in' orders
+  orderedItems: [orderedItemSchema],
+  groupOrderId: { type: mongoose.Schema.Types.ObjectId, ref: "GroupOrder" },
+  groupBreakdown: [{
     _id: false,
-    itemId: { type: mongoose.Schema.Types.ObjectId, ref: "MenuItem" },
-    itemName: String,
-    basePrice: Number,
-    quantity: Number,
-    selectedVariants: [{ _id: false, groupId: String, variantId: String, variantName: String, additionalPrice: Number }],
-    selectedAddons: [{ _id: false, groupId: String, addonId: String, optionTitle: String, price: Number }],
-    itemTotal: Number
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    name: String,
+    itemsSubtotal: Number,
+    amountDue: Number // Share of the order total, proportional to the participant's items
   }],
   pricing: {
     subtotal: Number,
     deliveryFee: Number,
     handlingCharge: Number,
     discountAmount: { type: Number, default: 0 },
-    totalAmount: Number
+    tipAmount: { type: Number, default: 0 }, // Passed on in full to the delivery partner; not in totalAmount when tipAddedAt is set
+    totalAmount: Number,
+    refundedAmount: { type: Number, default: 0 }, // Partial refunds issued after item adjustments
+    storeCreditAmount: { type: Number, default: 0 }, // Part of the total paid with store credit rather than by card or cash
+    vat: { // VAT contained in the (VAT-inclusive) total, by rate
+      registered: { type: Boolean, default: false },
+      totalVat: { type: Number, default: 0 },
+      breakdown: [{ _id: false, rate: Number, netAmount: Number, vatAmount: Number, grossAmount: Number }]
+    }
   },
+  itemAdjustments: [{
+    _id: false,
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: "MenuItem" },
+    itemName: String,
+    previousQuantity: Number,
+    newQuantity: Number,
+    reason: { type: String, trim: true },
+    refundAmount: Number,
+    adjustedAt: { type: Date, default: Date.now }
+  }],
   appliedOffer: {
     type: appliedOfferSchema,
     default: null
   },
+  customerEdits: [customerEditSchema],
+  modifiedByCustomerAt: Date, // Flags the order as changed in the restaurant's new-orders view
+  // A card order edit that costs more, held until its top-up Checkout session is paid
+  pendingCustomerEdit: {
+    type: new mongoose.Schema({
+      orderedItems: [orderedItemSchema],
+      pricing: { type: mongoose.Schema.Types.Mixed },
+      appliedOffer: { type: appliedOfferSchema, default: null },
+      deliveryAddress: { type: mongoose.Schema.Types.Mixed },
+      notes: String,
+      preferences: { type: mongoose.Schema.Types.Mixed },
+      changedFields: [String],
+      amountDue: Number,
+      sessionId: String,
+      requestedAt: { type: Date, default: Date.now }
+    }, { _id: false }),
+    default: null
+  },
+  supplementaryPayments: [{ // Top-up Checkout sessions paid for customer edits
+    _id: false,
+    sessionId: String,
+    paymentIntentId: String,
+    amount: Number,
+    paidAt: { type: Date, default: Date.now }
+  }],
+  // A chargeback raised against one of the order's card payments, kept in sync by the Stripe webhook
+  dispute: {
+    type: new mongoose.Schema({
+      disputeId: String,
+      paymentIntentId: String,
+      status: String, // Stripe's dispute status, e.g. 'needs_response', 'won' or 'lost'
+      reason: String,
+      amount: Number,
+      openedAt: Date,
+      closedAt: Date
+    }, { _id: false }),
+    default: null
+  },
+  currency: { type: String, lowercase: true, default: 'gbp' }, // The restaurant's currency when the order was placed
   paymentType: { type: String, enum: ['cash', 'card', 'upi'], required: true },
   paymentStatus: {
     type: String,
@@ -58,20 +153,49 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['placed', 'out_for_delivery', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'placed',
     required: true
   },
+  statusHistory: [statusHistorySchema],
   acceptanceStatus: { type: String, enum: ['pending', 'accepted', 'rejected'], default: 'pending' },
+  tipAddedAt: Date, // Set when a cash order is tipped after delivery, outside the total it was billed for
+  acceptanceEscalatedAt: Date, // Set when the owner was reminded about an unanswered order
+  // Set by whoever is closing an unanswered order (the restaurant rejecting it, the customer cancelling it or the
+  // sweeper expiring it) before any refund, so nobody else can respond to, edit or close it meanwhile
+  closingClaimedAt: Date,
+  closingClaimedBy: { type: String, enum: ['owner', 'customer', 'system'] },
+  closingError: String, // Why the last attempt to close the order failed, until the sweeper retries it
+  eta: {
+    prepTimeMinutes: Number,
+    travelTimeMinutes: Number,
+    estimatedReadyTime: Date,
+    estimatedDeliveryTime: Date, // Only for 'delivery' orders
+    updatedAt: Date
+  },
   assignedDeliveryPartnerId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-  deliveryDate: Date,
-  deliveryTime: Date,
+  isScheduled: { type: Boolean, default: false },
+  releasedAt: Date, // Set when a scheduled order placed ahead of its lead time reaches the restaurant's queue
+  deliveryDate: Date, // When the order was delivered
+  deliveryTime: Date, // Scheduled orders: the full requested fulfilment time
   review: {
-    rating: Number,
-    comment: String,
-    reviewDate: Date
+    rating: { type: Number, min: 1, max: 5 },
+    foodRating: { type: Number, min: 1, max: 5 },
+    deliveryRating: { type: Number, min: 1, max: 5 },
+    comment: { type: String, trim: true },
+    reviewDate: Date,
+    ownerReply: {
+      comment: { type: String, trim: true },
+      repliedAt: Date
+    }
   },
   notes: { type: String, trim: true },
+  preferences: {
+    noCutlery: { type: Boolean, default: false },
+    leaveAtDoor: { type: Boolean, default: false } // Only for 'delivery' orders
+  },
 }, { timestamps: true }); 
 
+orderSchema.index({ restaurantId: 1, billNumber: 1 }, { unique: true, partialFilterExpression: { billNumber: { $type: 'string' } } });
+
 export default mongoose.model("Order", orderSchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+import config from "../config/env.js";
+
+export const ORDER_EVENT_TYPES = ['order.created', 'order.cancelled', 'order.payment_confirmed', 'order.status_changed', 'order.modified', 'order.partner_assigned', 'order.released'];
+
+/**
+ * @description An order change pushed to a restaurant's live dashboard. Events are kept for a while
+ * so a dashboard that reconnects can replay whatever it missed from its last event ID.
+ */
+const orderEventSchema = new mongoose.Schema({
+  restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+  type: { type: String, enum: ORDER_EVENT_TYPES, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed }, // Snapshot of the order fields a dashboard needs
+  // Published while the order was a scheduled order not yet released to the restaurant, so only the
+  // customer's tracking stream gets it
+  heldFromRestaurant: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now, expires: config.orderEvents.retentionHours * 60 * 60 }
+});
+
+orderEventSchema.index({ restaurantId: 1, _id: 1 });
+
+export default mongoose.model("OrderEvent", orderEventSchema);
@@ -1,5 +1,14 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import { VAT_RATE_CODES } from '../utils/vatUtils.js';
+import { SUPPORTED_CURRENCIES, PHONE_NUMBER_FORMATS, isValidPhoneNumber } from '../utils/localeUtils.js';
+import { encryptSecret, decryptSecret, isEncryptedSecret } from '../utils/encryptionUtils.js';
+
+// Used for restaurants that have not configured orderAcceptance
+export const ORDER_ACCEPTANCE_DEFAULTS = Object.freeze({ timeoutMinutes: 10, escalateAfterMinutes: 5 });
+
+const encryptOnWrite = (value) => (value && !isEncryptedSecret(value) ? encryptSecret(value.trim()) : value);
+const decryptOnRead = (value) => (value ? decryptSecret(value) : value);
 
 const restaurantSchema = new mongoose.Schema({
   restaurantName: {
@@ -28,7 +37,17 @@ const restaurantSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Phone number is required.'],
     unique: true,
-    match: [/^((\+44)|(0)) ?\d{4} ?\d{6}$/, 'Please fill a valid UK phone number']
+    validate: {
+      // Update queries can't see the restaurant's region, so they accept any supported format and the
+      // controller checks the region instead.
+      validator: function (phoneNumber) {
+        if (this instanceof mongoose.Document) {
+          return isValidPhoneNumber(phoneNumber, this.localeSettings?.phoneRegion || 'GB');
+        }
+        return Object.keys(PHONE_NUMBER_FORMATS).some(region => isValidPhoneNumber(phoneNumber, region));
+      },
+      message: 'Please fill a valid phone number for the restaurant\'s region'
+    }
   },
   primaryContactName: {
     type: String,
@@ -62,11 +81,24 @@ const restaurantSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Encrypted at rest. Reading the field (with `+stripeSecretKey`) returns the plaintext key; lean queries
+  // see the stored ciphertext and must call decryptSecret themselves.
   stripeSecretKey: {
     type: String,
     required: [true, 'Stripe secret key is required.'],
     trim: true,
-    select: false
+    select: false,
+    set: encryptOnWrite,
+    get: decryptOnRead
+  },
+  // Signing secret of the webhook endpoint the owner registered in their own Stripe account, pointing at
+  // /api/payment/stripe-webhook/:restaurantId. Encrypted at rest like the secret key.
+  stripeWebhookSecret: {
+    type: String,
+    trim: true,
+    select: false,
+    set: encryptOnWrite,
+    get: decryptOnRead
   },
   deliverySettings: {
     freeDeliveryRadius: {
@@ -87,6 +119,45 @@ const restaurantSchema = new mongoose.Schema({
       min: 0
     }
   },
+  billSequence: {
+    // Last bill number issued; incremented atomically when an order is invoiced
+    type: Number,
+    default: 0,
+    select: false
+  },
+  vatSettings: {
+    // Only VAT-registered restaurants show VAT on receipts and reports
+    registered: { type: Boolean, default: false },
+    foodRate: { type: String, enum: VAT_RATE_CODES, default: 'standard' },
+    groceryRate: { type: String, enum: VAT_RATE_CODES, default: 'zero' },
+    handlingChargeRate: { type: String, enum: VAT_RATE_CODES, default: 'standard' },
+    deliveryRate: { type: String, enum: VAT_RATE_CODES, default: 'standard' }
+  },
+  localeSettings: {
+    currency: { type: String, lowercase: true, enum: Object.keys(SUPPORTED_CURRENCIES), default: 'gbp' },
+    locale: { type: String, default: 'en-GB' }, // BCP 47 tag used to format amounts and dates
+    phoneRegion: { type: String, uppercase: true, enum: Object.keys(PHONE_NUMBER_FORMATS), default: 'GB' },
+    timeZone: { type: String, default: 'Europe/London' } // IANA name; opening hours are wall-clock times in this zone
+  },
+  defaultPrepTimeMinutes: {
+    type: Number,
+    min: 1,
+    default: 20
+  },
+  orderAcceptance: {
+    // Unanswered orders are auto-rejected (and refunded) after this many minutes
+    timeoutMinutes: {
+      type: Number,
+      min: 1,
+      default: ORDER_ACCEPTANCE_DEFAULTS.timeoutMinutes
+    },
+    // The owner is reminded once an order has waited this long
+    escalateAfterMinutes: {
+      type: Number,
+      min: 0,
+      default: ORDER_ACCEPTANCE_DEFAULTS.escalateAfterMinutes
+    }
+  },
   isEmailVerified: { type: Boolean, default: false },
   currentOTP: { type: String, select: false },
   otpGeneratedAt: { type: Date, select: false },
@@ -103,6 +174,18 @@ const restaurantSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Maintained from customer reviews on completed orders
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   deliveryPartners: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+export const STORE_CREDIT_REASONS = ['ticket', 'order', 'order_return'];
+
+// One change to a balance. The reference is unique per balance, which is what makes granting, spending and
+// returning credit safe to retry.
+const storeCreditEntrySchema = new mongoose.Schema({
+  amount: { type: Number, required: true }, // Positive when credit is granted or returned, negative when spent
+  reason: { type: String, enum: STORE_CREDIT_REASONS, required: true },
+  reference: { type: String, required: true }, // e.g. ticket-<id>-<offeredAt>, checkout-<sessionId>, order-<id>
+  ticketId: { type: mongoose.Schema.Types.ObjectId, ref: "SupportTicket" },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * @description A customer's store credit with one restaurant, granted by the restaurant (or an admin) to
+ * settle a support ticket and spent on that restaurant's orders, in the restaurant's currency.
+ */
+const storeCreditSchema = new mongoose.Schema({
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+  balance: { type: Number, default: 0, min: 0 },
+  entries: [storeCreditEntrySchema]
+}, { timestamps: true });
+
+storeCreditSchema.index({ customerId: 1, restaurantId: 1 }, { unique: true });
+
+export default mongoose.model("StoreCredit", storeCreditSchema);
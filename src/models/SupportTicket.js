@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+export const TICKET_CATEGORIES = ['missing_item', 'wrong_item', 'cold_food', 'poor_quality', 'damaged_packaging', 'late_delivery', 'other'];
+
+// open -> awaiting_customer <-> awaiting_restaurant -> escalated -> resolved, or closed by the customer at any point
+export const TICKET_STATUSES = ['open', 'awaiting_customer', 'awaiting_restaurant', 'escalated', 'resolved', 'closed'];
+
+export const TICKET_SENDERS = ['customer', 'owner', 'admin'];
+
+const ticketMessageSchema = new mongoose.Schema({
+  senderType: { type: String, enum: TICKET_SENDERS, required: true },
+  senderId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  message: { type: String, trim: true, required: true },
+  attachments: [String], // Cloudinary URLs
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A refund or store credit proposed by the restaurant (or imposed by an admin)
+const ticketResolutionSchema = new mongoose.Schema({
+  type: { type: String, enum: ['refund', 'store_credit', 'none'], required: true },
+  amount: { type: Number, min: 0, default: 0 },
+  offeredBy: { type: String, enum: ['owner', 'admin'], required: true },
+  offeredAt: { type: Date, default: Date.now },
+  // 'issuing' is claimed atomically before any money moves, so an offer is only ever paid out once
+  status: { type: String, enum: ['offered', 'accepted', 'declined', 'issuing', 'issued', 'failed'], default: 'offered' },
+  stripeRefundId: String,
+  issuedAt: Date
+}, { _id: false });
+
+/**
+ * @description A customer complaint or dispute about a single order, with its message thread.
+ */
+const supportTicketSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true, index: true },
+  category: { type: String, enum: TICKET_CATEGORIES, required: true },
+  status: { type: String, enum: TICKET_STATUSES, default: 'open', index: true },
+  messages: [ticketMessageSchema],
+  resolution: ticketResolutionSchema,
+  escalatedAt: Date,
+  resolvedAt: Date,
+  closedAt: Date
+}, { timestamps: true });
+
+export default mongoose.model("SupportTicket", supportTicketSchema);
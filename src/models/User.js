@@ -2,6 +2,7 @@
 
 import mongoose from "mongoose";
 import bcrypt from 'bcrypt';
+import { MAX_SPECIAL_INSTRUCTIONS_LENGTH } from '../utils/cartUtils.js';
 
 const addressSchema = new mongoose.Schema({
   _id: false, 
@@ -46,7 +47,8 @@ const cartItemSchema = new mongoose.Schema({
     _id: false,
     groupId: String,
     addonId: String
-  }]
+  }],
+  specialInstructions: { type: String, trim: true, maxlength: MAX_SPECIAL_INSTRUCTIONS_LENGTH } // e.g. "no onions"
 }, { _id: false });
 
 
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// processing -> processed | ignored (no handler for the type) | failed (retried by Stripe or an admin)
+export const WEBHOOK_EVENT_STATUSES = ['processing', 'processed', 'ignored', 'failed'];
+
+/**
+ * @description Every Stripe event the webhook has received, keyed by Stripe's event ID. The unique ID is
+ * what stops a redelivered event from being processed twice, and failed events keep their payload so an
+ * admin can inspect and retry them.
+ */
+const webhookEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  type: { type: String, required: true, index: true },
+  // The restaurant whose Stripe account sent the event; unset for events from the platform account
+  restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", index: true },
+  status: { type: String, enum: WEBHOOK_EVENT_STATUSES, default: 'processing', index: true },
+  objectId: { type: String, index: true }, // The Stripe object the event is about, e.g. a Checkout session or charge ID
+  payload: { type: mongoose.Schema.Types.Mixed }, // The event's `data.object` as Stripe sent it
+  attempts: { type: Number, default: 1 },
+  lastError: String,
+  processedAt: Date
+}, { timestamps: true });
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("WebhookEvent", webhookEventSchema);
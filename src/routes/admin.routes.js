@@ -7,8 +7,11 @@ import {
     verifyRestaurant,
     toggleRestaurantActiveStatus,
     getAllUsers, 
-    toggleUserActiveStatus 
+    toggleUserActiveStatus,
+    getWebhookEvents,
+    getWebhookEventDetails
 } from '../controllers/adminController.js';
+import { retryWebhookEvent } from '../controllers/webhookController.js';
 
 const router = express.Router();
 
@@ -25,5 +28,10 @@ router.patch('/restaurants/:restaurantId/toggle-active', toggleRestaurantActiveS
 router.get('/users', getAllUsers);
 router.patch('/users/:userId/toggle-active', toggleUserActiveStatus);
 
+// --- Stripe Webhook Event Log ---
+router.get('/webhook-events', getWebhookEvents);
+router.get('/webhook-events/:eventId', getWebhookEventDetails);
+router.post('/webhook-events/:eventId/retry', retryWebhookEvent);
+
 
 export default router;
\ No newline at end of file
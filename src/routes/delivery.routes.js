@@ -4,6 +4,7 @@ import {
     updateAvailabilityStatus, 
     getAssignedOrders,
     updateOrderStatusByPartner,
+    getMyEarnings,
 } from '../controllers/deliveryController.js';
 
 const router = express.Router();
@@ -15,6 +16,7 @@ router.use(validateDeliveryPartner);
 router.patch('/status', updateAvailabilityStatus);
 router.get('/orders', getAssignedOrders);
 router.patch('/orders/:orderId/update-status', updateOrderStatusByPartner);
+router.get('/earnings', getMyEarnings);
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,47 @@
+import express from 'express';
+import {
+    createGroupOrder,
+    joinGroupOrder,
+    getGroupOrder,
+    addGroupOrderItem,
+    updateGroupOrderItem,
+    leaveGroupOrder,
+    removeGroupOrderParticipant,
+    setGroupOrderLock,
+    cancelGroupOrder,
+    checkoutGroupOrder
+} from '../controllers/groupOrderController.js';
+import { validateUser } from '../middleware/validateUser.js';
+
+const router = express.Router();
+
+// Every participant, including the host, is a signed-in user.
+router.use(validateUser);
+
+// --- Participant Routes ---
+
+// POST /api/group-orders - Start a group order and get a join code
+router.post('/', createGroupOrder);
+
+// POST /api/group-orders/join - Join an open group order by its code
+router.post('/join', joinGroupOrder);
+
+// GET /api/group-orders/:groupOrderId - View the shared cart and per-person subtotals
+router.get('/:groupOrderId', getGroupOrder);
+
+// POST /api/group-orders/:groupOrderId/items - Add an item to your own lines
+router.post('/:groupOrderId/items', addGroupOrderItem);
+
+// PATCH /api/group-orders/:groupOrderId/items/:cartItemKey - Change the quantity of one of your lines (0 removes it)
+router.patch('/:groupOrderId/items/:cartItemKey', updateGroupOrderItem);
+
+// POST /api/group-orders/:groupOrderId/leave - Leave the group order
+router.post('/:groupOrderId/leave', leaveGroupOrder);
+
+// --- Host Routes ---
+router.patch('/:groupOrderId/lock', setGroupOrderLock);
+router.delete('/:groupOrderId/participants/:userId', removeGroupOrderParticipant);
+router.post('/:groupOrderId/checkout', checkoutGroupOrder);
+router.delete('/:groupOrderId', cancelGroupOrder);
+
+export default router;
@@ -2,18 +2,28 @@ import express from 'express';
 import {
     getUserOrders,
     getOrderDetails,
+    trackOrder,
+    getOrderInvoice,
+    addTipToOrder,
     cancelOrder,
+    editOrderByCustomer,
     placeCashOrder,
     getRestaurantOrders,
     getNewRestaurantOrders,
+    streamRestaurantOrderEvents,
     respondToOrder,
+    adjustOrderItems,
     updateOrderStatus,
     assignDeliveryPartner, // <-- Confirmed import
     getRestaurantStats,
     getRestaurantSalesReport,
     getRestaurantOrdersReport,
-    getMenuItemPerformance
+    getMenuItemPerformance,
+    getOrderLedgerExport,
+    getRestaurantSalesAnalytics
 } from '../controllers/orderController.js';
+import { addOrderReview, replyToOrderReview } from '../controllers/reviewController.js';
+import { reorderFromOrder } from '../controllers/cartController.js';
 import { validateUser } from '../middleware/validateUser.js';
 import { validateRestaurant } from '../middleware/validateRestaurant.js';
 
@@ -24,20 +34,32 @@ router.get('/restaurant/stats', validateRestaurant, getRestaurantStats);
 router.get('/restaurant/reports/sales', validateRestaurant, getRestaurantSalesReport);
 router.get('/restaurant/reports/orders', validateRestaurant, getRestaurantOrdersReport);
 router.get('/restaurant/reports/menu-performance', validateRestaurant, getMenuItemPerformance);
+router.get('/restaurant/reports/ledger', validateRestaurant, getOrderLedgerExport);
+router.get('/restaurant/reports/analytics', validateRestaurant, getRestaurantSalesAnalytics);
 router.get('/restaurant/new', validateRestaurant, getNewRestaurantOrders);
+router.get('/restaurant/stream', validateRestaurant, streamRestaurantOrderEvents);
 router.get('/restaurant', validateRestaurant, getRestaurantOrders);
 router.get('/restaurant/:orderId', validateRestaurant, getOrderDetails); 
+router.get('/restaurant/:orderId/invoice', validateRestaurant, getOrderInvoice);
 router.patch('/:orderId/respond', validateRestaurant, respondToOrder);
+router.patch('/:orderId/items', validateRestaurant, adjustOrderItems);
 router.patch('/:orderId/status', validateRestaurant, updateOrderStatus);
 // CONFIRMED ROUTE for assignment
 router.patch('/:orderId/assign-delivery', validateRestaurant, assignDeliveryPartner);
+router.patch('/:orderId/review/reply', validateRestaurant, replyToOrderReview);
 
 
 // --- Customer-Facing Routes (Protected by validateUser) ---
 router.post('/place-cash-order', validateUser, placeCashOrder); 
 router.get('/my-orders', validateUser, getUserOrders);
 router.get('/:orderId', validateUser, getOrderDetails); 
+router.get('/:orderId/invoice', validateUser, getOrderInvoice);
+router.get('/:orderId/track', validateUser, trackOrder);
 router.patch('/:orderId/cancel', validateUser, cancelOrder);
+router.patch('/:orderId/edit', validateUser, editOrderByCustomer);
+router.post('/:orderId/review', validateUser, addOrderReview);
+router.post('/:orderId/reorder', validateUser, reorderFromOrder);
+router.post('/:orderId/tip', validateUser, addTipToOrder);
 
 
 export default router;
\ No newline at end of file
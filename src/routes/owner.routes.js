@@ -5,7 +5,8 @@ import {
     createDeliveryPartner, 
     getDeliveryPartners, 
     deleteDeliveryPartner,
-    updateDeliveryPartner // <-- Import the new controller
+    updateDeliveryPartner, // <-- Import the new controller
+    getDeliveryPartnerReport
 } from '../controllers/ownerController.js';
 
 const router = express.Router();
@@ -16,6 +17,7 @@ router.use(validateRestaurant);
 // Delivery Partner Management
 router.post('/delivery-partners', createDeliveryPartner);
 router.get('/delivery-partners', getDeliveryPartners);
+router.get('/delivery-partners/report', getDeliveryPartnerReport);
 router.put('/delivery-partners/:partnerId', updateDeliveryPartner); // <-- Add Update Route
 router.delete('/delivery-partners/:partnerId', deleteDeliveryPartner);
 
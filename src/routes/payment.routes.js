@@ -2,9 +2,18 @@
 import express from "express";
 import { validateUser } from "../middleware/validateUser.js";
 import { createOrderCheckoutSession } from "../controllers/paymentController.js";
+import { getMockCheckoutSession, completeMockCheckoutSession, expireMockCheckoutSession } from "../controllers/webhookController.js";
+import config from "../config/env.js";
 
 const router = express.Router();
 
 router.post("/create-checkout-session", validateUser, createOrderCheckoutSession);
 
+// Stand-in for Stripe's hosted checkout page, only when running with the offline mock provider
+if (config.payments.provider === 'mock') {
+    router.get("/mock-checkout/:sessionId", getMockCheckoutSession);
+    router.post("/mock-checkout/:sessionId/complete", completeMockCheckoutSession);
+    router.post("/mock-checkout/:sessionId/expire", expireMockCheckoutSession);
+}
+
 export default router;
\ No newline at end of file
@@ -8,6 +8,7 @@ import {
     toggleRestaurantStatus
 } from '../controllers/restaurantController.js';
 import { getAvailableSlots } from '../controllers/bookingController.js';
+import { getRestaurantReviews } from '../controllers/reviewController.js';
 import { validateRestaurant } from '../middleware/validateRestaurant.js';
 
 const router = express.Router();
@@ -26,5 +27,6 @@ router.patch('/toggle-status', validateRestaurant, toggleRestaurantStatus);
 // Public route for ID lookups (Keep this last to avoid clashing with specific paths if they were public)
 router.get('/:id', getRestaurantById);
 router.get('/:restaurantId/availability', getAvailableSlots);
+router.get('/:id/reviews', getRestaurantReviews);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,42 @@
+import express from 'express';
+import {
+    openTicket,
+    getTickets,
+    getTicketDetails,
+    addTicketMessage,
+    offerResolution,
+    respondToOffer,
+    updateTicketStatusByCustomer,
+    resolveTicketByAdmin
+} from '../controllers/supportTicketController.js';
+import { validateUser } from '../middleware/validateUser.js';
+import { validateRestaurant } from '../middleware/validateRestaurant.js';
+import { validateSuperAdmin } from '../middleware/validateSuperAdmin.js';
+import { uploadMemory } from '../middleware/multer.middleware.js';
+
+const router = express.Router();
+
+// Up to 3 photos can be attached to a complaint or a message
+const uploadPhotos = uploadMemory.array('photos', 3);
+
+// --- Restaurant-Facing Routes (Protected by validateRestaurant) ---
+router.get('/restaurant/tickets', validateRestaurant, getTickets);
+router.get('/restaurant/tickets/:ticketId', validateRestaurant, getTicketDetails);
+router.post('/restaurant/tickets/:ticketId/messages', validateRestaurant, uploadPhotos, addTicketMessage);
+router.post('/restaurant/tickets/:ticketId/offer', validateRestaurant, offerResolution);
+
+// --- Admin Routes (Protected by validateSuperAdmin) ---
+router.get('/admin/tickets', validateSuperAdmin, getTickets);
+router.get('/admin/tickets/:ticketId', validateSuperAdmin, getTicketDetails);
+router.post('/admin/tickets/:ticketId/messages', validateSuperAdmin, uploadPhotos, addTicketMessage);
+router.patch('/admin/tickets/:ticketId/resolve', validateSuperAdmin, resolveTicketByAdmin);
+
+// --- Customer-Facing Routes (Protected by validateUser) ---
+router.post('/tickets', validateUser, uploadPhotos, openTicket);
+router.get('/tickets', validateUser, getTickets);
+router.get('/tickets/:ticketId', validateUser, getTicketDetails);
+router.post('/tickets/:ticketId/messages', validateUser, uploadPhotos, addTicketMessage);
+router.patch('/tickets/:ticketId/offer', validateUser, respondToOffer);
+router.patch('/tickets/:ticketId/status', validateUser, updateTicketStatusByCustomer);
+
+export default router;
@@ -2,7 +2,8 @@ import express from 'express';
 import { validateUser } from '../middleware/validateUser.js';
 import {
     getUserProfile,
-    updateUserProfile
+    updateUserProfile,
+    getStoreCredits
 } from '../controllers/userController.js';
 
 const router = express.Router();
@@ -12,5 +13,6 @@ router.use(validateUser);
 
 router.get('/profile', getUserProfile);
 router.put('/profile', updateUserProfile);
+router.get('/store-credit', getStoreCredits);
 
 export default router;
\ No newline at end of file
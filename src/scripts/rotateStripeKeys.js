@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import config from '../config/env.js';
+import Restaurant from '../models/Restaurant.js';
+import { encryptSecret, decryptSecret, getSecretKeyVersion } from '../utils/encryptionUtils.js';
+import logger from '../utils/logger.js';
+
+// Restaurant fields holding encrypted Stripe credentials
+const SECRET_FIELDS = ['stripeSecretKey', 'stripeWebhookSecret'];
+
+/**
+ * Re-encrypts every restaurant's Stripe secret key and webhook signing secret under the current master key,
+ * and encrypts any still stored in plaintext.
+ *
+ * To rotate: make the new key ENCRYPTION_MASTER_KEY with a higher ENCRYPTION_KEY_VERSION, move the old key
+ * into ENCRYPTION_PREVIOUS_KEYS, run `npm run rotate-stripe-keys`, then retire the old key.
+ * Pass --dry-run to report what would change without writing anything.
+ *
+ * Secrets changed by their owner while the script runs are left alone and counted as `changedMeanwhile`;
+ * they were written under the current key anyway.
+ */
+const rotateStripeKeys = async ({ dryRun = false } = {}) => {
+    const currentVersion = config.encryption.currentKeyVersion;
+    const summary = { reEncrypted: 0, alreadyCurrent: 0, changedMeanwhile: 0, failed: 0 };
+
+    // Lean, so the stored ciphertext is read rather than the decrypted key
+    const cursor = Restaurant.find({ $or: SECRET_FIELDS.map(field => ({ [field]: { $exists: true, $ne: null } })) })
+        .select(SECRET_FIELDS.map(field => `+${field}`).join(' '))
+        .lean()
+        .cursor();
+
+    for await (const restaurant of cursor) {
+        for (const field of SECRET_FIELDS) {
+            const storedValue = restaurant[field];
+            if (!storedValue) continue;
+            if (getSecretKeyVersion(storedValue) === currentVersion) {
+                summary.alreadyCurrent += 1;
+                continue;
+            }
+
+            try {
+                const reEncrypted = encryptSecret(decryptSecret(storedValue));
+                if (dryRun) {
+                    summary.reEncrypted += 1;
+                    continue;
+                }
+                // Straight through the driver: the model's setter would encrypt a plaintext filter value, so the
+                // filter could never match the stored value we read. Matching it means an owner's change made
+                // meanwhile is not overwritten.
+                const { modifiedCount } = await Restaurant.collection.updateOne(
+                    { _id: restaurant._id, [field]: storedValue },
+                    { $set: { [field]: reEncrypted } }
+                );
+                if (modifiedCount === 1) {
+                    summary.reEncrypted += 1;
+                } else {
+                    summary.changedMeanwhile += 1;
+                }
+            } catch (error) {
+                summary.failed += 1;
+                logger.error('Failed to re-encrypt Stripe secret', { restaurantId: restaurant._id, field, keyVersion: getSecretKeyVersion(storedValue), error: error.message });
+            }
+        }
+    }
+
+    return summary;
+};
+
+const run = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    await connectDB();
+    try {
+        const summary = await rotateStripeKeys({ dryRun });
+        logger.info(`Stripe key rotation ${dryRun ? '(dry run) ' : ''}finished`, { keyVersion: config.encryption.currentKeyVersion, ...summary });
+        process.exitCode = summary.failed > 0 ? 1 : 0;
+    } catch (error) {
+        logger.error('Stripe key rotation failed', { error: error.message });
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
@@ -1,5 +1,6 @@
 import nodemailer from 'nodemailer';
 import logger from './logger.js';
+import { formatMoney } from './localeUtils.js';
 import config from '../config/env.js';
 
 const transporter = nodemailer.createTransport({
@@ -10,6 +11,11 @@ const transporter = nodemailer.createTransport({
   }
 });
 
+// For text that customers or restaurants typed, so it cannot inject markup into an email
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
 export const sendOTPEmail = async (email, otp) => {
   const htmlContent = `
   <!DOCTYPE html>
@@ -153,4 +159,125 @@ export const sendRejectionEmail = async (email, restaurantName, reason) => {
     logger.error('Failed to send rejection email', { email, error: error.message });
     // We don't throw here to ensure the deletion process in the controller continues
   }
+};
+
+export const sendOrderItemsAdjustedEmail = async (email, { orderNumber, restaurantName, adjustments, reason, refundAmount, newTotal, currency, locale }) => {
+  const changeRows = adjustments.map(a => `
+        <li>${escapeHtml(a.itemName)}: ${a.newQuantity === 0 ? 'removed' : `quantity reduced from ${a.previousQuantity} to ${a.newQuantity}`}</li>`).join('');
+
+  const htmlContent = `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Your order has been updated</title>
+    <style>
+      body { font-family: Arial, sans-serif; padding: 20px; background-color: #f9f9f9; }
+      .container { max-width: 600px; margin: 0 auto; background: #fff; padding: 30px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+      h2 { color: #2c3e50; }
+      p, li { line-height: 1.5; color: #333; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <h2>Your order has been updated</h2>
+      <p>${escapeHtml(restaurantName)} has made changes to your order <strong>#${orderNumber}</strong>:</p>
+      <ul>${changeRows}
+      </ul>
+      ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+      <p><strong>New order total:</strong> ${formatMoney(newTotal, { currency, locale })}</p>
+      ${refundAmount > 0 ? `<p>A refund of <strong>${formatMoney(refundAmount, { currency, locale })}</strong> has been issued to your card. It may take a few days to appear.</p>` : ''}
+    </div>
+  </body>
+  </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.user,
+      to: email,
+      subject: `Your order #${orderNumber} has been updated`,
+      html: htmlContent,
+    });
+    logger.info(`Order update email sent to ${email}`);
+  } catch (error) {
+    logger.error('Failed to send order update email', { email, orderNumber, error: error.message });
+    // Not thrown: the order change has already been saved and refunded
+  }
+};
+
+export const sendOrderEscalationEmail = async (email, { restaurantName, orderNumber, minutesLeft }) => {
+  const htmlContent = `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Order awaiting acceptance</title>
+    <style>
+      body { font-family: Arial, sans-serif; padding: 20px; background-color: #f9f9f9; }
+      .container { max-width: 600px; margin: 0 auto; background: #fff; padding: 30px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+      h2 { color: #e67e22; }
+      p { line-height: 1.5; color: #333; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <h2>An order is waiting for you</h2>
+      <p>Dear ${restaurantName},</p>
+      <p>Order <strong>#${orderNumber}</strong> has not been accepted yet. It will be automatically rejected and refunded in about <strong>${minutesLeft} minute(s)</strong>.</p>
+      <p>Please check that your restaurant dashboard is open and respond to the order.</p>
+    </div>
+  </body>
+  </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.user,
+      to: email,
+      subject: `Action needed: order #${orderNumber} is awaiting acceptance`,
+      html: htmlContent,
+    });
+    logger.info(`Order escalation email sent to ${email}`);
+  } catch (error) {
+    logger.error('Failed to send order escalation email', { email, orderNumber, error: error.message });
+  }
+};
+
+export const sendOrderExpiredEmail = async (email, { orderNumber, restaurantName, refunded }) => {
+  const htmlContent = `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Your order could not be accepted</title>
+    <style>
+      body { font-family: Arial, sans-serif; padding: 20px; background-color: #f9f9f9; }
+      .container { max-width: 600px; margin: 0 auto; background: #fff; padding: 30px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+      h2 { color: #e74c3c; }
+      p { line-height: 1.5; color: #333; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <h2>Your order was not accepted</h2>
+      <p>Sorry, ${restaurantName} did not respond to your order <strong>#${orderNumber}</strong> in time, so it has been cancelled.</p>
+      ${refunded ? '<p>Your payment has been refunded in full. It may take a few days to appear on your statement.</p>' : ''}
+      <p>You are free to place a new order at any time.</p>
+    </div>
+  </body>
+  </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.user,
+      to: email,
+      subject: `Your order #${orderNumber} was cancelled`,
+      html: htmlContent,
+    });
+    logger.info(`Order expiry email sent to ${email}`);
+  } catch (error) {
+    logger.error('Failed to send order expiry email', { email, orderNumber, error: error.message });
+  }
 };
\ No newline at end of file
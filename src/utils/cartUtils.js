@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import mongoose from "mongoose";
+import MenuItem from '../models/MenuItem.js';
+
+export const MAX_SPECIAL_INSTRUCTIONS_LENGTH = 200;
+
+/**
+ * Removes the customer's applied promo code, e.g. when their cart changes restaurant or is checked out.
+ * Does not save the user.
+ * @param {object} user - The Mongoose user document.
+ * @param {string} [cartType] - Only clear a code applied to this cart.
+ */
+export const clearAppliedPromo = (user, cartType) => {
+    const appliedPromo = user.customerProfile?.appliedPromo;
+    if (appliedPromo?.code && (!cartType || appliedPromo.cartType === cartType)) {
+        user.customerProfile.appliedPromo = undefined;
+    }
+};
+
+/**
+ * Builds the key that identifies a cart line: the same item with the same options and instructions is one line.
+ * @param {{menuItemId: string, selectedVariant?: object, selectedAddons?: Array<object>, specialInstructions?: string}} itemData
+ * @returns {string}
+ */
+export const generateCartItemKey = ({ menuItemId, selectedVariant, selectedAddons, specialInstructions }) => {
+    const variantPart = selectedVariant?.variantId || 'novariant';
+    const addonsPart = (selectedAddons || [])
+        .map(a => a.addonId)
+        .sort()
+        .join('-');
+    const key = `${menuItemId}_${variantPart}_${addonsPart || 'noaddons'}`;
+    if (!specialInstructions) {
+        return key;
+    }
+    // "No onions" and "no  onions" are the same request
+    const normalisedInstructions = specialInstructions.trim().replace(/\s+/g, ' ').toLowerCase();
+    return `${key}_${crypto.createHash('sha1').update(normalisedInstructions).digest('hex').slice(0, 10)}`;
+};
+
+/**
+ * Validates the free-text instructions for a single cart line, e.g. "no onions".
+ * @param {string} [specialInstructions]
+ * @returns {string|undefined} The trimmed instructions, or undefined when there are none.
+ * @throws {{status: number, message: string}} When the instructions are not a string or are too long.
+ */
+export const normaliseSpecialInstructions = (specialInstructions) => {
+    if (specialInstructions === undefined || specialInstructions === null) {
+        return undefined;
+    }
+    if (typeof specialInstructions !== 'string') {
+        throw { status: 400, message: "specialInstructions must be text." };
+    }
+    const trimmed = specialInstructions.trim();
+    if (trimmed.length > MAX_SPECIAL_INSTRUCTIONS_LENGTH) {
+        throw { status: 400, message: `Special instructions can be at most ${MAX_SPECIAL_INSTRUCTIONS_LENGTH} characters.` };
+    }
+    return trimmed || undefined;
+};
+
+/**
+ * Validates a menu item selection (availability, quantity limits, variant and addons) before it is added to a cart.
+ * @throws {{status: number, message: string}} When the selection is not valid.
+ */
+export const getAndValidateMenuItemDetails = async (menuItemId, quantity, selectedVariant, selectedAddons, specialInstructions) => {
+    if (!mongoose.Types.ObjectId.isValid(menuItemId)) {
+        throw { status: 400, message: "Invalid Menu Item ID format." };
+    }
+    const menuItem = await MenuItem.findById(menuItemId).lean();
+    if (!menuItem) {
+        throw { status: 404, message: "Menu item not found." };
+    }
+    if (!menuItem.isAvailable) {
+        throw { status: 400, message: `${menuItem.itemName} is currently unavailable.`};
+    }
+
+    const minQty = menuItem.minimumQuantity || 1;
+    if (quantity < minQty) {
+        throw { status: 400, message: `The minimum required quantity for this item is ${minQty}.` };
+    }
+    if (menuItem.maximumQuantity && quantity > menuItem.maximumQuantity) {
+        throw { status: 400, message: `You can only add a maximum of ${menuItem.maximumQuantity} for this item.` };
+    }
+
+    const normalizedVariant = (selectedVariant && selectedVariant.groupId && selectedVariant.variantId) ? selectedVariant : null;
+    const normalizedAddons = selectedAddons || [];
+    const normalizedInstructions = normaliseSpecialInstructions(specialInstructions);
+
+    if (normalizedVariant) {
+        const group = menuItem.variantGroups.find(g => g.groupId === normalizedVariant.groupId);
+        if (!group || !group.variants.some(v => v.variantId === normalizedVariant.variantId)) {
+            throw { status: 400, message: "Invalid variant selected." };
+        }
+    }
+
+    if (normalizedAddons.length > 0) {
+        const addonMap = new Map();
+        menuItem.addonGroups.forEach(g => g.addons.forEach(a => addonMap.set(a.addonId, g.groupId)));
+        for (const selection of normalizedAddons) {
+            if (!addonMap.has(selection.addonId) || addonMap.get(selection.addonId) !== selection.groupId) {
+                throw { status: 400, message: `Invalid addon selected: ${selection.addonId}.` };
+            }
+        }
+    }
+
+    return {
+        menuItem,
+        cartField: menuItem.isFood ? 'foodCart' : 'groceriesCart',
+        restaurantId: menuItem.restaurantId.toString(),
+        itemData: { 
+            menuItemId, 
+            quantity, 
+            selectedVariant: normalizedVariant, 
+            selectedAddons: normalizedAddons,
+            ...(normalizedInstructions ? { specialInstructions: normalizedInstructions } : {})
+        },
+    };
+};
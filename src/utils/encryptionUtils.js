@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import config from '../config/env.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+// Stored as "enc:v<key version>:<iv>:<auth tag>:<ciphertext>", all base64
+const ENCRYPTED_PREFIX = 'enc:v';
+
+/**
+ * Whether a stored value is already encrypted, as opposed to legacy plaintext.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isEncryptedSecret = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * The master key version a stored secret was encrypted with, or null for plaintext.
+ * @param {string} value
+ * @returns {number|null}
+ */
+export const getSecretKeyVersion = (value) => {
+  if (!isEncryptedSecret(value)) return null;
+  return parseInt(value.slice(ENCRYPTED_PREFIX.length).split(':')[0], 10);
+};
+
+const getMasterKey = (version) => {
+  const key = config.encryption.keys[version];
+  if (!key) {
+    throw new Error(`Encryption key version ${version} is not configured.`);
+  }
+  return key;
+};
+
+/**
+ * Encrypts a secret with the current master key.
+ * @param {string} plaintext
+ * @returns {string} The tagged ciphertext to store.
+ */
+export const encryptSecret = (plaintext) => {
+  const version = config.encryption.currentKeyVersion;
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getMasterKey(version), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return `${ENCRYPTED_PREFIX}${version}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+};
+
+/**
+ * Decrypts a stored secret with whichever master key version it was encrypted under.
+ * Plaintext values written before encryption was introduced are returned unchanged.
+ * @param {string} value - The stored value.
+ * @returns {string}
+ */
+export const decryptSecret = (value) => {
+  if (!isEncryptedSecret(value)) return value;
+
+  const [versionPart, iv, authTag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const decipher = crypto.createDecipheriv(ALGORITHM, getMasterKey(parseInt(versionPart, 10)), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,126 @@
+import { getDistanceFromLatLonInMiles } from './locationUtils.js';
+import { TERMINAL_STATUSES } from './orderStatus.js';
+import config from '../config/env.js';
+
+const MINUTE = 60 * 1000;
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * MINUTE);
+
+const latest = (...dates) => new Date(Math.max(...dates.filter(Boolean).map(d => new Date(d).getTime())));
+
+const stampEta = (order, now) => {
+    order.eta.updatedAt = now;
+    return order;
+};
+
+/**
+ * Estimates how long a delivery takes to reach the customer, based on straight-line distance.
+ * @param {object} restaurant - The restaurant, with address coordinates.
+ * @param {object} deliveryAddress - The order's delivery address, with coordinates.
+ * @returns {number} Travel time in whole minutes (0 if either location is unknown).
+ */
+export const estimateTravelMinutes = (restaurant, deliveryAddress) => {
+    const restaurantCoords = restaurant?.address?.coordinates?.coordinates;
+    const customerCoords = deliveryAddress?.coordinates?.coordinates;
+    if (!restaurantCoords || !customerCoords) {
+        return 0;
+    }
+
+    const [restLon, restLat] = restaurantCoords;
+    const [userLon, userLat] = customerCoords;
+    const distance = getDistanceFromLatLonInMiles(restLat, restLon, userLat, userLon);
+    const { averageSpeedMph, minTravelMinutes } = config.eta;
+    return Math.max(minTravelMinutes, Math.ceil((distance / averageSpeedMph) * 60));
+};
+
+/**
+ * Sets the initial ETA on an order when the restaurant accepts it. Does not save the order.
+ * Scheduled orders are never estimated earlier than the slot the customer asked for.
+ * @param {object} order - The Mongoose order document.
+ * @param {object} restaurant - The restaurant, with its default prep time and address.
+ * @param {number} [prepTimeMinutes] - The owner's estimate; falls back to the restaurant default.
+ * @returns {object} The mutated order document.
+ */
+export const initialiseEta = (order, restaurant, prepTimeMinutes) => {
+    const now = new Date();
+    const prepMinutes = prepTimeMinutes ?? restaurant.defaultPrepTimeMinutes ?? config.eta.defaultPrepTimeMinutes;
+    const travelMinutes = order.orderType === 'delivery' ? estimateTravelMinutes(restaurant, order.deliveryAddress) : 0;
+
+    let estimatedReadyTime = addMinutes(now, prepMinutes);
+    if (order.orderType === 'pickup' && order.pickupTime) {
+        estimatedReadyTime = latest(estimatedReadyTime, order.pickupTime);
+    } else if (order.isScheduled && order.deliveryTime) {
+        estimatedReadyTime = latest(estimatedReadyTime, addMinutes(order.deliveryTime, -travelMinutes));
+    }
+
+    order.eta = {
+        prepTimeMinutes: prepMinutes,
+        travelTimeMinutes: travelMinutes,
+        estimatedReadyTime,
+        estimatedDeliveryTime: order.orderType === 'delivery' ? addMinutes(estimatedReadyTime, travelMinutes) : undefined,
+        updatedAt: now,
+    };
+    return order;
+};
+
+/**
+ * Moves an order's ETA on to reflect a status change. Does nothing for orders without an ETA.
+ * @param {object} order - The Mongoose order document.
+ * @param {string} status - The status the order has just moved to.
+ * @returns {object} The mutated order document.
+ */
+export const refreshEta = (order, status) => {
+    if (!order.eta?.estimatedReadyTime) {
+        return order;
+    }
+
+    const now = new Date();
+    const { travelTimeMinutes = 0 } = order.eta;
+    const isDelivery = order.orderType === 'delivery';
+
+    switch (status) {
+        case 'preparing':
+            // Running late: assume the food is nearly ready rather than showing a time in the past
+            order.eta.estimatedReadyTime = latest(order.eta.estimatedReadyTime, now);
+            break;
+        case 'ready':
+        case 'ready_for_collection':
+            order.eta.estimatedReadyTime = now;
+            break;
+        case 'picked_up':
+            if (isDelivery) order.eta.estimatedDeliveryTime = addMinutes(now, travelTimeMinutes);
+            return stampEta(order, now);
+        case 'out_for_delivery':
+            if (isDelivery) order.eta.estimatedDeliveryTime = latest(order.eta.estimatedDeliveryTime, now);
+            return stampEta(order, now);
+        default:
+            return order;
+    }
+
+    if (isDelivery) {
+        order.eta.estimatedDeliveryTime = latest(
+            addMinutes(order.eta.estimatedReadyTime, travelTimeMinutes),
+            order.isScheduled ? order.deliveryTime : null
+        );
+    }
+    return stampEta(order, now);
+};
+
+/**
+ * Summarises an order's ETA for customers, including how many minutes are left.
+ * @param {object} order - An order document or plain object.
+ * @returns {object|null} { estimatedReadyTime, estimatedDeliveryTime, minutesRemaining } or null if not yet estimated.
+ */
+export const getEtaSummary = (order) => {
+    if (!order.eta?.estimatedReadyTime) {
+        return null;
+    }
+
+    const { estimatedReadyTime, estimatedDeliveryTime } = order.eta;
+    const target = estimatedDeliveryTime || estimatedReadyTime;
+    const minutesRemaining = TERMINAL_STATUSES.includes(order.status)
+        ? 0
+        : Math.max(0, Math.ceil((new Date(target).getTime() - Date.now()) / MINUTE));
+
+    return { estimatedReadyTime, estimatedDeliveryTime: estimatedDeliveryTime || null, minutesRemaining };
+};
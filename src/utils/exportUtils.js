@@ -0,0 +1,82 @@
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+export const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    // Quote anything containing a delimiter, quote or newline, and neutralise spreadsheet formulas
+    const safeText = /^[=+\-@\t\r]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+    return /[",\r\n]/.test(safeText) ? `"${safeText.replace(/"/g, '""')}"` : safeText;
+};
+
+// Resolves true once the stream can take more, or false if it closed first (the client went away)
+const waitForDrain = (stream) => new Promise((resolve) => {
+    const settle = (drained) => () => {
+        stream.off('drain', onDrain);
+        stream.off('close', onClose);
+        stream.off('error', onClose);
+        resolve(drained);
+    };
+    const onDrain = settle(true);
+    const onClose = settle(false);
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+    stream.on('error', onClose);
+});
+
+// Writes a chunk, waiting out backpressure. Returns false if the stream is gone and the export should stop.
+const writeChunk = async (stream, chunk) => {
+    if (stream.destroyed) return false;
+    return stream.write(chunk) || waitForDrain(stream);
+};
+
+/**
+ * Streams tabular rows to an HTTP response as a CSV or XLSX download, one row at a time,
+ * so large exports never have to be held in memory.
+ * @param {object} res - The Express response.
+ * @param {object} options
+ * @param {string} options.format - 'csv' or 'xlsx'.
+ * @param {string} options.filename - Download name without extension.
+ * @param {Array<{header: string, key: string, width?: number}>} options.columns - Column definitions, in order.
+ * @param {AsyncIterable<object>|Iterable<object>} options.rows - Rows keyed by column key, e.g. a Mongoose cursor.
+ * It is closed early if the client disconnects mid-export.
+ * @param {function(object): object} [options.mapRow] - Converts each source document into a row.
+ */
+export const streamExport = async (res, { format, filename, columns, rows, mapRow = (row) => row }) => {
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    const abandon = async () => {
+        await rows.close?.();
+    };
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+        const worksheet = workbook.addWorksheet('Report');
+        worksheet.columns = columns.map(({ header, key, width = 18 }) => ({ header, key, width }));
+        for await (const source of rows) {
+            if (res.destroyed) return abandon();
+            worksheet.addRow(mapRow(source)).commit();
+        }
+        worksheet.commit();
+        await workbook.commit();
+        return;
+    }
+
+    if (!await writeChunk(res, `${columns.map(({ header }) => escapeCsvValue(header)).join(',')}\r\n`)) {
+        return abandon();
+    }
+    for await (const source of rows) {
+        const row = mapRow(source);
+        if (!await writeChunk(res, `${columns.map(({ key }) => escapeCsvValue(row[key])).join(',')}\r\n`)) {
+            return abandon();
+        }
+    }
+    res.end();
+};
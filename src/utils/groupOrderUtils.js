@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import GroupOrder from '../models/GroupOrder.js';
+
+// No 0/O or 1/I so codes can be read out over the phone
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export function generateJoinCode(length = 6) {
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Loads a group order and flattens every participant's lines into one cart that
+ * `validateCart` and `processOrderItems` accept, remembering who added each line.
+ * @param {string} groupOrderId
+ * @param {object} [options] - { session } to read inside a transaction.
+ * @returns {Promise<{groupOrder: object|null, cart: Array<object>, lineOwners: Array<string>}>}
+ */
+export async function loadGroupCart(groupOrderId, { session } = {}) {
+  const groupOrder = await GroupOrder.findById(groupOrderId)
+    .populate('participants.items.menuItemId')
+    .session(session || null)
+    .lean();
+  if (!groupOrder) {
+    return { groupOrder: null, cart: [], lineOwners: [] };
+  }
+
+  const cart = [];
+  const lineOwners = [];
+  groupOrder.participants.forEach(participant => {
+    participant.items.forEach(item => {
+      // Lines whose menu item has since been deleted are skipped
+      if (item.menuItemId) {
+        cart.push(item);
+        lineOwners.push(participant.userId);
+      }
+    });
+  });
+  return { groupOrder, cart, lineOwners };
+}
+
+/**
+ * Tags each processed order line with the participant who added it and splits the order total
+ * between participants in proportion to their items. Rounding is settled on the last participant.
+ * @param {object} groupOrder - The (lean) group order.
+ * @param {Array<object>} processedItems - Output of `processOrderItems`, in cart order.
+ * @param {Array<string>} lineOwners - Participant for each processed line, from `loadGroupCart`.
+ * @param {object} pricing - Output of `calculateOrderPricing`.
+ * @returns {{orderedItems: Array<object>, groupBreakdown: Array<object>}}
+ */
+export function buildGroupBreakdown(groupOrder, processedItems, lineOwners, pricing) {
+  const orderedItems = processedItems.map((item, index) => ({ ...item, participantId: lineOwners[index] }));
+
+  const contributors = groupOrder.participants
+    .map(participant => ({
+      userId: participant.userId,
+      name: participant.name,
+      itemsSubtotal: orderedItems
+        .filter(item => item.participantId.toString() === participant.userId.toString())
+        .reduce((sum, item) => sum + item.itemTotal, 0),
+    }))
+    .filter(participant => participant.itemsSubtotal > 0);
+
+  let allocated = 0;
+  const groupBreakdown = contributors.map((participant, index) => {
+    const isLast = index === contributors.length - 1;
+    const share = pricing.subtotal > 0 ? participant.itemsSubtotal / pricing.subtotal : 0;
+    const amountDue = isLast
+      ? Math.round((pricing.totalAmount - allocated) * 100) / 100
+      : Math.round(pricing.totalAmount * share * 100) / 100;
+    allocated += amountDue;
+    return { ...participant, itemsSubtotal: Math.round(participant.itemsSubtotal * 100) / 100, amountDue };
+  });
+
+  return { orderedItems, groupBreakdown };
+}
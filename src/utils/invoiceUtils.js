@@ -0,0 +1,183 @@
+import PDFDocument from 'pdfkit';
+import { formatMoney as formatLocalMoney, getLocaleSettings } from './localeUtils.js';
+
+const PAGE_MARGIN = 50;
+const COLUMNS = { description: 50, quantity: 330, unitPrice: 390, total: 470 };
+const COLUMN_WIDTH = 75;
+
+// The built-in PDF fonts only cover Latin-1 plus a few symbols such as €, so other currency symbols
+// (e.g. ₹) are printed as the currency code instead.
+const PDF_FONT_UNSUPPORTED = /[^\u0000-\u00ff\u20ac]/;
+
+const createMoneyFormatter = (settings) => (amount) => {
+    const formatted = formatLocalMoney(amount, settings).replace(/[\u00a0\u202f]/g, ' ');
+    return PDF_FONT_UNSUPPORTED.test(formatted)
+        ? formatLocalMoney(amount, { ...settings, currencyDisplay: 'code' }).replace(/[\u00a0\u202f]/g, ' ')
+        : formatted;
+};
+
+const createDateFormatter = (locale) => (date) => new Date(date).toLocaleDateString(locale, { day: '2-digit', month: 'short', year: 'numeric' });
+
+const formatAddress = (address = {}) => [
+    [address.shopNo, address.floor].filter(Boolean).join(', '),
+    address.area,
+    address.city,
+].filter(Boolean);
+
+const drawRow = (doc, { description, quantity = '', unitPrice = '', total = '' }, { bold = false, indent = 0 } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(description, COLUMNS.description + indent, y, { width: COLUMNS.quantity - COLUMNS.description - indent - 10 });
+    const rowBottom = doc.y;
+    doc.text(String(quantity), COLUMNS.quantity, y, { width: 50, align: 'right' });
+    doc.text(unitPrice, COLUMNS.unitPrice, y, { width: COLUMN_WIDTH, align: 'right' });
+    doc.text(total, COLUMNS.total, y, { width: COLUMN_WIDTH, align: 'right' });
+    doc.x = PAGE_MARGIN;
+    doc.y = Math.max(rowBottom, doc.y) + 4;
+};
+
+const drawTotalLine = (doc, label, value, { bold = false } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, COLUMNS.quantity - 60, y, { width: COLUMNS.total - COLUMNS.quantity + 50, align: 'right' });
+    doc.text(value, COLUMNS.total, y, { width: COLUMN_WIDTH, align: 'right' });
+    doc.x = PAGE_MARGIN;
+    doc.y += 4;
+};
+
+const drawDivider = (doc) => {
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).strokeColor('#cccccc').stroke();
+    doc.y += 8;
+};
+
+/**
+ * Renders a PDF invoice for an order and streams it to a writable stream (e.g. an Express response).
+ * The PDF is built locally with pdfkit; no external service is involved.
+ * @param {import('stream').Writable} stream - Where the PDF is written.
+ * @param {object} details
+ * @param {object} details.order - The order, with a billNumber.
+ * @param {object} details.restaurant - The restaurant issuing the invoice.
+ * @param {string} [details.vatNumber] - The restaurant's VAT registration number, if any.
+ */
+export const streamInvoicePdf = (stream, { order, restaurant, vatNumber }) => {
+    const { locale } = getLocaleSettings(restaurant);
+    const formatMoney = createMoneyFormatter({ currency: order.currency, locale });
+    const formatDate = createDateFormatter(locale);
+
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Invoice ${order.billNumber}` } });
+    doc.pipe(stream);
+
+    // --- Header: restaurant details ---
+    doc.font('Helvetica-Bold').fontSize(20).text(vatNumber ? 'VAT INVOICE' : 'RECEIPT', { align: 'right' });
+    doc.moveDown(0.5);
+    doc.fontSize(14).text(restaurant.restaurantName);
+    doc.font('Helvetica').fontSize(10);
+    formatAddress(restaurant.address).forEach(line => doc.text(line));
+    if (restaurant.phoneNumber) doc.text(`Tel: ${restaurant.phoneNumber}`);
+    if (restaurant.email) doc.text(restaurant.email);
+    if (vatNumber) doc.text(`VAT No: ${vatNumber}`);
+    doc.moveDown();
+
+    // --- Invoice and customer details ---
+    const detailsTop = doc.y;
+    doc.font('Helvetica-Bold').text('Bill to');
+    doc.font('Helvetica');
+    if (order.customerDetails?.name) doc.text(order.customerDetails.name);
+    if (order.customerDetails?.phoneNumber) doc.text(order.customerDetails.phoneNumber);
+    if (order.orderType === 'delivery' && order.deliveryAddress?.fullAddress) {
+        doc.text(order.deliveryAddress.fullAddress, { width: 250 });
+    }
+    const customerBottom = doc.y;
+
+    doc.y = detailsTop;
+    [
+        ['Invoice No', order.billNumber],
+        ['Order No', order.orderNumber],
+        ['Order Date', formatDate(order.createdAt)],
+        ['Order Type', order.orderType],
+        ['Payment', `${order.paymentType} (${order.paymentStatus})`],
+    ].forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font('Helvetica-Bold').text(`${label}:`, 330, y, { width: 80 });
+        doc.font('Helvetica').text(value, 410, y, { width: 135, align: 'right' });
+    });
+    doc.x = PAGE_MARGIN;
+    doc.y = Math.max(customerBottom, doc.y) + 20;
+
+    // --- Itemised lines ---
+    drawRow(doc, { description: 'Item', quantity: 'Qty', unitPrice: 'Unit', total: 'Amount' }, { bold: true });
+    drawDivider(doc);
+
+    order.orderedItems.forEach(item => {
+        const unitPrice = item.quantity ? item.itemTotal / item.quantity : 0;
+        drawRow(doc, {
+            description: item.itemName,
+            quantity: item.quantity,
+            unitPrice: formatMoney(unitPrice),
+            total: formatMoney(item.itemTotal),
+        });
+        doc.fontSize(8).fillColor('#555555');
+        drawRow(doc, { description: 'Base price', unitPrice: formatMoney(item.basePrice) }, { indent: 12 });
+        (item.selectedVariants || []).forEach(variant => {
+            drawRow(doc, { description: `+ ${variant.variantName}`, unitPrice: formatMoney(variant.additionalPrice) }, { indent: 12 });
+        });
+        (item.selectedAddons || []).forEach(addon => {
+            drawRow(doc, { description: `+ ${addon.optionTitle}`, unitPrice: formatMoney(addon.price) }, { indent: 12 });
+        });
+        if (order.pricing?.vat?.registered && item.vatRate !== undefined) {
+            drawRow(doc, { description: `VAT ${item.vatRate}% included`, total: formatMoney(item.vatAmount) }, { indent: 12 });
+        }
+        doc.fontSize(10).fillColor('#000000');
+    });
+    drawDivider(doc);
+
+    // --- Totals ---
+    const { pricing = {}, appliedOffer } = order;
+    drawTotalLine(doc, 'Subtotal', formatMoney(pricing.subtotal));
+    if (pricing.handlingCharge) {
+        drawTotalLine(doc, 'Handling charge', formatMoney(pricing.handlingCharge));
+    }
+    if (order.orderType === 'delivery') {
+        // A free-delivery offer is shown as the fee and then the matching discount
+        const waivedFee = appliedOffer?.discountType === 'FREE_DELIVERY' ? pricing.discountAmount : 0;
+        drawTotalLine(doc, 'Delivery fee', formatMoney(pricing.deliveryFee + waivedFee));
+    }
+    if (pricing.tipAmount && !order.tipAddedAt) {
+        drawTotalLine(doc, 'Rider tip', formatMoney(pricing.tipAmount));
+    }
+    if (pricing.discountAmount) {
+        const offerLabel = appliedOffer?.promoCode ? `Discount (${appliedOffer.promoCode})` : 'Discount';
+        drawTotalLine(doc, offerLabel, `-${formatMoney(pricing.discountAmount)}`);
+    }
+    // Item adjustments already reduce totalAmount, so refunds are not subtracted again here
+    drawTotalLine(doc, 'Total', formatMoney(pricing.totalAmount), { bold: true });
+    // Store credit pays for the order rather than discounting it, so VAT stays on the full total
+    if (pricing.storeCreditAmount) {
+        drawTotalLine(doc, 'Paid with store credit', `-${formatMoney(pricing.storeCreditAmount)}`);
+        const amountDue = pricing.totalAmount - pricing.storeCreditAmount;
+        if (amountDue > 0) {
+            drawTotalLine(doc, order.paymentType === 'card' ? 'Paid by card' : 'Paid in cash', formatMoney(amountDue));
+        }
+    }
+    // A tip given after delivery went straight to the rider and is not part of what was billed
+    if (pricing.tipAmount && order.tipAddedAt) {
+        drawTotalLine(doc, 'Rider tip (after delivery, not included)', formatMoney(pricing.tipAmount));
+    }
+
+    // --- VAT summary (prices include VAT) ---
+    if (pricing.vat?.registered) {
+        doc.moveDown(0.5);
+        doc.fontSize(8).fillColor('#555555');
+        pricing.vat.breakdown.forEach(({ rate, netAmount, vatAmount }) => {
+            drawTotalLine(doc, `VAT @ ${rate}% on ${formatMoney(netAmount)}`, formatMoney(vatAmount));
+        });
+        drawTotalLine(doc, 'Total VAT included', formatMoney(pricing.vat.totalVat), { bold: true });
+        doc.fontSize(10).fillColor('#000000');
+    }
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text('Thank you for your order.', PAGE_MARGIN, doc.y, { align: 'center', width: doc.page.width - PAGE_MARGIN * 2 });
+
+    doc.end();
+};
@@ -0,0 +1,156 @@
+// Currencies a restaurant can trade in, with the number of decimal places Stripe expects for each and the
+// largest rider tip accepted in it (roughly the same value in each).
+export const SUPPORTED_CURRENCIES = Object.freeze({
+  gbp: { minorUnits: 2, maxTip: 50 },
+  eur: { minorUnits: 2, maxTip: 60 },
+  usd: { minorUnits: 2, maxTip: 65 },
+  cad: { minorUnits: 2, maxTip: 90 },
+  aud: { minorUnits: 2, maxTip: 100 },
+  inr: { minorUnits: 2, maxTip: 5000 },
+  aed: { minorUnits: 2, maxTip: 250 },
+  jpy: { minorUnits: 0, maxTip: 10000 }
+});
+
+// Local and international formats accepted for a restaurant's phone number, matched after removing spaces,
+// hyphens and brackets.
+export const PHONE_NUMBER_FORMATS = Object.freeze({
+  GB: /^(\+44|0)\d{10}$/,
+  IE: /^(\+353|0)\d{7,9}$/,
+  US: /^(\+?1)?[2-9]\d{2}[2-9]\d{6}$/,
+  CA: /^(\+?1)?[2-9]\d{2}[2-9]\d{6}$/,
+  AU: /^(\+61|0)[2-478]\d{8}$/,
+  IN: /^(\+91|0)?[6-9]\d{9}$/,
+  AE: /^(\+971|0)(5\d|[2-4679])\d{7}$/,
+  FR: /^(\+33|0)[1-9]\d{8}$/,
+  DE: /^(\+49|0)[1-9]\d{6,13}$/
+});
+
+export const DEFAULT_LOCALE_SETTINGS = Object.freeze({
+  currency: 'gbp',
+  locale: 'en-GB',
+  phoneRegion: 'GB',
+  timeZone: 'Europe/London'
+});
+
+/**
+ * A restaurant's locale settings, with defaults for anything it has not configured.
+ * @param {object} [restaurant] - The restaurant, or a populated `restaurantId`.
+ * @returns {{currency: string, locale: string, phoneRegion: string, timeZone: string}}
+ */
+export const getLocaleSettings = (restaurant) => ({
+  ...DEFAULT_LOCALE_SETTINGS,
+  ...Object.fromEntries(Object.entries(restaurant?.localeSettings || {}).filter(([, value]) => value))
+});
+
+const minorUnitsFor = (currency = DEFAULT_LOCALE_SETTINGS.currency) =>
+  SUPPORTED_CURRENCIES[currency.toLowerCase()]?.minorUnits ?? 2;
+
+/**
+ * Converts an amount in major units (e.g. pounds) to the smallest unit Stripe charges in (e.g. pence).
+ * @param {number} amount
+ * @param {string} [currency] - ISO currency code, defaults to GBP.
+ * @returns {number}
+ */
+export const toMinorUnits = (amount, currency) => Math.round(amount * 10 ** minorUnitsFor(currency));
+
+/**
+ * Converts an amount from Stripe's smallest currency unit back to major units.
+ * @param {number} amount
+ * @param {string} [currency] - ISO currency code, defaults to GBP.
+ * @returns {number}
+ */
+export const fromMinorUnits = (amount, currency) => amount / 10 ** minorUnitsFor(currency);
+
+/**
+ * The largest rider tip accepted in a currency.
+ * @param {string} [currency] - ISO currency code, defaults to GBP.
+ * @returns {number} Amount in major units.
+ */
+export const getMaxTipAmount = (currency = DEFAULT_LOCALE_SETTINGS.currency) =>
+  SUPPORTED_CURRENCIES[currency.toLowerCase()]?.maxTip ?? SUPPORTED_CURRENCIES[DEFAULT_LOCALE_SETTINGS.currency].maxTip;
+
+/**
+ * Formats an amount for display in a restaurant's currency and locale, e.g. "£12.50" or "12,50 €".
+ * @param {number} amount - Amount in major units.
+ * @param {object} [settings] - { currency, locale }, e.g. from `getLocaleSettings`, and optionally
+ * `currencyDisplay: 'code'` to print "GBP 12.50" instead of a symbol.
+ * @returns {string}
+ */
+export const formatMoney = (amount, { currency, locale, currencyDisplay = 'symbol' } = {}) => {
+  const code = (currency || DEFAULT_LOCALE_SETTINGS.currency).toUpperCase();
+  return new Intl.NumberFormat(locale || DEFAULT_LOCALE_SETTINGS.locale, { style: 'currency', currency: code, currencyDisplay })
+    .format(Number(amount) || 0);
+};
+
+/**
+ * Checks a phone number against the formats accepted for a region.
+ * @param {string} phoneNumber
+ * @param {string} [region] - ISO country code, defaults to GB.
+ * @returns {boolean}
+ */
+export const isValidPhoneNumber = (phoneNumber, region = DEFAULT_LOCALE_SETTINGS.phoneRegion) => {
+  const format = Object.hasOwn(PHONE_NUMBER_FORMATS, region) && PHONE_NUMBER_FORMATS[region];
+  return Boolean(format) && typeof phoneNumber === 'string' && format.test(phoneNumber.replace(/[\s\-()]/g, ''));
+};
+
+const isValidLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Checks whether a string is an IANA timezone name the runtime understands, e.g. 'Europe/London'.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validates a restaurant's locale settings update.
+ * @param {object} localeSettings - Any of { currency, locale, phoneRegion, timeZone }.
+ * @returns {{error: string|null, updates?: object}} The validated fields, keyed for a `$set` on the restaurant.
+ */
+export const validateLocaleSettings = (localeSettings) => {
+  if (typeof localeSettings !== 'object' || localeSettings === null || Array.isArray(localeSettings)) {
+    return { error: "localeSettings must be an object." };
+  }
+  const updates = {};
+  for (const [field, value] of Object.entries(localeSettings)) {
+    if (field === 'currency') {
+      const currency = typeof value === 'string' ? value.toLowerCase() : value;
+      if (!Object.hasOwn(SUPPORTED_CURRENCIES, currency)) {
+        return { error: `localeSettings.currency must be one of: ${Object.keys(SUPPORTED_CURRENCIES).join(', ')}.` };
+      }
+      updates['localeSettings.currency'] = currency;
+    } else if (field === 'locale') {
+      if (typeof value !== 'string' || !isValidLocale(value)) {
+        return { error: "localeSettings.locale must be a valid locale tag, e.g. 'en-GB'." };
+      }
+      updates['localeSettings.locale'] = Intl.getCanonicalLocales(value)[0];
+    } else if (field === 'phoneRegion') {
+      const region = typeof value === 'string' ? value.toUpperCase() : value;
+      if (!Object.hasOwn(PHONE_NUMBER_FORMATS, region)) {
+        return { error: `localeSettings.phoneRegion must be one of: ${Object.keys(PHONE_NUMBER_FORMATS).join(', ')}.` };
+      }
+      updates['localeSettings.phoneRegion'] = region;
+    } else if (field === 'timeZone') {
+      if (typeof value !== 'string' || !isValidTimeZone(value)) {
+        return { error: "localeSettings.timeZone must be a valid IANA timezone, e.g. 'Europe/London'." };
+      }
+      updates['localeSettings.timeZone'] = value;
+    } else {
+      return { error: `Unknown locale setting: ${field}.` };
+    }
+  }
+  return { error: null, updates };
+};
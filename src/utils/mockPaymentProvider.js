@@ -0,0 +1,175 @@
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import config from "../config/env.js";
+import { toMinorUnits, fromMinorUnits } from "./localeUtils.js";
+
+// Checkout sessions are kept in memory, so they only last as long as the process.
+const sessions = new Map();
+
+// Errors carry a statusCode like Stripe's do, so callers can treat both providers alike
+const mockError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const findSession = (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) throw mockError(404, `No such mock checkout session: '${sessionId}'.`);
+    return session;
+};
+
+// Stripe only stores metadata as strings and drops empty values
+const toStripeMetadata = (metadata = {}) => Object.fromEntries(
+    Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined).map(([key, value]) => [key, String(value)])
+);
+
+// The session as Stripe would send it in a webhook event
+const toStripeSession = (session) => ({
+    id: session.id,
+    object: 'checkout.session',
+    status: session.status,
+    payment_status: session.paymentStatus,
+    payment_intent: session.paymentIntentId,
+    amount_total: toMinorUnits(session.amountTotal, session.currency),
+    currency: session.currency,
+    customer_email: session.customerEmail,
+    metadata: session.metadata,
+});
+
+const toStripeEvent = (type, object) => ({
+    id: `evt_mock_${uuidv4()}`,
+    object: 'event',
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object },
+});
+
+const refundSession = async (sessionId, amount, { idempotencyKey } = {}) => {
+    const session = findSession(sessionId);
+    if (session.paymentStatus !== 'paid') {
+        return null;
+    }
+    // Like Stripe, a repeated key gets the original refund back instead of a second one
+    const previous = idempotencyKey && session.refunds.find(refund => refund.idempotencyKey === idempotencyKey);
+    if (previous) {
+        return { id: previous.id, amount: previous.amount };
+    }
+
+    const refundable = toMinorUnits(session.amountTotal, session.currency) - toMinorUnits(session.amountRefunded, session.currency);
+    const refundNow = amount === undefined ? refundable : toMinorUnits(amount, session.currency);
+    if (refundable <= 0) throw mockError(400, `Checkout session ${sessionId} has already been refunded.`);
+    if (refundNow <= 0 || refundNow > refundable) throw mockError(400, `Refund amount must be between 0 and ${fromMinorUnits(refundable, session.currency)}.`);
+
+    const refund = { id: `re_mock_${uuidv4()}`, amount: fromMinorUnits(refundNow, session.currency), idempotencyKey, createdAt: new Date() };
+    session.refunds.push(refund);
+    session.amountRefunded = fromMinorUnits(toMinorUnits(session.amountRefunded, session.currency) + refundNow, session.currency);
+    return { id: refund.id, amount: refund.amount };
+};
+
+/**
+ * Signs a webhook payload the way the mock provider's `verifyWebhook` expects, for tests that post
+ * events to the webhook endpoints.
+ * @param {string|Buffer} payload - The raw request body.
+ * @param {string} signingSecret - The endpoint's signing secret.
+ * @returns {string} The value to send as the `stripe-signature` header.
+ */
+export const signMockWebhookPayload = (payload, signingSecret) =>
+    crypto.createHmac('sha256', signingSecret).update(payload).digest('hex');
+
+/**
+ * An offline stand-in for Stripe (PAYMENT_PROVIDER=mock). Checkout URLs point at this server's
+ * /api/payment/mock-checkout routes, where a checkout can be completed or expired by hand. Unlike Stripe,
+ * refunds and checkouts the app expires itself do not produce webhook events.
+ * @type {import('./paymentProvider.js').PaymentProvider}
+ */
+export const mockPaymentProvider = {
+    name: 'mock',
+
+    createCheckout: async ({ currency, lineItems, discount, successUrl, cancelUrl, customerEmail, metadata }) => {
+        const id = `cs_mock_${uuidv4()}`;
+        const subtotal = lineItems.reduce((sum, line) => sum + toMinorUnits(line.amount, currency) * (line.quantity || 1), 0);
+        sessions.set(id, {
+            id,
+            status: 'open',
+            paymentStatus: 'unpaid',
+            paymentIntentId: null,
+            currency,
+            lineItems,
+            discount: discount || null,
+            amountTotal: fromMinorUnits(Math.max(0, subtotal - toMinorUnits(discount?.amount || 0, currency)), currency),
+            amountRefunded: 0,
+            refunds: [],
+            successUrl,
+            cancelUrl,
+            customerEmail,
+            metadata: toStripeMetadata(metadata),
+            createdAt: new Date(),
+        });
+        return { id, url: `${config.payments.mockCheckoutBaseUrl}/${id}` };
+    },
+
+    retrieveCheckout: async (sessionId) => {
+        const { id, status, paymentStatus, paymentIntentId, currency, amountTotal, amountRefunded, metadata } = findSession(sessionId);
+        return { id, status, paymentStatus, paymentIntentId, currency, amountTotal, amountRefunded, metadata: { ...metadata } };
+    },
+
+    expireCheckout: async (sessionId) => {
+        expireMockCheckout(sessionId);
+    },
+
+    refund: (sessionId, options) => refundSession(sessionId, undefined, options),
+
+    partialRefund: (sessionId, amount, options) => refundSession(sessionId, amount, options),
+
+    verifyWebhook: (rawBody, signature, signingSecret) => {
+        const expected = Buffer.from(signMockWebhookPayload(rawBody, signingSecret));
+        const received = Buffer.from(String(signature || ''));
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            throw new Error('No signatures found matching the expected signature for payload.');
+        }
+        return JSON.parse(rawBody.toString('utf8'));
+    },
+};
+
+/**
+ * A mock checkout session with its line items and refunds, for the mock checkout page.
+ * @param {string} sessionId
+ * @returns {object}
+ */
+export const getMockCheckout = (sessionId) => {
+    const session = findSession(sessionId);
+    return { ...session, metadata: { ...session.metadata }, refunds: [...session.refunds] };
+};
+
+/**
+ * Simulates the customer paying for a mock checkout.
+ * @param {string} sessionId
+ * @returns {{event: object, redirectUrl: string}} The `checkout.session.completed` event Stripe would send,
+ * and where Checkout would send the customer next.
+ */
+export const completeMockCheckout = (sessionId) => {
+    const session = findSession(sessionId);
+    if (session.status !== 'open') throw mockError(409, `This checkout session is already ${session.status}.`);
+
+    session.status = 'complete';
+    session.paymentStatus = 'paid';
+    session.paymentIntentId = `pi_mock_${uuidv4()}`;
+    return {
+        event: toStripeEvent('checkout.session.completed', toStripeSession(session)),
+        redirectUrl: session.successUrl?.replace('{CHECKOUT_SESSION_ID}', session.id),
+    };
+};
+
+/**
+ * Simulates a mock checkout being abandoned until it expires.
+ * @param {string} sessionId
+ * @returns {{event: object, redirectUrl: string}} The `checkout.session.expired` event Stripe would send,
+ * and the checkout's cancel URL.
+ */
+export const expireMockCheckout = (sessionId) => {
+    const session = findSession(sessionId);
+    if (session.status !== 'open') throw mockError(409, `This checkout session is already ${session.status}.`);
+
+    session.status = 'expired';
+    return {
+        event: toStripeEvent('checkout.session.expired', toStripeSession(session)),
+        redirectUrl: session.cancelUrl,
+    };
+};
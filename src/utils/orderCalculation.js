@@ -1,5 +1,52 @@
+import mongoose from 'mongoose';
 import MenuItem from '../models/MenuItem.js';
+import Table from '../models/Table.js';
+import Announcement from '../models/Announcements.js';
 import { getDistanceFromLatLonInMiles } from './locationUtils.js';
+import { calculateVat } from './vatUtils.js';
+import { getLocaleSettings, getMaxTipAmount, toMinorUnits, fromMinorUnits } from './localeUtils.js';
+import { validateScheduledTime, buildScheduleFields } from './timingUtils.js';
+
+export const ORDER_TYPES = ['delivery', 'pickup', 'dine-in'];
+
+/**
+ * Validates an optional rider tip. Tips only apply to delivery orders.
+ * @param {number|string} [tip] - The tip from the request, in the restaurant's currency.
+ * @param {string} [orderType='delivery'] - The order's fulfilment type.
+ * @param {string} [currency] - The restaurant's currency, which sets the largest tip accepted.
+ * @returns {{error: string|null, tipAmount?: number}}
+ */
+export const resolveTip = (tip, orderType = 'delivery', currency) => {
+    if (tip === undefined || tip === null || tip === '' || Number(tip) === 0) {
+        return { error: null, tipAmount: 0 };
+    }
+    const tipAmount = Number(tip);
+    if (orderType !== 'delivery') {
+        return { error: "Tips can only be added to delivery orders." };
+    }
+    const maxTip = getMaxTipAmount(currency);
+    if (!Number.isFinite(tipAmount) || tipAmount < 0 || tipAmount > maxTip) {
+        return { error: `Tip must be between 0 and ${maxTip}.` };
+    }
+    return { error: null, tipAmount: fromMinorUnits(toMinorUnits(tipAmount, currency), currency) };
+};
+
+/**
+ * Validates the order-level handling preferences chosen at checkout.
+ * @param {object} [preferences] - { noCutlery, leaveAtDoor } from the request.
+ * @param {string} [orderType='delivery'] - The order's fulfilment type.
+ * @returns {{error: string|null, preferences?: {noCutlery: boolean, leaveAtDoor: boolean}}}
+ */
+export const resolveOrderPreferences = (preferences, orderType = 'delivery') => {
+    const { noCutlery = false, leaveAtDoor = false } = preferences || {};
+    if (typeof noCutlery !== 'boolean' || typeof leaveAtDoor !== 'boolean') {
+        return { error: "preferences.noCutlery and preferences.leaveAtDoor must be true or false." };
+    }
+    if (leaveAtDoor && orderType !== 'delivery') {
+        return { error: "Only delivery orders can be left at the door." };
+    }
+    return { error: null, preferences: { noCutlery, leaveAtDoor } };
+};
 
 export const validateCart = (cart) => {
     if (!cart || cart.length === 0) {
@@ -57,6 +104,9 @@ export const processOrderItems = async (cart) => {
             selectedVariants: variantsDetails,
             selectedAddons: addonsDetails,
             itemTotal: lineItemSubtotalBeforeQuantity * quantity,
+            vatRateCode: menuItem.vatRate || undefined, // Falls back to the restaurant's food or grocery rate
+            isFood: menuItem.isFood,
+            ...(cartItem.specialInstructions ? { specialInstructions: cartItem.specialInstructions } : {}),
         };
     });
 };
@@ -73,24 +123,85 @@ export const calculateDeliveryFee = (lat1, lon1, lat2, lon2, settings) => {
     return Math.round(chargeableDistance * settings.chargePerMile * 100) / 100;
 };
 
-export const calculateOrderPricing = (processedItems, deliveryFee, restaurant, offerDetails = null) => {
+/**
+ * Validates how an order will be fulfilled and works out the delivery fee for it.
+ * Delivery orders need an in-range address, pickup orders a pickup time within opening hours and dine-in
+ * orders an active table. Pickup orders are scheduled for their pickup time, so they reach the restaurant's
+ * queue at the same lead time before it as any other scheduled order.
+ * @param {object} details - { orderType, deliveryAddress, pickupTime, tableId } from the request.
+ * @param {object} restaurant - The restaurant the order is placed with.
+ * @param {object} [options] - { enforceFutureTimes } set to false when re-validating an already paid order.
+ * @returns {Promise<{error: string|null, deliveryFee?: number, fulfilment?: object}>}
+ */
+export const resolveFulfilment = async ({ orderType = 'delivery', deliveryAddress, pickupTime, tableId }, restaurant, { enforceFutureTimes = true } = {}) => {
+    if (!ORDER_TYPES.includes(orderType)) {
+        return { error: `orderType must be one of: ${ORDER_TYPES.join(', ')}.` };
+    }
+
+    if (orderType === 'delivery') {
+        if (!deliveryAddress?.coordinates?.coordinates) {
+            return { error: "A valid delivery address with coordinates is required for delivery orders." };
+        }
+        const [restLon, restLat] = restaurant.address.coordinates.coordinates;
+        const [userLon, userLat] = deliveryAddress.coordinates.coordinates;
+        const deliveryFee = calculateDeliveryFee(restLat, restLon, userLat, userLon, restaurant.deliverySettings);
+        if (deliveryFee === -1) {
+            return { error: "Delivery address is out of the restaurant's range." };
+        }
+        return { error: null, deliveryFee, fulfilment: { orderType, deliveryAddress } };
+    }
+
+    if (orderType === 'pickup') {
+        const parsedPickupTime = new Date(pickupTime);
+        if (!pickupTime || isNaN(parsedPickupTime.getTime())) {
+            return { error: "A valid pickupTime is required for pickup orders." };
+        }
+        if (!enforceFutureTimes) {
+            return { error: null, deliveryFee: 0, fulfilment: { orderType, pickupTime: parsedPickupTime, ...buildScheduleFields(parsedPickupTime) } };
+        }
+        const { error: pickupError, schedule } = await validateScheduledTime(restaurant, pickupTime, { requireLeadTime: false });
+        if (pickupError) {
+            return { error: `Pickup time: ${pickupError}` };
+        }
+        return { error: null, deliveryFee: 0, fulfilment: { orderType, pickupTime: schedule.deliveryTime, ...schedule } };
+    }
+
+    // dine-in
+    if (!restaurant.acceptsDining) {
+        return { error: "This restaurant does not accept dine-in orders." };
+    }
+    if (!mongoose.Types.ObjectId.isValid(tableId)) {
+        return { error: "A valid tableId is required for dine-in orders." };
+    }
+    const table = await Table.findOne({ _id: tableId, restaurantId: restaurant._id, isActive: true }).lean();
+    if (!table) {
+        return { error: "The selected table was not found or is not in service." };
+    }
+    return { error: null, deliveryFee: 0, fulfilment: { orderType, tableId: table._id } };
+};
+
+export const calculateOrderPricing = (processedItems, deliveryFee, restaurant, offerDetails = null, tipAmount = 0) => {
     const subtotal = processedItems.reduce((acc, item) => acc + item.itemTotal, 0);
     const handlingCharge = subtotal * (restaurant.handlingChargesPercentage / 100);
     let discountAmount = 0;
     let finalDeliveryFee = deliveryFee;
+    let discountsItems = false;
 
     if (offerDetails && subtotal >= offerDetails.minOrderValue) {
         switch (offerDetails.discountType) {
             case 'PERCENTAGE':
+                discountsItems = true;
                 discountAmount = subtotal * (offerDetails.discountValue / 100);
                 if (offerDetails.maxDiscountAmount && discountAmount > offerDetails.maxDiscountAmount) {
                     discountAmount = offerDetails.maxDiscountAmount;
                 }
                 break;
             case 'FLAT':
+                discountsItems = true;
                 discountAmount = offerDetails.discountValue;
                 break;
             case 'FREE_DELIVERY':
+                // Reported as the discount, but already taken off by waiving the fee
                 discountAmount = deliveryFee;
                 finalDeliveryFee = 0;
                 break;
@@ -101,16 +212,25 @@ export const calculateOrderPricing = (processedItems, deliveryFee, restaurant, o
     if (discountAmount > subtotal + handlingCharge) {
         discountAmount = subtotal + handlingCharge;
     }
-    
-    const totalAmount = subtotal + handlingCharge + finalDeliveryFee - discountAmount;
 
     const pricing = { 
         subtotal: Math.round(subtotal * 100) / 100,
         deliveryFee: Math.round(finalDeliveryFee * 100) / 100,
         handlingCharge: Math.round(handlingCharge * 100) / 100, 
         discountAmount: Math.round(discountAmount * 100) / 100,
-        totalAmount: Math.round(totalAmount * 100) / 100 
+        tipAmount: Math.round(tipAmount * 100) / 100
     };
+    // Built from the rounded parts so receipts and Stripe line items add up to exactly the total.
+    // The tip goes to the rider in full, so discounts never reduce it.
+    const itemDiscount = discountsItems ? pricing.discountAmount : 0;
+    pricing.totalAmount = Math.round((pricing.subtotal + pricing.handlingCharge + pricing.deliveryFee - itemDiscount + pricing.tipAmount) * 100) / 100;
+
+    // Prices are VAT-inclusive, so VAT is reported but never added on top. Tips are outside the scope of VAT.
+    pricing.vat = calculateVat(processedItems, {
+        handlingCharge: pricing.handlingCharge,
+        deliveryFee: pricing.deliveryFee,
+        itemDiscount
+    }, restaurant.vatSettings);
     
     const appliedOffer = offerDetails && discountAmount > 0 ? {
         promoCode: offerDetails.promoCode,
@@ -119,4 +239,93 @@ export const calculateOrderPricing = (processedItems, deliveryFee, restaurant, o
     } : null;
 
     return { pricing, appliedOffer };
-};
\ No newline at end of file
+};
+
+/**
+ * Finds the offer behind the promo code a customer applied to a cart, if it is still live and valid for it.
+ * @param {object} [appliedPromo] - The customer's `customerProfile.appliedPromo` ({ code, cartType }).
+ * @param {string} cartType - The cart being priced.
+ * @param {string} restaurantId - The restaurant the cart's items are from.
+ * @returns {Promise<object|null>} The offer details, or null if no valid code applies to this cart.
+ */
+export const findAppliedOffer = async (appliedPromo, cartType, restaurantId) => {
+    if (!appliedPromo?.code || appliedPromo.cartType !== cartType) {
+        return null;
+    }
+    const offer = await Announcement.findOne({
+        'offerDetails.promoCode': appliedPromo.code,
+        isActive: true,
+        'offerDetails.validUntil': { $gte: new Date() }
+    }).lean();
+    return offer && offer.restaurantId.toString() === restaurantId.toString() ? offer.offerDetails : null;
+};
+
+/**
+ * Looks up an offer by promo code whether or not it is still live, for repricing orders placed with it.
+ * @param {string} [promoCode]
+ * @returns {Promise<object|null>} The offer details, or null.
+ */
+export const findOfferByPromoCode = async (promoCode) => {
+    if (!promoCode) return null;
+    const offer = await Announcement.findOne({ 'offerDetails.promoCode': promoCode }).lean();
+    return offer?.offerDetails || null;
+};
+
+/**
+ * Pays for as much of an order as it can with store credit, leaving out the tip, which goes to the rider rather
+ * than the restaurant that granted the credit. The credit is a way of paying, not a discount, so the total
+ * (and the VAT in it) stays as it was. Also caps the credit already on an order whose total has gone down.
+ * @param {object} pricing - The order's pricing, which gets `storeCreditAmount`.
+ * @param {number} [available=0] - The credit the customer has (or the order was paid with).
+ * @returns {number} How much of `available` was not used.
+ */
+export const applyStoreCredit = (pricing, available = 0) => {
+    const payable = Math.max(0, (pricing.totalAmount || 0) - (pricing.tipAmount || 0));
+    pricing.storeCreditAmount = Math.round(Math.min(available, payable) * 100) / 100;
+    return Math.round((available - pricing.storeCreditAmount) * 100) / 100;
+};
+
+/**
+ * What is left for the customer to pay, by card or in cash, once store credit is taken off the total.
+ * @param {object} pricing
+ * @returns {number}
+ */
+export const getAmountDue = (pricing) => Math.round(((pricing.totalAmount || 0) - (pricing.storeCreditAmount || 0)) * 100) / 100;
+
+/**
+ * Prices a cart for checkout: re-validates its items, fulfilment and tip, then applies the customer's offer
+ * and store credit. Cash checkout, card checkout and the payment webhook all price orders through here so
+ * they always agree.
+ * @param {Array<object>} cart - Cart lines with `menuItemId` populated.
+ * @param {object} restaurant - The restaurant the order is placed with.
+ * @param {object} details - { orderType, deliveryAddress, pickupTime, tableId, tip } from the request.
+ * @param {object} [options] - { offerDetails, enforceFutureTimes } (see resolveFulfilment), and
+ * { storeCredit }, the credit to pay with.
+ * @returns {Promise<{error: string|null, processedItems?: Array<object>, pricing?: object, appliedOffer?: object|null, fulfilment?: object, tipAmount?: number}>}
+ */
+export const priceCartCheckout = async (cart, restaurant, { orderType = 'delivery', deliveryAddress, pickupTime, tableId, tip }, { offerDetails = null, enforceFutureTimes = true, storeCredit = 0 } = {}) => {
+    let processedItems;
+    try {
+        processedItems = await processOrderItems(cart);
+    } catch (itemError) {
+        return { error: itemError.message };
+    }
+
+    const { error: fulfilmentError, deliveryFee, fulfilment } = await resolveFulfilment(
+        { orderType, deliveryAddress, pickupTime, tableId },
+        restaurant,
+        { enforceFutureTimes }
+    );
+    if (fulfilmentError) {
+        return { error: fulfilmentError };
+    }
+
+    const { error: tipError, tipAmount } = resolveTip(tip, fulfilment.orderType, getLocaleSettings(restaurant).currency);
+    if (tipError) {
+        return { error: tipError };
+    }
+
+    const { pricing, appliedOffer } = calculateOrderPricing(processedItems, deliveryFee, restaurant, offerDetails, tipAmount);
+    applyStoreCredit(pricing, storeCredit);
+    return { error: null, processedItems, pricing, appliedOffer, fulfilment, tipAmount };
+};
@@ -0,0 +1,135 @@
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import OrderEvent from '../models/OrderEvent.js';
+import logger from './logger.js';
+import config from '../config/env.js';
+
+const MAX_REPLAY_EVENTS = 500;
+
+// Fans events out to the dashboards and tracking pages connected to this process. Every event is also
+// stored, so a reconnecting dashboard can replay from its cursor.
+const orderEventBus = new EventEmitter();
+orderEventBus.setMaxListeners(0);
+
+const channelFor = (restaurantId) => `restaurant:${restaurantId.toString()}`;
+const orderChannelFor = (orderId) => `order:${orderId.toString()}`;
+
+const toOrderEventPayload = (order) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  orderType: order.orderType,
+  status: order.status,
+  acceptanceStatus: order.acceptanceStatus,
+  paymentType: order.paymentType,
+  paymentStatus: order.paymentStatus,
+  totalAmount: order.pricing?.totalAmount,
+  isScheduled: order.isScheduled,
+  deliveryTime: order.deliveryTime,
+  isModified: Boolean(order.modifiedByCustomerAt),
+  createdAt: order.createdAt
+});
+
+/**
+ * Whether an order is a scheduled order still held back from the restaurant, as `getNewRestaurantOrders` does
+ * until the lead time before its slot. Its events only reach the customer until `order.released` is published.
+ * @param {object} order
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isHeldFromRestaurant = (order, now = new Date()) => {
+  if (!order.isScheduled || !order.deliveryTime || order.status !== 'placed' || order.acceptanceStatus !== 'pending') {
+    return false;
+  }
+  const releaseCutoff = now.getTime() + config.scheduledOrders.leadTimeMinutes * 60 * 1000;
+  return new Date(order.deliveryTime).getTime() > releaseCutoff;
+};
+
+const toStreamEvent = (event) => ({
+  id: event._id.toString(),
+  type: event.type,
+  data: { ...event.payload, occurredAt: event.createdAt }
+});
+
+/**
+ * Records an order event and pushes it to the restaurant's connected dashboards and the order's tracking stream.
+ * Events for scheduled orders the restaurant cannot see yet only go to the tracking stream.
+ * Call it after the order has been saved (and any transaction committed). Failures are logged, never thrown.
+ * @param {string} type - One of ORDER_EVENT_TYPES.
+ * @param {object} order - The saved order.
+ * @param {object} [extra] - Additional fields for the event payload, e.g. { previousStatus }.
+ */
+export const publishOrderEvent = async (type, order, extra = {}) => {
+  try {
+    const restaurantId = order.restaurantId?._id ?? order.restaurantId;
+    const heldFromRestaurant = isHeldFromRestaurant(order);
+    const event = await OrderEvent.create({
+      restaurantId,
+      orderId: order._id,
+      type,
+      payload: { ...toOrderEventPayload(order), ...extra },
+      heldFromRestaurant
+    });
+    const streamEvent = toStreamEvent(event);
+    if (!heldFromRestaurant) {
+      orderEventBus.emit(channelFor(restaurantId), streamEvent);
+    }
+    orderEventBus.emit(orderChannelFor(order._id), streamEvent);
+  } catch (error) {
+    logger.error('Failed to publish order event', { type, orderId: order?._id, error: error.message });
+  }
+};
+
+/**
+ * Listens for live events for one restaurant.
+ * @returns {Function} Call to stop listening.
+ */
+export const subscribeToRestaurantEvents = (restaurantId, listener) => {
+  const channel = channelFor(restaurantId);
+  orderEventBus.on(channel, listener);
+  return () => orderEventBus.off(channel, listener);
+};
+
+/**
+ * Listens for live events for a single order, e.g. for a customer's tracking page.
+ * @returns {Function} Call to stop listening.
+ */
+export const subscribeToOrderEvents = (orderId, listener) => {
+  const channel = orderChannelFor(orderId);
+  orderEventBus.on(channel, listener);
+  return () => orderEventBus.off(channel, listener);
+};
+
+/**
+ * Loads the stored events a dashboard missed after its last event ID, oldest first.
+ * @param {string} restaurantId
+ * @param {string} lastEventId - The cursor the client last received.
+ * @returns {Promise<{events: Array<object>, expired: boolean}>} `expired` is true when the cursor is older than
+ * the retention window or too much was missed, so the client should reload its order list instead.
+ */
+export const getOrderEventsSince = async (restaurantId, lastEventId) => {
+  if (!mongoose.Types.ObjectId.isValid(lastEventId)) {
+    return { events: [], expired: Boolean(lastEventId) };
+  }
+  const cursor = new mongoose.Types.ObjectId(lastEventId);
+  const events = await OrderEvent.find({ restaurantId, _id: { $gt: cursor }, heldFromRestaurant: { $ne: true } })
+    .sort({ _id: 1 })
+    .limit(MAX_REPLAY_EVENTS)
+    .lean();
+
+  const retentionStart = Date.now() - config.orderEvents.retentionHours * 60 * 60 * 1000;
+  const expired = cursor.getTimestamp().getTime() < retentionStart || events.length === MAX_REPLAY_EVENTS;
+  return { events: events.map(toStreamEvent), expired };
+};
+
+/**
+ * Publishes the events for a status update: `order.cancelled` or `order.status_changed`,
+ * plus `order.payment_confirmed` when the update also settled a cash payment.
+ * @param {object} order - The saved order.
+ * @param {object} previous - { status, paymentStatus } before the update.
+ */
+export const publishOrderStatusChange = async (order, { status: previousStatus, paymentStatus: previousPaymentStatus }) => {
+  await publishOrderEvent(order.status === 'cancelled' ? 'order.cancelled' : 'order.status_changed', order, { previousStatus });
+  if (order.paymentStatus === 'paid' && previousPaymentStatus !== 'paid') {
+    await publishOrderEvent('order.payment_confirmed', order);
+  }
+};
@@ -0,0 +1,161 @@
+// src/utils/orderStatus.js
+
+export const ORDER_STATUSES = [
+    'placed',
+    'accepted',
+    'preparing',
+    'ready',
+    'picked_up',
+    'out_for_delivery',
+    'delivered',
+    'delivery_failed',
+    'ready_for_collection',
+    'collected',
+    'served',
+    'cancelled',
+];
+
+export const STATUS_ACTORS = ['owner', 'partner', 'customer', 'system'];
+
+// Statuses that mark an order as successfully fulfilled, whatever its orderType.
+export const COMPLETED_STATUSES = ['delivered', 'collected', 'served'];
+
+export const TERMINAL_STATUSES = [...COMPLETED_STATUSES, 'delivery_failed', 'cancelled'];
+
+/**
+ * @description The kitchen lifecycle for each orderType. Keys are the current status, values the statuses it may move to.
+ */
+const ALLOWED_TRANSITIONS = {
+    'delivery': {
+        'placed': ['accepted', 'cancelled'],
+        'accepted': ['preparing', 'cancelled'],
+        'preparing': ['ready', 'cancelled'],
+        'ready': ['picked_up', 'cancelled'],
+        'picked_up': ['out_for_delivery', 'delivery_failed'],
+        'out_for_delivery': ['delivered', 'delivery_failed'],
+    },
+    'pickup': {
+        'placed': ['accepted', 'cancelled'],
+        'accepted': ['preparing', 'cancelled'],
+        'preparing': ['ready_for_collection', 'cancelled'],
+        'ready_for_collection': ['collected', 'cancelled'],
+    },
+    'dine-in': {
+        'placed': ['accepted', 'cancelled'],
+        'accepted': ['preparing', 'cancelled'],
+        'preparing': ['ready', 'cancelled'],
+        'ready': ['served', 'cancelled'],
+    },
+};
+
+/**
+ * @description Which target statuses each actor is allowed to set. The 'system' actor is unrestricted.
+ */
+const ACTOR_PERMISSIONS = {
+    owner: ['accepted', 'preparing', 'ready', 'ready_for_collection', 'collected', 'served', 'cancelled'],
+    partner: ['picked_up', 'out_for_delivery', 'delivered', 'delivery_failed'],
+    customer: ['cancelled'],
+};
+
+// Restaurants that deliver an order themselves move it on as a partner would, as long as no partner is assigned
+const SELF_DELIVERY_STATUSES = ['picked_up', 'out_for_delivery', 'delivered', 'delivery_failed'];
+
+const isActorAllowed = (order, actor, status) => {
+    if (actor === 'system' || ACTOR_PERMISSIONS[actor].includes(status)) {
+        return true;
+    }
+    return actor === 'owner' && !order.assignedDeliveryPartnerId && SELF_DELIVERY_STATUSES.includes(status);
+};
+
+const statusError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Resolves the effective lifecycle status of an order.
+ * Orders accepted before the 'accepted' status existed are still stored as 'placed'.
+ * @param {object} order - The order document.
+ * @returns {string} The current status.
+ */
+export const getCurrentStatus = (order) => {
+    if (order.status === 'placed' && order.acceptanceStatus === 'accepted') {
+        return 'accepted';
+    }
+    return order.status;
+};
+
+/**
+ * Checks whether an order may move from one status to another.
+ * @param {string} from - The current status.
+ * @param {string} to - The requested status.
+ * @param {string} [orderType='delivery'] - The order's fulfilment type.
+ * @returns {boolean}
+ */
+export const canTransition = (from, to, orderType = 'delivery') => {
+    return Boolean(ALLOWED_TRANSITIONS[orderType]?.[from]?.includes(to));
+};
+
+/**
+ * Validates and applies a status transition to an order, appending it to the status history.
+ * Does not save the order.
+ * @param {object} order - The Mongoose order document.
+ * @param {string} status - The requested status.
+ * @param {{actor: string, actorId?: string, note?: string}} details - Who made the change and why.
+ * @returns {object} The mutated order document.
+ * @throws {Error} With a statusCode of 400 (invalid transition) or 403 (actor not permitted, including an owner
+ * moving on a delivery that a partner has been assigned).
+ */
+export const applyStatusTransition = (order, status, { actor, actorId, note } = {}) => {
+    if (!ORDER_STATUSES.includes(status)) {
+        throw statusError(`Unknown order status '${status}'.`);
+    }
+    if (!STATUS_ACTORS.includes(actor)) {
+        throw statusError(`Unknown status actor '${actor}'.`, 500);
+    }
+    if (!isActorAllowed(order, actor, status)) {
+        throw statusError(`You are not allowed to set an order's status to '${status}'.`, 403);
+    }
+
+    const currentStatus = getCurrentStatus(order);
+    if (!canTransition(currentStatus, status, order.orderType)) {
+        throw statusError(`Invalid status transition from '${currentStatus}' to '${status}' for a ${order.orderType} order.`);
+    }
+
+    order.status = status;
+    order.statusHistory.push({
+        status,
+        actor,
+        actorId,
+        note,
+        timestamp: new Date(),
+    });
+
+    return order;
+};
+
+/**
+ * Records the restaurant's answer to a pending order: accepting moves it to 'accepted', rejecting cancels it.
+ * The transition is applied before `acceptanceStatus` changes, because `getCurrentStatus` already reports
+ * a 'placed' order with an accepted acceptanceStatus as 'accepted'. Does not save the order.
+ * @param {object} order - The Mongoose order document.
+ * @param {'accepted'|'rejected'} acceptance
+ * @param {{actor?: string, actorId?: string, note?: string}} [details] - Defaults to the owner.
+ * @returns {object} The mutated order document.
+ * @throws {Error} As `applyStatusTransition`.
+ */
+export const applyAcceptanceDecision = (order, acceptance, { actor = 'owner', actorId, note } = {}) => {
+    applyStatusTransition(order, acceptance === 'accepted' ? 'accepted' : 'cancelled', { actor, actorId, note });
+    order.acceptanceStatus = acceptance;
+    return order;
+};
+
+/**
+ * Builds the first status history entry for a newly placed order.
+ * @param {string} customerId - The customer placing the order.
+ * @returns {Array<object>} The initial status history.
+ */
+export const initialStatusHistory = (customerId) => ([
+    { status: 'placed', actor: 'customer', actorId: customerId, timestamp: new Date() },
+]);
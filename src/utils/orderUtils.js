@@ -1,5 +1,140 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Restaurant from '../models/Restaurant.js';
+
 export function generateUniqueOrderNumber() {
   const timestamp = Date.now().toString(36);
   const randomStr = Math.random().toString(36).substring(2, 8);
   return `${timestamp}-${randomStr}`.toUpperCase();
-}
\ No newline at end of file
+}
+
+/**
+ * Claims an unanswered order for closing: the restaurant rejecting it, the customer cancelling it or the sweeper
+ * expiring it. Only one of them gets the claim, so the order is refunded and closed once, and nobody can accept
+ * or edit it while that happens. Finish with a save guarded on `closingClaimedBy`.
+ * @param {string} orderId
+ * @param {'owner'|'customer'|'system'} actor
+ * @param {object} [options] - { takeOverBefore } also takes over a claim made before this date, whose holder
+ * is assumed to have failed part-way.
+ * @returns {Promise<boolean>} Whether the caller now holds the claim.
+ */
+export async function claimOrderClosure(orderId, actor, { takeOverBefore } = {}) {
+  const unclaimed = { closingClaimedAt: { $exists: false } };
+  const { modifiedCount } = await Order.updateOne(
+    {
+      _id: orderId,
+      acceptanceStatus: 'pending',
+      status: 'placed',
+      ...(takeOverBefore ? { $or: [unclaimed, { closingClaimedAt: { $lt: takeOverBefore } }] } : unclaimed)
+    },
+    { $set: { closingClaimedAt: new Date(), closingClaimedBy: actor } }
+  );
+  return modifiedCount > 0;
+}
+
+/**
+ * Gives up a claim from `claimOrderClosure`, so the order can be answered again.
+ * @param {string} orderId
+ * @param {'owner'|'customer'|'system'} actor - The claim's holder.
+ */
+export async function releaseOrderClosure(orderId, actor) {
+  await Order.updateOne(
+    { _id: orderId, acceptanceStatus: 'pending', closingClaimedBy: actor },
+    { $unset: { closingClaimedAt: 1, closingClaimedBy: 1 } }
+  );
+}
+
+/**
+ * The idempotency key for refunding an order that is rejected, cancelled or expired before acceptance. It is
+ * shared by all three, so whoever ends up closing the order, and however often they retry, it is refunded once.
+ * @param {object} order
+ * @returns {string}
+ */
+export const closingRefundKey = (order) => `order-${order._id}-close`;
+
+/**
+ * Gives an order the next sequential bill number for its restaurant, unless it already has one.
+ * Does not save the order: pass the session of the transaction that saves it (or use `saveWithBillNumber`),
+ * so a failed save rolls the sequence back instead of leaving a gap in the restaurant's invoice numbers.
+ * @param {object} order - The Mongoose order document.
+ * @param {object} [options] - { session } to run inside a transaction.
+ * @returns {Promise<string>} The order's bill number.
+ */
+export async function assignBillNumber(order, { session } = {}) {
+  if (order.billNumber) {
+    return order.billNumber;
+  }
+
+  const restaurantId = order.restaurantId._id ?? order.restaurantId;
+  const restaurant = await Restaurant.findByIdAndUpdate(
+    restaurantId,
+    { $inc: { billSequence: 1 } },
+    { new: true, session }
+  ).select('billSequence');
+
+  order.billNumber = `INV-${String(restaurant.billSequence).padStart(6, '0')}`;
+  return order.billNumber;
+}
+
+/**
+ * Saves an order, first giving it a bill number if it has none, in one transaction.
+ * @param {object} order - The Mongoose order document.
+ * @returns {Promise<object>} The saved order.
+ */
+export async function saveWithBillNumber(order) {
+  const hadBillNumber = Boolean(order.billNumber);
+  const session = await mongoose.startSession();
+  try {
+    let savedOrder;
+    await session.withTransaction(async () => {
+      // A retried transaction has rolled the sequence back, so the number has to be drawn again
+      if (!hadBillNumber) order.billNumber = undefined;
+      await assignBillNumber(order, { session });
+      savedOrder = await order.save({ session });
+    });
+    return savedOrder;
+  } catch (error) {
+    if (!hadBillNumber) order.billNumber = undefined;
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Applies a customer's edit to a pending order and records it so the restaurant can see the order was modified.
+ * Does not save the order.
+ * @param {object} order - The Mongoose order document.
+ * @param {object} edit - { orderedItems, pricing, appliedOffer, deliveryAddress, notes, preferences, changedFields }.
+ * @param {object} [payment] - { amountCharged, amountRefunded } moved on the customer's card for this edit.
+ */
+export function applyCustomerEdit(order, edit, { amountCharged = 0, amountRefunded = 0 } = {}) {
+  const previousTotal = order.pricing.totalAmount;
+
+  order.orderedItems = edit.orderedItems;
+  order.pricing = {
+    ...order.toObject().pricing,
+    ...edit.pricing,
+    refundedAmount: Math.round(((order.pricing.refundedAmount || 0) + amountRefunded) * 100) / 100
+  };
+  order.appliedOffer = edit.appliedOffer || null;
+  if (edit.changedFields.includes('deliveryAddress')) {
+    order.deliveryAddress = edit.deliveryAddress;
+  }
+  if (edit.changedFields.includes('notes')) {
+    order.notes = edit.notes;
+  }
+  if (edit.changedFields.includes('preferences')) {
+    order.preferences = edit.preferences;
+  }
+
+  order.customerEdits.push({
+    changedFields: edit.changedFields,
+    previousTotal,
+    newTotal: order.pricing.totalAmount,
+    amountCharged,
+    amountRefunded
+  });
+  order.modifiedByCustomerAt = new Date();
+  order.pendingCustomerEdit = null;
+}
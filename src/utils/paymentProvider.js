@@ -0,0 +1,169 @@
+import config from "../config/env.js";
+import { createStripeProvider } from "./stripeUtils.js";
+import { mockPaymentProvider } from "./mockPaymentProvider.js";
+import { toMinorUnits, fromMinorUnits } from "./localeUtils.js";
+
+/**
+ * @typedef {object} CheckoutRequest
+ * @property {string} currency - ISO currency code, lower case.
+ * @property {Array<{name: string, description?: string, amount: number, quantity?: number}>} lineItems - Unit amounts.
+ * @property {{name: string, amount: number}} [discount] - Taken off the total once.
+ * @property {string} successUrl - May contain `{CHECKOUT_SESSION_ID}`, which is filled in on redirect.
+ * @property {string} cancelUrl
+ * @property {string} [customerEmail]
+ * @property {object} metadata - String values, echoed back on the session in webhook events.
+ */
+
+/**
+ * @typedef {object} CheckoutSummary
+ * @property {string} id
+ * @property {'open'|'complete'|'expired'} status
+ * @property {'paid'|'unpaid'|'no_payment_required'} paymentStatus
+ * @property {string|null} paymentIntentId - Set once the customer has paid.
+ * @property {string} currency
+ * @property {number} amountTotal
+ * @property {number} amountRefunded
+ * @property {object} metadata
+ */
+
+/**
+ * @typedef {object} RefundOptions
+ * @property {string} [idempotencyKey] - Refunds repeated with the same key return the first refund instead of
+ * refunding again.
+ */
+
+/**
+ * @typedef {object} PaymentProvider
+ * Everything the app needs from a card payment provider. Amounts are in major units of the checkout's
+ * currency. Webhook events keep Stripe's event shape whichever provider sends them.
+ * @property {string} name
+ * @property {(checkout: CheckoutRequest) => Promise<{id: string, url: string}>} createCheckout
+ * @property {(sessionId: string) => Promise<CheckoutSummary>} retrieveCheckout
+ * @property {(sessionId: string) => Promise<void>} expireCheckout - Closes an unpaid checkout.
+ * @property {(sessionId: string, options?: RefundOptions) => Promise<{id: string, amount: number}|null>} refund -
+ * Refunds whatever is left of the checkout's payment, or returns null if nothing was paid.
+ * @property {(sessionId: string, amount: number, options?: RefundOptions) => Promise<{id: string, amount: number}|null>} partialRefund
+ * @property {(rawBody: Buffer, signature: string, signingSecret: string) => object} verifyWebhook - Returns the
+ * event, or throws if the signature does not match.
+ */
+
+/**
+ * The payment provider for a restaurant's account, as chosen by PAYMENT_PROVIDER.
+ * @param {string} secretKey - The restaurant's (decrypted) Stripe secret key. Ignored by the mock provider.
+ * @returns {PaymentProvider}
+ */
+export const getPaymentProvider = (secretKey) =>
+    config.payments.provider === 'mock' ? mockPaymentProvider : createStripeProvider(secretKey);
+
+/**
+ * Refunds the payment behind a checkout session, in full or in part.
+ * @param {string} secretKey - The restaurant's Stripe secret key.
+ * @param {string} sessionId - The checkout session the customer paid through.
+ * @param {number} [amount] - Amount to refund in major units of the session's currency. Omit for a full refund.
+ * @param {RefundOptions} [options]
+ * @returns {Promise<object|null>} The refund, or null if the session has no payment to refund.
+ */
+export const refundCheckoutSession = async (secretKey, sessionId, amount, options = {}) => {
+    const provider = getPaymentProvider(secretKey);
+    return amount === undefined ? provider.refund(sessionId, options) : provider.partialRefund(sessionId, amount, options);
+};
+
+const getOrderSessionIds = (order) =>
+    [order.sessionId, ...(order.supplementaryPayments || []).map(payment => payment.sessionId)].filter(Boolean);
+
+/**
+ * How much of an order's card payments can still be refunded: what was paid across its original and top-up
+ * checkout sessions, less every refund made on them, including ones made outside the app.
+ * @param {string} secretKey - The restaurant's Stripe secret key.
+ * @param {object} order - The order, with `sessionId`, `supplementaryPayments` and `currency`.
+ * @returns {Promise<number>} In major units of the order's currency.
+ */
+export const getRefundableOrderAmount = async (secretKey, order) => {
+    const provider = getPaymentProvider(secretKey);
+    let refundable = 0;
+    for (const sessionId of getOrderSessionIds(order)) {
+        const checkout = await provider.retrieveCheckout(sessionId);
+        if (!checkout.paymentIntentId) continue;
+        refundable += toMinorUnits(checkout.amountTotal, checkout.currency) - toMinorUnits(checkout.amountRefunded, checkout.currency);
+    }
+    return fromMinorUnits(Math.max(0, refundable), order.currency);
+};
+
+/**
+ * Refunds an order across its original checkout session and any top-up sessions paid for customer edits,
+ * starting with the original payment.
+ * @param {string} secretKey - The restaurant's Stripe secret key.
+ * @param {object} order - The order, with `sessionId` and `supplementaryPayments`.
+ * @param {number} [amount] - Amount to refund in major units of the order's currency. Omit for a full refund.
+ * @param {RefundOptions} [options] - The idempotency key is suffixed with each session's ID when the refund is split.
+ * @returns {Promise<Array<object>|object|null>} The refund(s), or null if nothing could be refunded.
+ */
+export const refundOrderPayments = async (secretKey, order, amount, { idempotencyKey } = {}) => {
+    const sessionIds = getOrderSessionIds(order);
+    if (sessionIds.length <= 1) {
+        return refundCheckoutSession(secretKey, order.sessionId, amount, { idempotencyKey });
+    }
+
+    const provider = getPaymentProvider(secretKey);
+    // Worked in minor units so the split across payments never drifts by a rounding error
+    let remaining = amount === undefined ? Infinity : toMinorUnits(amount, order.currency);
+    const refunds = [];
+    for (const sessionId of sessionIds) {
+        if (remaining <= 0) break;
+        const checkout = await provider.retrieveCheckout(sessionId);
+        if (!checkout.paymentIntentId) continue;
+
+        const refundable = toMinorUnits(checkout.amountTotal, checkout.currency) - toMinorUnits(checkout.amountRefunded, checkout.currency);
+        const refundNow = Math.min(refundable, remaining);
+        if (refundNow <= 0) continue;
+        refunds.push(await provider.partialRefund(sessionId, fromMinorUnits(refundNow, checkout.currency), {
+            idempotencyKey: idempotencyKey && `${idempotencyKey}:${sessionId}`
+        }));
+        remaining -= refundNow;
+    }
+    return refunds.length > 0 ? refunds : null;
+};
+
+const describeOrderLine = (item) => {
+    const variants = (item.selectedVariants || []).map(variant => variant.variantName).filter(Boolean);
+    const details = [
+        ...(item.selectedAddons || []).map(addon => `+ ${addon.optionTitle}`),
+        ...(item.specialInstructions ? [`Note: ${item.specialInstructions}`] : [])
+    ];
+    return {
+        name: variants.length ? `${item.itemName} (${variants.join(', ')})` : item.itemName,
+        ...(details.length ? { description: details.join(', ') } : {})
+    };
+};
+
+/**
+ * Builds itemised checkout lines for a priced order: one per dish, then handling, delivery and tip, with
+ * any offer and the store credit paid with taken off as the discount.
+ * @param {object} order - { processedItems, pricing, appliedOffer } from the order's pricing.
+ * @returns {{lineItems: Array<object>, discount?: object}} The `lineItems` and `discount` of a CheckoutRequest.
+ */
+export const buildOrderCheckoutLines = ({ processedItems, pricing, appliedOffer }) => {
+    const lineItems = processedItems.map(item => ({ ...describeOrderLine(item), amount: item.itemTotal / item.quantity, quantity: item.quantity }));
+    if (pricing.handlingCharge > 0) {
+        lineItems.push({ name: "Handling charge", amount: pricing.handlingCharge });
+    }
+    // A free-delivery offer shows the fee and takes it off again as the discount
+    const deliveryFee = pricing.deliveryFee + (appliedOffer?.discountType === 'FREE_DELIVERY' ? pricing.discountAmount : 0);
+    if (deliveryFee > 0) {
+        lineItems.push({ name: "Delivery fee", amount: deliveryFee });
+    }
+    if (pricing.tipAmount > 0) {
+        lineItems.push({ name: "Tip for your delivery partner", amount: pricing.tipAmount });
+    }
+
+    const storeCredit = pricing.storeCreditAmount || 0;
+    const discountAmount = Math.round(((pricing.discountAmount || 0) + storeCredit) * 100) / 100;
+    if (!(discountAmount > 0)) {
+        return { lineItems };
+    }
+    const names = [
+        ...(pricing.discountAmount > 0 ? [`Promo ${appliedOffer.promoCode}`] : []),
+        ...(storeCredit > 0 ? ["Store credit"] : [])
+    ];
+    return { lineItems, discount: { name: names.join(' + '), amount: discountAmount } };
+};
@@ -0,0 +1,80 @@
+import StoreCredit from "../models/StoreCredit.js";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * A customer's store credit balance with a restaurant.
+ * @param {string} customerId
+ * @param {string} restaurantId
+ * @param {object} [options] - { session } to read inside a transaction.
+ * @returns {Promise<number>}
+ */
+export const getStoreCreditBalance = async (customerId, restaurantId, { session } = {}) => {
+    const credit = await StoreCredit.findOne({ customerId, restaurantId }).select('balance').session(session || null).lean();
+    return roundMoney(credit?.balance || 0);
+};
+
+/**
+ * Adds to a customer's balance with a restaurant, opening one if needed. Does nothing if the balance already
+ * has an entry with this reference, so a retried grant or return is never counted twice. Not for use inside
+ * a transaction, where the duplicate-key error a repeat raises would abort it.
+ * @param {object} credit - { customerId, restaurantId, amount, reason, reference, ticketId?, orderId? }.
+ * @returns {Promise<boolean>} Whether the credit was added now.
+ */
+export const addStoreCredit = async ({ customerId, restaurantId, amount, reason, reference, ticketId, orderId }) => {
+    try {
+        const result = await StoreCredit.updateOne(
+            { customerId, restaurantId, 'entries.reference': { $ne: reference } },
+            { $inc: { balance: amount }, $push: { entries: { amount, reason, reference, ticketId, orderId } } },
+            { upsert: true }
+        );
+        return result.modifiedCount > 0 || result.upsertedCount > 0;
+    } catch (error) {
+        // The balance exists and already has this reference, so the upsert collided with it
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * Spends credit from a customer's balance with a restaurant, if the balance still covers it.
+ * @param {object} credit - { customerId, restaurantId, amount, reference, orderId? }.
+ * @param {object} [options] - { session } to spend inside a transaction.
+ * @returns {Promise<boolean>} Whether the credit was spent.
+ */
+export const spendStoreCredit = async ({ customerId, restaurantId, amount, reference, orderId }, { session } = {}) => {
+    const result = await StoreCredit.updateOne(
+        { customerId, restaurantId, balance: { $gte: amount }, 'entries.reference': { $ne: reference } },
+        { $inc: { balance: -amount }, $push: { entries: { amount: -amount, reason: 'order', reference, orderId } } },
+        { session }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * The reference store credit spent on an order is recorded under: its checkout session for card orders,
+ * which reserve the credit before the order exists, and the order itself for cash orders.
+ * @param {object} order - Or `{ sessionId }` for a checkout that has not become an order yet.
+ * @returns {string}
+ */
+export const getStoreCreditReference = (order) => (order.sessionId ? `checkout-${order.sessionId}` : `order-${order._id}`);
+
+/**
+ * Gives back the store credit an order was paid with, once it is rejected, cancelled, expired or its checkout
+ * abandoned. Safe to call more than once.
+ * @param {object} order - With `customerId`, `restaurantId` (either may be populated) and the credit spent,
+ * as `pricing.storeCreditAmount` or, for an abandoned checkout, `storeCreditAmount`.
+ * @returns {Promise<boolean>} Whether any credit was returned now.
+ */
+export const returnOrderStoreCredit = async (order) => {
+    const amount = order.pricing?.storeCreditAmount ?? order.storeCreditAmount;
+    if (!(amount > 0)) return false;
+    return addStoreCredit({
+        customerId: order.customerId?._id ?? order.customerId,
+        restaurantId: order.restaurantId?._id ?? order.restaurantId,
+        amount,
+        reason: 'order_return',
+        reference: `${getStoreCreditReference(order)}-return`,
+        orderId: order._id
+    });
+};
@@ -0,0 +1,91 @@
+import Stripe from "stripe";
+import { toMinorUnits, fromMinorUnits } from "./localeUtils.js";
+
+// A Checkout session (with its payment intent's latest charge expanded) in the shape `retrieveCheckout` returns
+const toCheckoutSummary = (session) => {
+    const paymentIntent = session.payment_intent;
+    const charge = paymentIntent?.latest_charge;
+    return {
+        id: session.id,
+        status: session.status,
+        paymentStatus: session.payment_status,
+        paymentIntentId: typeof paymentIntent === 'string' ? paymentIntent : paymentIntent?.id ?? null,
+        currency: session.currency,
+        amountTotal: fromMinorUnits(session.amount_total || 0, session.currency),
+        amountRefunded: charge ? fromMinorUnits(charge.amount_refunded, session.currency) : 0,
+        metadata: session.metadata || {},
+    };
+};
+
+/**
+ * The Stripe implementation of the payment provider interface (see paymentProvider.js), acting on one
+ * restaurant's Stripe account.
+ * @param {string} stripeSecretKey - The restaurant's Stripe secret key.
+ * @returns {import('./paymentProvider.js').PaymentProvider}
+ */
+export const createStripeProvider = (stripeSecretKey) => {
+    const stripe = new Stripe(stripeSecretKey);
+
+    const refundSession = async (sessionId, amount, { idempotencyKey } = {}) => {
+        const checkoutSession = await stripe.checkout.sessions.retrieve(sessionId);
+        if (!checkoutSession.payment_intent) {
+            return null;
+        }
+
+        const refundParams = { payment_intent: checkoutSession.payment_intent };
+        if (amount !== undefined) {
+            refundParams.amount = toMinorUnits(amount, checkoutSession.currency);
+        }
+        const refund = await stripe.refunds.create(refundParams, idempotencyKey ? { idempotencyKey } : undefined);
+        return { id: refund.id, amount: fromMinorUnits(refund.amount, refund.currency) };
+    };
+
+    return {
+        name: 'stripe',
+
+        createCheckout: async ({ currency, lineItems, discount, successUrl, cancelUrl, customerEmail, metadata }) => {
+            const params = {
+                payment_method_types: ["card"],
+                line_items: lineItems.map(({ name, description, amount, quantity = 1 }) => ({
+                    price_data: {
+                        currency,
+                        product_data: { name, ...(description ? { description } : {}) },
+                        unit_amount: toMinorUnits(amount, currency),
+                    },
+                    quantity,
+                })),
+                mode: "payment",
+                success_url: successUrl,
+                cancel_url: cancelUrl,
+                customer_email: customerEmail,
+                metadata,
+            };
+            if (discount?.amount > 0) {
+                // Checkout has no negative line items, so a discount is applied as a single-use coupon
+                const coupon = await stripe.coupons.create({
+                    name: discount.name.slice(0, 40),
+                    amount_off: toMinorUnits(discount.amount, currency),
+                    currency,
+                    duration: 'once',
+                    max_redemptions: 1,
+                });
+                params.discounts = [{ coupon: coupon.id }];
+            }
+            const session = await stripe.checkout.sessions.create(params);
+            return { id: session.id, url: session.url };
+        },
+
+        retrieveCheckout: async (sessionId) =>
+            toCheckoutSummary(await stripe.checkout.sessions.retrieve(sessionId, { expand: ['payment_intent.latest_charge'] })),
+
+        expireCheckout: async (sessionId) => {
+            await stripe.checkout.sessions.expire(sessionId);
+        },
+
+        refund: (sessionId, options) => refundSession(sessionId, undefined, options),
+
+        partialRefund: (sessionId, amount, options) => refundSession(sessionId, amount, options),
+
+        verifyWebhook: (rawBody, signature, signingSecret) => stripe.webhooks.constructEvent(rawBody, signature, signingSecret),
+    };
+};
@@ -0,0 +1,154 @@
+import RestaurantTimings from '../models/RestaurantTimings.js';
+import config from '../config/env.js';
+import { getLocaleSettings, isValidTimeZone } from './localeUtils.js';
+
+export { isValidTimeZone };
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Returns the weekday name used by RestaurantTimings for a date (UTC, like the booking slots).
+ * @param {Date} date
+ * @returns {string} e.g. 'monday'
+ */
+export const getDayOfWeek = (date) => DAYS[date.getUTCDay()];
+
+// Opening hours that close at or before they open run past midnight, e.g. 18:00-02:00
+const closesAfterMidnight = (timings) => timings.closeTime <= timings.openTime;
+
+/**
+ * Validates a requested fulfilment time for a scheduled (pre-order) order.
+ * The slot must be far enough ahead to be worth scheduling, within the booking horizon,
+ * and inside the restaurant's opening hours, read as wall-clock times in its timezone.
+ * @param {object} restaurant - The restaurant the order is placed with ({ _id, localeSettings }).
+ * @param {string|Date} scheduledFor - The requested fulfilment time. A string without an offset is read in the
+ * restaurant's timezone.
+ * @param {object} [options] - { requireLeadTime } set to false to accept any future slot, as for pickup times.
+ * @returns {Promise<{error: string|null, schedule?: {isScheduled: boolean, deliveryTime: Date}}>}
+ */
+export const validateScheduledTime = async (restaurant, scheduledFor, { requireLeadTime = true } = {}) => {
+    const { timeZone } = getLocaleSettings(restaurant);
+    const requestedTime = typeof scheduledFor === 'string' ? parseDateInTimeZone(scheduledFor, timeZone) : new Date(scheduledFor);
+    if (isNaN(requestedTime.getTime())) {
+        return { error: "Invalid scheduledFor date format." };
+    }
+
+    const { leadTimeMinutes, maxDaysAhead } = config.scheduledOrders;
+    const now = new Date();
+    const earliest = new Date(now.getTime() + leadTimeMinutes * 60 * 1000);
+    const latest = new Date(now.getTime() + maxDaysAhead * 24 * 60 * 60 * 1000);
+
+    if (requestedTime < (requireLeadTime ? earliest : now)) {
+        return { error: requireLeadTime ? `Scheduled orders must be at least ${leadTimeMinutes} minutes in the future.` : "The requested time must be in the future." };
+    }
+    if (requestedTime > latest) {
+        return { error: `Orders can only be scheduled up to ${maxDaysAhead} days ahead.` };
+    }
+
+    // The weekday and time the restaurant's own clock will show at the requested slot
+    const { year, month, day, hour, minute } = getZonedParts(requestedTime, timeZone);
+    const weekdayIndex = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const requestedSlot = `${hour}:${minute}`;
+
+    const restaurantTimings = await RestaurantTimings.findOne({ restaurantId: restaurant._id }).lean();
+    const findOpenTimings = (dayIndex) => restaurantTimings?.timings.find(t => t.day === DAYS[dayIndex] && t.isOpen);
+    const dailyTimings = findOpenTimings(weekdayIndex);
+    const previousDayTimings = findOpenTimings((weekdayIndex + 6) % 7);
+    const carriedOver = previousDayTimings && closesAfterMidnight(previousDayTimings) ? previousDayTimings : null;
+    if (!dailyTimings && !carriedOver) {
+        return { error: "The restaurant is closed on the requested day." };
+    }
+
+    // "HH:MM" strings compare correctly as text
+    const isWithinToday = dailyTimings && requestedSlot >= dailyTimings.openTime
+        && (closesAfterMidnight(dailyTimings) || requestedSlot < dailyTimings.closeTime);
+    const isWithinPreviousNight = carriedOver && requestedSlot < carriedOver.closeTime;
+    if (!isWithinToday && !isWithinPreviousNight) {
+        const { openTime, closeTime } = dailyTimings || carriedOver;
+        return { error: `The restaurant is only open between ${openTime} and ${closeTime} on that day.` };
+    }
+
+    return { error: null, schedule: buildScheduleFields(requestedTime) };
+};
+
+/**
+ * Builds the Order fields for a scheduled order without validating the slot.
+ * @param {string|Date} scheduledFor - The requested fulfilment time, as an instant.
+ * @returns {{isScheduled: boolean, deliveryTime: Date}}
+ */
+export const buildScheduleFields = (scheduledFor) => ({ isScheduled: true, deliveryTime: new Date(scheduledFor) });
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/;
+
+/**
+ * Splits a date into its wall-clock parts in a timezone.
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone name.
+ * @returns {{year: string, month: string, day: string, hour: string, minute: string, second: string}}
+ */
+export const getZonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(date);
+    return Object.fromEntries(parts.filter(p => p.type !== 'literal').map(p => [p.type, p.value]));
+};
+
+const getTimeZoneOffsetMs = (date, timeZone) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Parses a date string in a timezone. "2024-03-31" or "2024-03-31T09:00" are read as wall-clock
+ * time in that zone (DST-aware); strings with an explicit offset or 'Z' are parsed as-is.
+ * @param {string} value
+ * @param {string} timeZone - IANA timezone name.
+ * @returns {Date} An invalid Date if the string cannot be parsed.
+ */
+export const parseDateInTimeZone = (value, timeZone) => {
+    if (!LOCAL_DATE_TIME_PATTERN.test(value)) {
+        return new Date(value);
+    }
+
+    const wallClock = new Date(DATE_ONLY_PATTERN.test(value) ? `${value}T00:00:00Z` : `${value}Z`);
+    if (isNaN(wallClock.getTime())) {
+        return wallClock;
+    }
+    // Re-check the offset at the resulting instant in case the first guess crossed a DST change
+    const firstGuess = wallClock.getTime() - getTimeZoneOffsetMs(wallClock, timeZone);
+    return new Date(wallClock.getTime() - getTimeZoneOffsetMs(new Date(firstGuess), timeZone));
+};
+
+/**
+ * Whether a date string names a whole day ("YYYY-MM-DD") rather than an instant.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isDateOnly = (value) => DATE_ONLY_PATTERN.test(value);
+
+/**
+ * Builds the createdAt filter for a report from startDate/endDate query values, defaulting to the last 30 days.
+ * @param {{startDate?: string, endDate?: string}} query
+ * @returns {{error: string|null, createdAt?: object}}
+ */
+export const parseReportDateRange = ({ startDate, endDate }) => {
+    const createdAt = {};
+    if (startDate) createdAt.$gte = new Date(startDate);
+    if (endDate) createdAt.$lte = new Date(endDate);
+    if (!startDate && !endDate) {
+        createdAt.$gte = new Date(new Date().setDate(new Date().getDate() - 30));
+    }
+    if (Object.values(createdAt).some(date => isNaN(date.getTime()))) {
+        return { error: "Invalid startDate or endDate." };
+    }
+    return { error: null, createdAt };
+};
@@ -0,0 +1,106 @@
+// UK VAT rates, in percent. Menu prices, handling charges and delivery fees are VAT-inclusive.
+export const VAT_RATES = Object.freeze({ standard: 20, reduced: 5, zero: 0 });
+export const VAT_RATE_CODES = Object.keys(VAT_RATES);
+
+// Hot food is standard-rated and most groceries are zero-rated. Restaurants can override any of these.
+export const DEFAULT_VAT_SETTINGS = Object.freeze({
+  registered: false,
+  foodRate: 'standard',
+  groceryRate: 'zero',
+  handlingChargeRate: 'standard',
+  deliveryRate: 'standard'
+});
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// The VAT contained in a VAT-inclusive amount
+const vatIncludedIn = (grossAmount, rate) => roundMoney(grossAmount * rate / (100 + rate));
+
+/**
+ * Validates a restaurant's VAT settings update.
+ * @param {object} vatSettings - Any of { registered, foodRate, groceryRate, handlingChargeRate, deliveryRate }.
+ * @returns {{error: string|null, updates?: object}} The validated fields, keyed for a `$set` on the restaurant.
+ */
+export const validateVatSettings = (vatSettings) => {
+  if (typeof vatSettings !== 'object' || Array.isArray(vatSettings)) {
+    return { error: "vatSettings must be an object." };
+  }
+  const updates = {};
+  for (const [field, value] of Object.entries(vatSettings)) {
+    if (field === 'registered') {
+      if (typeof value !== 'boolean') return { error: "vatSettings.registered must be true or false." };
+    } else if (field in DEFAULT_VAT_SETTINGS) {
+      if (!VAT_RATE_CODES.includes(value)) return { error: `vatSettings.${field} must be one of: ${VAT_RATE_CODES.join(', ')}.` };
+    } else {
+      return { error: `Unknown VAT setting: ${field}.` };
+    }
+    updates[`vatSettings.${field}`] = value;
+  }
+  return { error: null, updates };
+};
+
+/**
+ * Works out the VAT contained in an order, per line and per rate. Lines are annotated in place with
+ * `vatRate` and `vatAmount`; a line that already has a `vatRate` (e.g. on a placed order) keeps it.
+ * Item-level discounts are shared between the items and the handling charge in proportion to their value.
+ * @param {Array<object>} processedItems - Priced lines from `processOrderItems` or a placed order.
+ * @param {object} charges - { handlingCharge, deliveryFee, itemDiscount } after offers are applied.
+ * @param {object} [vatSettings] - The restaurant's VAT settings.
+ * @returns {{registered: boolean, totalVat: number, breakdown: Array<{rate: number, netAmount: number, vatAmount: number, grossAmount: number}>}}
+ */
+export const calculateVat = (processedItems, { handlingCharge = 0, deliveryFee = 0, itemDiscount = 0 }, vatSettings = {}) => {
+  const settings = { ...DEFAULT_VAT_SETTINGS, ...vatSettings };
+  if (!settings.registered) {
+    processedItems.forEach(item => {
+      item.vatRate = 0;
+      item.vatAmount = 0;
+    });
+    return { registered: false, totalVat: 0, breakdown: [] };
+  }
+
+  const itemsSubtotal = processedItems.reduce((sum, item) => sum + item.itemTotal, 0);
+  const discountable = itemsSubtotal + handlingCharge;
+  const payableShare = discountable > 0 ? 1 - Math.min(itemDiscount, discountable) / discountable : 1;
+
+  const byRate = new Map();
+  const addAmount = (rate, grossAmount, vatAmount) => {
+    const bucket = byRate.get(rate) || { rate, grossAmount: 0, vatAmount: 0 };
+    bucket.grossAmount += grossAmount;
+    bucket.vatAmount += vatAmount;
+    byRate.set(rate, bucket);
+  };
+
+  processedItems.forEach(item => {
+    const rateCode = item.vatRateCode || (item.isFood === false ? settings.groceryRate : settings.foodRate);
+    const rate = item.vatRate ?? VAT_RATES[rateCode];
+    const grossAmount = roundMoney(item.itemTotal * payableShare);
+    item.vatRate = rate;
+    item.vatAmount = vatIncludedIn(grossAmount, rate);
+    addAmount(rate, grossAmount, item.vatAmount);
+  });
+
+  if (handlingCharge > 0) {
+    const grossAmount = roundMoney(handlingCharge * payableShare);
+    const rate = VAT_RATES[settings.handlingChargeRate];
+    addAmount(rate, grossAmount, vatIncludedIn(grossAmount, rate));
+  }
+  if (deliveryFee > 0) {
+    const rate = VAT_RATES[settings.deliveryRate];
+    addAmount(rate, deliveryFee, vatIncludedIn(deliveryFee, rate));
+  }
+
+  const breakdown = [...byRate.values()]
+    .sort((a, b) => b.rate - a.rate)
+    .map(({ rate, grossAmount, vatAmount }) => ({
+      rate,
+      netAmount: roundMoney(grossAmount - vatAmount),
+      vatAmount: roundMoney(vatAmount),
+      grossAmount: roundMoney(grossAmount)
+    }));
+
+  return {
+    registered: true,
+    totalVat: roundMoney(breakdown.reduce((sum, line) => sum + line.vatAmount, 0)),
+    breakdown
+  };
+};
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { TEST_ENV } from './helpers/testEnv.js';
+
+const PREVIOUS_KEY = TEST_ENV.ENCRYPTION_MASTER_KEY;
+const CURRENT_KEY = '6ca4508eda7e6b5789388c90ccab3a2734a25742341bd2328f6559514745daee';
+
+// Mid-rotation: version 2 is current, and version 1 is kept to read what was written before the rotation
+Object.assign(process.env, { ENCRYPTION_MASTER_KEY: CURRENT_KEY, ENCRYPTION_KEY_VERSION: '2', ENCRYPTION_PREVIOUS_KEYS: `1:${PREVIOUS_KEY}` });
+const { encryptSecret, decryptSecret, getSecretKeyVersion, isEncryptedSecret } = await import('../src/utils/encryptionUtils.js');
+
+// Encrypts in another process still configured with only the old key, as the app did before the rotation
+const encryptBeforeRotation = (plaintext) => execFileSync(process.execPath, ['--input-type=module', '-e', `
+    import { encryptSecret } from './src/utils/encryptionUtils.js';
+    process.stdout.write(encryptSecret(${JSON.stringify(plaintext)}));
+`], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    env: { ...process.env, ENCRYPTION_MASTER_KEY: PREVIOUS_KEY, ENCRYPTION_KEY_VERSION: '1', ENCRYPTION_PREVIOUS_KEYS: '' },
+    encoding: 'utf8',
+});
+
+test('a secret encrypts under the current key version and decrypts back', () => {
+    const stored = encryptSecret('sk_test_restaurant_123');
+
+    assert.ok(isEncryptedSecret(stored));
+    assert.equal(getSecretKeyVersion(stored), 2);
+    assert.ok(!stored.includes('sk_test_restaurant_123'));
+    assert.equal(decryptSecret(stored), 'sk_test_restaurant_123');
+    // A fresh IV each time, so equal secrets are not recognisable from their ciphertext
+    assert.notEqual(encryptSecret('sk_test_restaurant_123'), stored);
+});
+
+test('a tampered ciphertext is refused rather than decrypted to garbage', () => {
+    const [prefix, version, iv, authTag, ciphertext] = encryptSecret('sk_test_restaurant_123').split(':');
+    const flipped = Buffer.from(ciphertext, 'base64');
+    flipped[0] ^= 1;
+
+    assert.throws(() => decryptSecret([prefix, version, iv, authTag, flipped.toString('base64')].join(':')));
+});
+
+test('plaintext stored before encryption was introduced is read unchanged', () => {
+    assert.equal(isEncryptedSecret('sk_live_legacy'), false);
+    assert.equal(getSecretKeyVersion('sk_live_legacy'), null);
+    assert.equal(decryptSecret('sk_live_legacy'), 'sk_live_legacy');
+});
+
+test('secrets written under the previous key still decrypt and re-encrypt under the current one', () => {
+    const storedBeforeRotation = encryptBeforeRotation('sk_test_restaurant_456');
+    assert.equal(getSecretKeyVersion(storedBeforeRotation), 1);
+    assert.equal(decryptSecret(storedBeforeRotation), 'sk_test_restaurant_456');
+
+    // What the rotation script writes back for each restaurant
+    const rotated = encryptSecret(decryptSecret(storedBeforeRotation));
+    assert.equal(getSecretKeyVersion(rotated), 2);
+    assert.equal(decryptSecret(rotated), 'sk_test_restaurant_456');
+});
+
+test('a secret under a key version that is not configured cannot be read', () => {
+    const unknownVersion = encryptSecret('sk_test_restaurant_789').replace(/^enc:v2:/, 'enc:v3:');
+
+    assert.throws(() => decryptSecret(unknownVersion), /Encryption key version 3 is not configured/);
+});
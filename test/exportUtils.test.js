@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { streamExport, escapeCsvValue } from '../src/utils/exportUtils.js';
+
+// A response stand-in whose buffer fills after a few rows and is never read
+const createResponse = () => Object.assign(new PassThrough({ highWaterMark: 64 }), { setHeader() {} });
+
+test('values that a spreadsheet would run as formulas are neutralised', () => {
+    for (const value of ['=SUM(A1)', '+1+1', '-cmd', '@A1', '\t=1', '\r=1']) {
+        assert.ok(escapeCsvValue(value).replace(/^"/, '').startsWith("'"), JSON.stringify(value));
+    }
+    assert.equal(escapeCsvValue(-12.5), '-12.5');
+    assert.equal(escapeCsvValue('a,"b"'), '"a,""b"""');
+});
+
+test('a CSV export stops and closes its cursor when the client disconnects', async () => {
+    const res = createResponse();
+    let closed = false;
+    let produced = 0;
+    const rows = {
+        async *[Symbol.asyncIterator]() {
+            while (!closed) {
+                produced += 1;
+                yield { value: 'x'.repeat(32) };
+            }
+        },
+        close: async () => { closed = true; },
+    };
+
+    const exported = streamExport(res, { format: 'csv', filename: 'orders', columns: [{ header: 'Value', key: 'value' }], rows });
+    setImmediate(() => res.destroy());
+
+    await exported;
+    assert.equal(closed, true);
+    assert.ok(produced < 10, `kept reading rows after the client left (${produced})`);
+});
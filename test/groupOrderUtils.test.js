@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGroupBreakdown } from '../src/utils/groupOrderUtils.js';
+
+const groupOrder = {
+    participants: [
+        { userId: 'host', name: 'Host' },
+        { userId: 'guest-1', name: 'Guest One' },
+        { userId: 'guest-2', name: 'Guest Two' },
+    ],
+};
+
+const line = (itemName, itemTotal) => ({ itemName, itemTotal, quantity: 1 });
+
+test('each processed line is tagged with the participant who added it', () => {
+    const { orderedItems } = buildGroupBreakdown(
+        groupOrder,
+        [line('Pizza', 12), line('Salad', 6)],
+        ['host', 'guest-1'],
+        { subtotal: 18, totalAmount: 18 }
+    );
+
+    assert.deepEqual(orderedItems.map(item => [item.itemName, item.participantId]), [['Pizza', 'host'], ['Salad', 'guest-1']]);
+});
+
+test('the total is split in proportion to each participant\'s items', () => {
+    // Handling and delivery push the total above the items, and are shared out the same way
+    const { groupBreakdown } = buildGroupBreakdown(
+        groupOrder,
+        [line('Pizza', 12), line('Garlic bread', 4), line('Salad', 8)],
+        ['host', 'host', 'guest-1'],
+        { subtotal: 24, totalAmount: 30 }
+    );
+
+    assert.deepEqual(groupBreakdown, [
+        { userId: 'host', name: 'Host', itemsSubtotal: 16, amountDue: 20 },
+        { userId: 'guest-1', name: 'Guest One', itemsSubtotal: 8, amountDue: 10 },
+    ]);
+});
+
+test('rounding is settled on the last participant so the shares add up to the total', () => {
+    const { groupBreakdown } = buildGroupBreakdown(
+        groupOrder,
+        [line('Soup', 10), line('Soup', 10), line('Soup', 10)],
+        ['host', 'guest-1', 'guest-2'],
+        { subtotal: 30, totalAmount: 10 }
+    );
+
+    assert.deepEqual(groupBreakdown.map(share => share.amountDue), [3.33, 3.33, 3.34]);
+    const allocated = groupBreakdown.reduce((sum, share) => sum + share.amountDue, 0);
+    assert.equal(Math.round(allocated * 100) / 100, 10);
+});
+
+test('participants without items are left out of the breakdown', () => {
+    const { groupBreakdown } = buildGroupBreakdown(groupOrder, [line('Pizza', 12)], ['guest-2'], { subtotal: 12, totalAmount: 14.5 });
+
+    assert.deepEqual(groupBreakdown, [{ userId: 'guest-2', name: 'Guest Two', itemsSubtotal: 12, amountDue: 14.5 }]);
+});
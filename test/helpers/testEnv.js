@@ -0,0 +1,31 @@
+// The settings config/env.js insists on, so tests can load modules that read it. Import this before them.
+// None of these reach a real service: nothing under test connects to the database, Stripe or a mail server.
+export const TEST_ENV = {
+    NODE_ENV: 'test',
+    PORT: '5099',
+    CORS_ORIGIN: 'http://localhost:3000',
+    MONGODB_URI: 'mongodb://127.0.0.1:27017/on-backend-test',
+    JWT_SECRET: 'test-jwt-secret',
+    JWT_EXPIRY: '1d',
+    PAGINATION_DEFAULT_LIMIT: '10',
+    PAGINATION_MAX_LIMIT: '50',
+    CLOUDINARY_CLOUD_NAME: 'test',
+    CLOUDINARY_API_KEY: 'test',
+    CLOUDINARY_API_SECRET: 'test',
+    EMAIL_USER: 'test@example.com',
+    EMAIL_PASS: 'test',
+    GOOGLE_CLIENT_ID: 'test',
+    GOOGLE_CLIENT_SECRET: 'test',
+    GOOGLE_CALLBACK_URL: 'http://localhost:5099/api/auth/google/callback',
+    CLIENT_SUCCESS_REDIRECT_URL: 'http://localhost:3000/success',
+    CLIENT_FAILURE_REDIRECT_URL: 'http://localhost:3000/failure',
+    STRIPE_SECRET_KEY: 'sk_test_platform',
+    STRIPE_WEBHOOK_SECRET: 'whsec_test_platform',
+    ENCRYPTION_MASTER_KEY: '3IB9oBXofCgBRDOOMSAUUvPbP+2sVjxRPAaHrmoPcQs=',
+    ORDER_SWEEP_SINCE: '2025-01-01T00:00:00Z',
+    PAYMENT_PROVIDER: 'mock',
+};
+
+for (const [name, value] of Object.entries(TEST_ENV)) {
+    process.env[name] ??= value;
+}
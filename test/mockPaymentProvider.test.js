@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/testEnv.js';
+import { getPaymentProvider, buildOrderCheckoutLines, refundCheckoutSession, refundOrderPayments, getRefundableOrderAmount } from '../src/utils/paymentProvider.js';
+import { completeMockCheckout, expireMockCheckout, signMockWebhookPayload } from '../src/utils/mockPaymentProvider.js';
+import { calculateOrderPricing, applyStoreCredit, getAmountDue } from '../src/utils/orderCalculation.js';
+import { fromMinorUnits } from '../src/utils/localeUtils.js';
+
+// Ignored by the mock provider, which PAYMENT_PROVIDER=mock selects for every restaurant
+const SECRET_KEY = 'sk_test_restaurant';
+const WEBHOOK_SECRET = 'whsec_test_restaurant';
+
+const provider = getPaymentProvider(SECRET_KEY);
+
+const openCheckout = (lineItems, metadata = {}, discount) => provider.createCheckout({
+    currency: 'gbp',
+    lineItems,
+    discount,
+    successUrl: 'http://localhost:3000/success?order_session_id={CHECKOUT_SESSION_ID}',
+    cancelUrl: 'http://localhost:3000/failure',
+    customerEmail: 'customer@example.com',
+    metadata,
+});
+
+const paidCheckout = async (amount) => {
+    const { id } = await openCheckout([{ name: 'Order', amount }]);
+    completeMockCheckout(id);
+    return id;
+};
+
+// What Stripe would post to the webhook endpoint: the raw body and its signature header
+const deliverEvent = (event) => {
+    const rawBody = Buffer.from(JSON.stringify(event));
+    return { rawBody, signature: signMockWebhookPayload(rawBody, WEBHOOK_SECRET) };
+};
+
+test('mock provider is used when PAYMENT_PROVIDER is mock', () => {
+    assert.equal(provider.name, 'mock');
+});
+
+test('a card checkout charges what is due after the offer and store credit', async () => {
+    const processedItems = [
+        { itemName: 'Pizza', itemTotal: 20, quantity: 2, selectedVariants: [{ variantName: 'Large' }] },
+        { itemName: 'Dip', itemTotal: 5.5, quantity: 1 },
+    ];
+    const offer = { promoCode: 'SAVE20', discountType: 'PERCENTAGE', discountValue: 20, maxDiscountAmount: 4, minOrderValue: 10 };
+    const { pricing, appliedOffer } = calculateOrderPricing(processedItems, 3.2, { handlingChargesPercentage: 10 }, offer, 2);
+    applyStoreCredit(pricing, 5);
+
+    const lines = buildOrderCheckoutLines({ processedItems, pricing, appliedOffer });
+    assert.deepEqual(lines.lineItems.map(line => [line.name, line.amount, line.quantity]), [
+        ['Pizza (Large)', 10, 2],
+        ['Dip', 5.5, 1],
+        ['Handling charge', 2.55, undefined],
+        ['Delivery fee', 3.2, undefined],
+        ['Tip for your delivery partner', 2, undefined],
+    ]);
+    assert.deepEqual(lines.discount, { name: 'Promo SAVE20 + Store credit', amount: 9 });
+
+    const { id, url } = await openCheckout(lines.lineItems, { cartType: 'deliveryCart', storeCreditAmount: pricing.storeCreditAmount }, lines.discount);
+    assert.ok(url.endsWith(`/api/payment/mock-checkout/${id}`));
+
+    const checkout = await provider.retrieveCheckout(id);
+    assert.equal(checkout.status, 'open');
+    assert.equal(checkout.paymentStatus, 'unpaid');
+    assert.equal(checkout.amountTotal, getAmountDue(pricing));
+    assert.equal(checkout.amountTotal, 24.25);
+    // Metadata comes back as strings, as it does from Stripe
+    assert.equal(checkout.metadata.storeCreditAmount, '5');
+});
+
+test('paying for a checkout produces a signed completed event the webhook accepts', async () => {
+    const { id } = await openCheckout([{ name: 'Order', amount: 24.25 }], { cartType: 'deliveryCart', userId: 'user-1' });
+
+    const { event, redirectUrl } = completeMockCheckout(id);
+    assert.equal(redirectUrl, `http://localhost:3000/success?order_session_id=${id}`);
+
+    const { rawBody, signature } = deliverEvent(event);
+    const received = provider.verifyWebhook(rawBody, signature, WEBHOOK_SECRET);
+    assert.equal(received.type, 'checkout.session.completed');
+    assert.equal(received.data.object.id, id);
+    assert.equal(received.data.object.payment_status, 'paid');
+    assert.equal(fromMinorUnits(received.data.object.amount_total, received.data.object.currency), 24.25);
+    assert.deepEqual(received.data.object.metadata, { cartType: 'deliveryCart', userId: 'user-1' });
+
+    const checkout = await provider.retrieveCheckout(id);
+    assert.equal(checkout.status, 'complete');
+    assert.equal(checkout.paymentIntentId, received.data.object.payment_intent);
+});
+
+test('webhook events with a wrong signature, secret or body are refused', async () => {
+    const { id } = await openCheckout([{ name: 'Order', amount: 10 }]);
+    const { rawBody, signature } = deliverEvent(completeMockCheckout(id).event);
+
+    assert.throws(() => provider.verifyWebhook(rawBody, 'not-a-signature', WEBHOOK_SECRET), /No signatures found/);
+    assert.throws(() => provider.verifyWebhook(rawBody, signature, 'whsec_another_restaurant'), /No signatures found/);
+    assert.throws(() => provider.verifyWebhook(rawBody, undefined, WEBHOOK_SECRET), /No signatures found/);
+
+    const tampered = Buffer.from(rawBody.toString('utf8').replace('"amount_total":1000', '"amount_total":1'));
+    assert.notDeepEqual(tampered, rawBody);
+    assert.throws(() => provider.verifyWebhook(tampered, signature, WEBHOOK_SECRET), /No signatures found/);
+});
+
+test('a partial refund repeated with the same key is only made once', async () => {
+    const sessionId = await paidCheckout(20);
+
+    const first = await refundCheckoutSession(SECRET_KEY, sessionId, 7.5, { idempotencyKey: 'ticket-1' });
+    const retried = await refundCheckoutSession(SECRET_KEY, sessionId, 7.5, { idempotencyKey: 'ticket-1' });
+    assert.deepEqual(retried, first);
+    assert.equal(first.amount, 7.5);
+
+    const checkout = await provider.retrieveCheckout(sessionId);
+    assert.equal(checkout.amountRefunded, 7.5);
+
+    const rest = await refundCheckoutSession(SECRET_KEY, sessionId, undefined, { idempotencyKey: 'order-1-cancel' });
+    assert.equal(rest.amount, 12.5);
+});
+
+test('refunds beyond what was paid, or of a checkout already refunded, are refused', async () => {
+    const sessionId = await paidCheckout(10);
+
+    await assert.rejects(refundCheckoutSession(SECRET_KEY, sessionId, 10.01), { statusCode: 400, message: 'Refund amount must be between 0 and 10.' });
+    await refundCheckoutSession(SECRET_KEY, sessionId);
+    await assert.rejects(refundCheckoutSession(SECRET_KEY, sessionId), { statusCode: 400 });
+});
+
+test('an unpaid checkout has nothing to refund', async () => {
+    const { id } = await openCheckout([{ name: 'Order', amount: 10 }]);
+
+    assert.equal(await refundCheckoutSession(SECRET_KEY, id), null);
+    await assert.rejects(refundCheckoutSession(SECRET_KEY, 'cs_mock_unknown'), { statusCode: 404 });
+});
+
+test('an order paid in two checkouts is refunded from the original payment first', async () => {
+    // The original checkout, then a top-up paid for an edit
+    const order = { currency: 'gbp', sessionId: await paidCheckout(24.25), supplementaryPayments: [{ sessionId: await paidCheckout(6) }] };
+    assert.equal(await getRefundableOrderAmount(SECRET_KEY, order), 30.25);
+
+    const refunds = await refundOrderPayments(SECRET_KEY, order, 26, { idempotencyKey: 'order-1-resolution' });
+    assert.deepEqual(refunds.map(refund => refund.amount), [24.25, 1.75]);
+    assert.equal(await getRefundableOrderAmount(SECRET_KEY, order), 4.25);
+
+    // A retry after the refund went through gives back what was refunded rather than refunding again
+    const retried = await refundOrderPayments(SECRET_KEY, order, 26, { idempotencyKey: 'order-1-resolution' });
+    assert.ok(retried.every(refund => refunds.some(({ id }) => id === refund.id)));
+    assert.equal(await getRefundableOrderAmount(SECRET_KEY, order), 4.25);
+
+    const rest = await refundOrderPayments(SECRET_KEY, order, undefined, { idempotencyKey: 'order-1-cancel' });
+    assert.deepEqual(rest.map(refund => refund.amount), [4.25]);
+    assert.equal(await getRefundableOrderAmount(SECRET_KEY, order), 0);
+    assert.equal(await refundOrderPayments(SECRET_KEY, order, undefined, { idempotencyKey: 'order-1-cancel-again' }), null);
+});
+
+test('a booking fee checkout carries the booking in its metadata through to the webhook', async () => {
+    const { id } = await openCheckout(
+        [{ name: 'Booking for Test Kitchen', description: 'Table 4 for 2 guests on 2026-11-01 at 19:30', amount: 1 }],
+        { purpose: 'booking', customerId: 'customer-1', restaurantId: 'restaurant-1', tableId: 'table-4', date: '2026-11-01', time: '19:30', guests: 2, bookingFee: 1 }
+    );
+
+    const { rawBody, signature } = deliverEvent(completeMockCheckout(id).event);
+    const { data: { object: session } } = provider.verifyWebhook(rawBody, signature, WEBHOOK_SECRET);
+    assert.equal(session.amount_total, 100);
+    assert.equal(session.metadata.purpose, 'booking');
+    assert.equal(session.metadata.guests, '2');
+    assert.equal(session.metadata.bookingFee, '1');
+
+    const refund = await refundCheckoutSession(SECRET_KEY, id, undefined, { idempotencyKey: `booking-${id}-cancel` });
+    assert.equal(refund.amount, 1);
+});
+
+test('an abandoned booking checkout expires and can no longer be paid', async () => {
+    const { id } = await openCheckout([{ name: 'Booking for Test Kitchen', amount: 1 }], { purpose: 'booking', tableId: 'table-4' });
+
+    const { event, redirectUrl } = expireMockCheckout(id);
+    assert.equal(redirectUrl, 'http://localhost:3000/failure');
+    const { rawBody, signature } = deliverEvent(event);
+    const received = provider.verifyWebhook(rawBody, signature, WEBHOOK_SECRET);
+    assert.equal(received.type, 'checkout.session.expired');
+    assert.equal(received.data.object.payment_status, 'unpaid');
+    assert.equal(received.data.object.metadata.purpose, 'booking');
+
+    assert.throws(() => completeMockCheckout(id), { statusCode: 409, message: 'This checkout session is already expired.' });
+    assert.equal(await refundCheckoutSession(SECRET_KEY, id), null);
+});
+
+test('the app expiring a checkout closes it the same way', async () => {
+    const { id } = await openCheckout([{ name: 'Order', amount: 10 }]);
+
+    await provider.expireCheckout(id);
+    assert.equal((await provider.retrieveCheckout(id)).status, 'expired');
+    await assert.rejects(provider.expireCheckout(id), { statusCode: 409 });
+});
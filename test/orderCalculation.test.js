@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/testEnv.js';
+import { calculateOrderPricing, applyStoreCredit, getAmountDue, resolveTip } from '../src/utils/orderCalculation.js';
+
+const restaurant = { handlingChargesPercentage: 10 };
+
+// A fresh copy each time, as calculateVat annotates the lines in place
+const cartLines = () => [
+    { itemName: 'Pizza', itemTotal: 20, quantity: 2 },
+    { itemName: 'Dip', itemTotal: 5.5, quantity: 1 },
+];
+
+test('the total is the items, handling charge, delivery fee and tip', () => {
+    const { pricing, appliedOffer } = calculateOrderPricing(cartLines(), 3.2, restaurant, null, 2);
+
+    const { vat, ...amounts } = pricing;
+
+    assert.deepEqual(amounts, { subtotal: 25.5, deliveryFee: 3.2, handlingCharge: 2.55, discountAmount: 0, tipAmount: 2, totalAmount: 33.25 });
+    assert.equal(vat.registered, false);
+    assert.equal(appliedOffer, null);
+});
+
+test('a percentage offer is capped at its maximum discount', () => {
+    const offer = { promoCode: 'SAVE20', discountType: 'PERCENTAGE', discountValue: 20, maxDiscountAmount: 4, minOrderValue: 10 };
+    const { pricing, appliedOffer } = calculateOrderPricing(cartLines(), 3.2, restaurant, offer);
+
+    assert.equal(pricing.discountAmount, 4);
+    assert.equal(pricing.totalAmount, 27.25);
+    assert.deepEqual(appliedOffer, { promoCode: 'SAVE20', discountType: 'PERCENTAGE', discountAmount: 4 });
+});
+
+test('a flat offer applies only from its minimum order value and never takes off more than the items and handling', () => {
+    const belowMinimum = calculateOrderPricing(cartLines(), 3.2, restaurant, { promoCode: 'FIVE', discountType: 'FLAT', discountValue: 5, minOrderValue: 30 });
+    assert.equal(belowMinimum.pricing.totalAmount, 31.25);
+    assert.equal(belowMinimum.appliedOffer, null);
+
+    const oversized = calculateOrderPricing(cartLines(), 3.2, restaurant, { promoCode: 'FIFTY', discountType: 'FLAT', discountValue: 50, minOrderValue: 0 });
+    assert.equal(oversized.pricing.discountAmount, 28.05);
+    assert.equal(oversized.pricing.totalAmount, 3.2);
+});
+
+test('a free delivery offer waives the fee but never the tip', () => {
+    const offer = { promoCode: 'FREEDEL', discountType: 'FREE_DELIVERY', minOrderValue: 0 };
+    const { pricing, appliedOffer } = calculateOrderPricing(cartLines(), 3.2, restaurant, offer, 2);
+
+    assert.equal(pricing.deliveryFee, 0);
+    assert.equal(pricing.discountAmount, 3.2);
+    assert.equal(pricing.totalAmount, 30.05);
+    assert.equal(appliedOffer.discountAmount, 3.2);
+});
+
+test('VAT is reported from the VAT-inclusive prices, per rate', () => {
+    const lines = [
+        { itemName: 'Curry', itemTotal: 12, quantity: 1 },
+        { itemName: 'Milk', itemTotal: 12, quantity: 1, isFood: false },
+    ];
+    const { pricing } = calculateOrderPricing(lines, 0, { handlingChargesPercentage: 0, vatSettings: { registered: true } });
+
+    assert.equal(pricing.totalAmount, 24);
+    assert.deepEqual(pricing.vat, {
+        registered: true,
+        totalVat: 2,
+        breakdown: [
+            { rate: 20, netAmount: 10, vatAmount: 2, grossAmount: 12 },
+            { rate: 0, netAmount: 12, vatAmount: 0, grossAmount: 12 },
+        ],
+    });
+});
+
+test('store credit pays for everything but the tip and the rest is handed back', () => {
+    const pricing = { totalAmount: 33.25, tipAmount: 2 };
+
+    assert.equal(applyStoreCredit(pricing, 40), 8.75);
+    assert.equal(pricing.storeCreditAmount, 31.25);
+    assert.equal(pricing.totalAmount, 33.25);
+    assert.equal(getAmountDue(pricing), 2);
+});
+
+test('store credit smaller than the order leaves the rest to pay', () => {
+    const pricing = { totalAmount: 33.25, tipAmount: 2 };
+
+    assert.equal(applyStoreCredit(pricing, 10), 0);
+    assert.equal(pricing.storeCreditAmount, 10);
+    assert.equal(getAmountDue(pricing), 23.25);
+});
+
+test('credit already on an order is cut back when its total goes down', () => {
+    // An edit brought the order down to 20 after 31.25 of credit was spent on it
+    const pricing = { totalAmount: 20, tipAmount: 0, storeCreditAmount: 31.25 };
+
+    assert.equal(applyStoreCredit(pricing, pricing.storeCreditAmount), 11.25);
+    assert.equal(pricing.storeCreditAmount, 20);
+    assert.equal(getAmountDue(pricing), 0);
+});
+
+test('tips are only taken on delivery orders and up to the currency\'s limit', () => {
+    assert.deepEqual(resolveTip('', 'pickup'), { error: null, tipAmount: 0 });
+    assert.deepEqual(resolveTip(3, 'pickup'), { error: "Tips can only be added to delivery orders." });
+    assert.deepEqual(resolveTip(51, 'delivery', 'gbp'), { error: "Tip must be between 0 and 50." });
+    assert.deepEqual(resolveTip(51, 'delivery', 'usd'), { error: null, tipAmount: 51 });
+    assert.deepEqual(resolveTip(-1, 'delivery', 'gbp'), { error: "Tip must be between 0 and 50." });
+    assert.deepEqual(resolveTip('lots', 'delivery', 'gbp'), { error: "Tip must be between 0 and 50." });
+});
+
+test('tips are rounded to what the currency can charge', () => {
+    assert.deepEqual(resolveTip('2.499', 'delivery', 'gbp'), { error: null, tipAmount: 2.5 });
+    assert.deepEqual(resolveTip(500.6, 'delivery', 'jpy'), { error: null, tipAmount: 501 });
+});
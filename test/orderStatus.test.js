@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAcceptanceDecision, applyStatusTransition, getCurrentStatus } from '../src/utils/orderStatus.js';
+
+const pendingOrder = (orderType = 'delivery') => ({
+    orderType,
+    status: 'placed',
+    acceptanceStatus: 'pending',
+    statusHistory: [{ status: 'placed', actor: 'customer' }],
+});
+
+test('accepting a placed, pending order moves it to accepted', () => {
+    for (const orderType of ['delivery', 'pickup', 'dine-in']) {
+        const order = applyAcceptanceDecision(pendingOrder(orderType), 'accepted', { actorId: 'restaurant-1' });
+
+        assert.equal(order.status, 'accepted');
+        assert.equal(order.acceptanceStatus, 'accepted');
+        assert.equal(getCurrentStatus(order), 'accepted');
+        assert.deepEqual(
+            { status: order.statusHistory.at(-1).status, actor: order.statusHistory.at(-1).actor },
+            { status: 'accepted', actor: 'owner' }
+        );
+    }
+});
+
+test('rejecting a placed, pending order cancels it', () => {
+    const order = applyAcceptanceDecision(pendingOrder(), 'rejected', { note: 'Rejected by restaurant' });
+
+    assert.equal(order.status, 'cancelled');
+    assert.equal(order.acceptanceStatus, 'rejected');
+    assert.equal(order.statusHistory.at(-1).note, 'Rejected by restaurant');
+});
+
+test('an order that cannot move leaves acceptanceStatus untouched', () => {
+    const order = { ...pendingOrder(), status: 'cancelled' };
+
+    assert.throws(() => applyAcceptanceDecision(order, 'accepted'), { statusCode: 400 });
+    assert.equal(order.acceptanceStatus, 'pending');
+});
+
+test('an owner delivering an order themselves can take it to delivered', () => {
+    const order = { ...pendingOrder(), status: 'ready', acceptanceStatus: 'accepted' };
+
+    for (const status of ['picked_up', 'out_for_delivery', 'delivered']) {
+        applyStatusTransition(order, status, { actor: 'owner', actorId: 'restaurant-1' });
+    }
+    assert.equal(order.status, 'delivered');
+});
+
+test('an owner cannot move on a delivery once a partner is assigned', () => {
+    const order = { ...pendingOrder(), status: 'ready', acceptanceStatus: 'accepted', assignedDeliveryPartnerId: 'partner-1' };
+
+    assert.throws(() => applyStatusTransition(order, 'picked_up', { actor: 'owner' }), { statusCode: 403 });
+    assert.equal(order.status, 'ready');
+});